@@ -0,0 +1,107 @@
+// backtest-pullback.js
+//
+// Replays recorded signals and price ticks through the dynamic pullback exit used by
+// live-trading-single-wallet.js and zeta-live-trading-v3.js.
+//
+//   node src/backtest-pullback.js --signals signals.csv --ticks ticks.jsonl --preset v3
+//   node src/backtest-pullback.js --events events.jsonl --pullback-amount 0.15 --json
+
+import { Command } from "commander";
+import { ZetaClientWrapper } from "./clients/zeta-api-v6.js";
+import { loadEvents, runPullbackBacktest, formatReport } from "./backtest/pullback-backtest.js";
+import { loadSettings, getSettings } from "./config/settings.js";
+
+// Pullback parameters come from the matching settings.json profile, the rest mirrors each entry point's loop
+const PRESETS = {
+	"single-wallet": { profile: "single-wallet", monitorInterval: 1000, dualWallet: false },
+	v3: { profile: "v3", monitorInterval: 3000, dualWallet: true },
+};
+
+const program = new Command();
+
+program
+	.name("backtest-pullback")
+	.description("Backtest the pullback trailing exit against recorded signals and price ticks (CSV or JSONL)")
+	.option("--events <file>", "combined file, each row with type=signal|tick")
+	.option("--signals <file>", "signals file (ts, symbol, signal, close)")
+	.option("--ticks <file>", "price ticks file (ts, symbol, price)")
+	.option("--preset <name>", `parameter preset: ${Object.keys(PRESETS).join(", ")}`, "single-wallet")
+	.option("--initial-threshold <n>", "progress towards TP that arms the pullback exit", parseFloat)
+	.option("--pullback-amount <n>", "allowed pullback from highest progress", parseFloat)
+	.option("--threshold-hit-count <n>", "consecutive hits below the pullback threshold before closing", (v) => parseInt(v, 10))
+	.option("--monitor-interval <ms>", "minimum time between monitor checks", (v) => parseInt(v, 10))
+	.option("--take-profit <n>", "takeProfitPercentage override", parseFloat)
+	.option("--stop-loss <n>", "stopLossPercentage override", parseFloat)
+	.option("--leverage <n>", "leverageMultiplier override", parseFloat)
+	.option("--balance <usd>", "starting balance", parseFloat, 1000)
+	.option("--fee-bps <n>", "fee charged on entry and exit notional", parseFloat, 10)
+	.option("--slippage-bps <n>", "slippage applied against each fill", parseFloat, 0)
+	.option("--symbol <symbol>", "only replay one symbol")
+	.option("--json", "print trades and summary as JSON");
+
+async function main() {
+	const opts = program.parse(process.argv).opts();
+
+	const preset = PRESETS[opts.preset];
+	if (!preset) {
+		throw new Error(`Unknown preset "${opts.preset}"`);
+	}
+	if (!opts.events && !(opts.signals && opts.ticks)) {
+		throw new Error("Provide --events, or both --signals and --ticks");
+	}
+
+	let events = [];
+	if (opts.events) events = events.concat(loadEvents(opts.events));
+	if (opts.signals) events = events.concat(loadEvents(opts.signals, "signal"));
+	if (opts.ticks) events = events.concat(loadEvents(opts.ticks, "tick"));
+	if (opts.symbol) {
+		events = events.filter((event) => event.symbol === opts.symbol.toUpperCase());
+	}
+
+	// Each symbol gets its own settings.json overrides, command line values win over all of them
+	loadSettings();
+	const settingsFor = (symbol) => {
+		const settings = getSettings(symbol, preset.profile);
+		if (opts.takeProfit !== undefined) settings.takeProfitPercentage = opts.takeProfit;
+		if (opts.stopLoss !== undefined) settings.stopLossPercentage = opts.stopLoss;
+		if (opts.leverage !== undefined) settings.leverageMultiplier = opts.leverage;
+		return settings;
+	};
+	const paramsFor = (symbol) => {
+		const { pullback } = settingsFor(symbol);
+		return {
+			initialThreshold: opts.initialThreshold ?? pullback.initialThreshold,
+			pullbackAmount: opts.pullbackAmount ?? pullback.pullbackAmount,
+			thresholdHitCount: opts.thresholdHitCount ?? pullback.thresholdHitCount,
+		};
+	};
+
+	// Reported values: the --symbol's, or the profile's before symbol overrides
+	const settings = settingsFor(opts.symbol?.toUpperCase());
+	const params = paramsFor(opts.symbol?.toUpperCase());
+
+	// TP/SL prices come from the same wrapper the live monitors use
+	const zetaWrapper = new ZetaClientWrapper();
+
+	const result = runPullbackBacktest(events, {
+		params: paramsFor,
+		settings: settingsFor,
+		calculateTPSLPrices: (direction, price, s) => zetaWrapper.calculateTPSLPrices(direction, price, s),
+		startingBalance: opts.balance,
+		feeBps: opts.feeBps,
+		slippageBps: opts.slippageBps,
+		monitorInterval: opts.monitorInterval ?? preset.monitorInterval,
+		dualWallet: preset.dualWallet,
+	});
+
+	if (opts.json) {
+		console.log(JSON.stringify({ params, settings, ...result }, null, 2));
+	} else {
+		console.log(formatReport(result, params));
+	}
+}
+
+main().catch((error) => {
+	console.error(`Backtest failed: ${error.message}`);
+	process.exit(1);
+});
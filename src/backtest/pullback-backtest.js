@@ -0,0 +1,341 @@
+import fs from "fs";
+import path from "path";
+import { createPullbackState, evaluatePullbackExit } from "../utils/pullback-monitor.js";
+import { calculatePositionSize } from "../utils/position-sizing.js";
+import { evaluateTimeExit, activeCloseWindow } from "../utils/time-exits.js";
+
+export const END_OF_DATA = "End of data";
+
+/* ==========================================================================
+   Event loading
+   ========================================================================== */
+
+function parseTimestamp(value) {
+	if (value === undefined || value === null || value === "") return NaN;
+	const numeric = Number(value);
+	if (!Number.isNaN(numeric)) {
+		// Epoch seconds vs milliseconds
+		return numeric < 1e12 ? numeric * 1000 : numeric;
+	}
+	return Date.parse(value);
+}
+
+function parseCsv(content) {
+	const lines = content.split(/\r?\n/).filter((line) => line.trim() !== "");
+	if (lines.length === 0) return [];
+
+	const headers = lines[0].split(",").map((header) => header.trim());
+	return lines.slice(1).map((line) => {
+		const values = line.split(",").map((value) => value.trim());
+		return Object.fromEntries(headers.map((header, i) => [header, values[i]]));
+	});
+}
+
+function parseJsonl(content, filePath) {
+	return content
+		.split(/\r?\n/)
+		.filter((line) => line.trim() !== "")
+		.map((line, i) => {
+			try {
+				return JSON.parse(line);
+			} catch (error) {
+				throw new Error(`${filePath}:${i + 1}: invalid JSON (${error.message})`);
+			}
+		});
+}
+
+/**
+ * Normalizes a raw row into { ts, type, symbol, price, signal }.
+ * Rows without an explicit type inherit defaultType, otherwise a row carrying
+ * a signal field is a signal and anything else is a price tick.
+ */
+function normalizeEvent(row, defaultType) {
+	const type = row.type || defaultType || (row.signal !== undefined && row.signal !== "" ? "signal" : "tick");
+	const ts = parseTimestamp(row.ts ?? row.timestamp ?? row.time);
+	const price = Number(row.price ?? row.close ?? row.markPrice);
+
+	if (type === "signal") {
+		return {
+			ts,
+			type,
+			symbol: String(row.symbol).toUpperCase(),
+			signal: Number(row.signal),
+			price: Number.isFinite(price) ? price : null,
+		};
+	}
+
+	return { ts, type: "tick", symbol: String(row.symbol).toUpperCase(), price };
+}
+
+/**
+ * Loads a CSV (header row required) or JSONL file of signals and/or ticks.
+ * Files written by the signal recorder can be passed as signals directly.
+ * @param {string} filePath
+ * @param {"signal"|"tick"} [defaultType] - type for rows that don't carry one
+ */
+export function loadEvents(filePath, defaultType) {
+	const content = fs.readFileSync(filePath, "utf8");
+	const rows = path.extname(filePath).toLowerCase() === ".csv" ? parseCsv(content) : parseJsonl(content, filePath);
+
+	// Signal recordings (signals/recorder.js) wrap each message with its receive time
+	const flattened = rows
+		.filter((row) => !row.message || (row.message.symbol && row.message.type !== "connection"))
+		.map((row) => (row.message ? { ...row.message, ts: row.ts, type: "signal" } : row));
+
+	return flattened.map((row, i) => {
+		const event = normalizeEvent(row, defaultType);
+		if (Number.isNaN(event.ts)) {
+			throw new Error(`${filePath}: row ${i + 1} has no valid timestamp`);
+		}
+		if (event.type === "tick" && !Number.isFinite(event.price)) {
+			throw new Error(`${filePath}: tick row ${i + 1} has no valid price`);
+		}
+		return event;
+	});
+}
+
+/* ==========================================================================
+   Simulation
+   ========================================================================== */
+
+/**
+ * Replays signals and ticks through the live pullback exit logic.
+ * @param {Array} events - normalized events from loadEvents
+ * @param {Object} options
+ * @param {Object|Function} options.params - { initialThreshold, pullbackAmount, thresholdHitCount }, or (symbol) => params
+ * @param {Object|Function} options.settings - fetchSettings() shape, or (symbol) => settings for per-symbol overrides
+ * @param {Function} options.calculateTPSLPrices - (direction, price, settings) => { takeProfitPrice, stopLossPrice }
+ * @param {number} [options.startingBalance=1000]
+ * @param {number} [options.feeBps=0] - charged on entry and exit notional
+ * @param {number} [options.slippageBps=0] - applied against the trade on entry and exit
+ * @param {number} [options.monitorInterval=0] - minimum ms between monitor checks, as in the live loop
+ * @param {boolean} [options.dualWallet=false] - allow a long and a short on the same symbol (main.js / v3)
+ */
+export function runPullbackBacktest(events, options) {
+	const {
+		params,
+		settings,
+		calculateTPSLPrices,
+		startingBalance = 1000,
+		feeBps = 0,
+		slippageBps = 0,
+		monitorInterval = 0,
+		dualWallet = false,
+	} = options;
+
+	const paramsFor = typeof params === "function" ? params : () => params;
+	const settingsFor = typeof settings === "function" ? settings : () => settings;
+
+	// Ticks first on equal timestamps so a signal sees the latest price
+	const sorted = [...events].sort((a, b) => a.ts - b.ts || (a.type === "tick" ? -1 : 1) - (b.type === "tick" ? -1 : 1));
+
+	const openPositions = new Map();
+	const lastPrices = new Map();
+	const trades = [];
+	let equity = startingBalance;
+	let ignoredSignals = 0;
+
+	const applySlippage = (price, side) => price * (1 + (side === "buy" ? slippageBps : -slippageBps) / 10000);
+
+	const closeTrade = (key, position, ts, markPrice, exitReason) => {
+		const exitPrice = applySlippage(markPrice, position.direction === "long" ? "sell" : "buy");
+		const sign = position.direction === "long" ? 1 : -1;
+		const grossPnl = (exitPrice - position.entryPrice) * position.size * sign;
+		const fees = ((position.entryPrice + exitPrice) * position.size * feeBps) / 10000;
+		const pnl = grossPnl - fees;
+
+		equity += pnl;
+		openPositions.delete(key);
+
+		trades.push({
+			symbol: position.symbol,
+			direction: position.direction,
+			entryTime: new Date(position.entryTime).toISOString(),
+			exitTime: new Date(ts).toISOString(),
+			holdMinutes: (ts - position.entryTime) / 60000,
+			entryPrice: position.entryPrice,
+			exitPrice,
+			size: position.size,
+			pnl,
+			pnlPercent: ((exitPrice - position.entryPrice) / position.entryPrice) * sign,
+			fees,
+			highestProgress: position.state.highestProgress,
+			exitReason,
+			equity,
+		});
+	};
+
+	for (const event of sorted) {
+		if (event.type === "tick") {
+			lastPrices.set(event.symbol, event.price);
+
+			for (const [key, position] of openPositions) {
+				if (position.symbol !== event.symbol) continue;
+				if (event.ts <= position.entryTime) continue;
+				if (event.ts - position.lastCheckedAt < monitorInterval) continue;
+
+				position.lastCheckedAt = event.ts;
+				const evaluation = evaluatePullbackExit(
+					position.state,
+					{
+						direction: position.direction,
+						entryPrice: position.entryPrice,
+						currentPrice: event.price,
+						takeProfitPrice: position.takeProfitPrice,
+						stopLossPrice: position.stopLossPrice,
+					},
+					position.params
+				);
+				position.state = {
+					hasReachedThreshold: evaluation.hasReachedThreshold,
+					highestProgress: evaluation.highestProgress,
+					thresholdHits: evaluation.thresholdHits,
+				};
+
+				const timeExit = evaluateTimeExit(
+					{ openedAt: position.entryTime, staleSince: position.staleSince },
+					evaluation.progressPercent,
+					position.timeExits,
+					event.ts
+				);
+				position.staleSince = timeExit.staleSince;
+
+				const exitReason = evaluation.exitReason ?? timeExit.exitReason;
+				if (exitReason) {
+					closeTrade(key, position, event.ts, event.price, exitReason);
+				}
+			}
+			continue;
+		}
+
+		if (event.signal !== 1 && event.signal !== -1) continue;
+
+		const direction = event.signal === 1 ? "long" : "short";
+		const key = dualWallet ? `${event.symbol}:${direction}` : event.symbol;
+		const markPrice = lastPrices.get(event.symbol) ?? event.price;
+
+		// Resolved at entry, like the live monitors capture settings when a position opens
+		const symbolSettings = settingsFor(event.symbol);
+
+		// Managers ignore signals while they hold a position or inside a close window
+		if (openPositions.has(key) || !markPrice || equity <= 0 || activeCloseWindow(symbolSettings.timeExits, event.ts)) {
+			ignoredSignals++;
+			continue;
+		}
+		const entryPrice = applySlippage(markPrice, direction === "long" ? "buy" : "sell");
+		const { takeProfitPrice, stopLossPrice } = calculateTPSLPrices(direction, entryPrice, symbolSettings);
+
+		openPositions.set(key, {
+			symbol: event.symbol,
+			direction,
+			entryTime: event.ts,
+			lastCheckedAt: event.ts,
+			entryPrice,
+			size: calculatePositionSize(equity, entryPrice, symbolSettings, { stopLossPrice }).positionSize,
+			takeProfitPrice,
+			stopLossPrice,
+			params: paramsFor(event.symbol),
+			state: createPullbackState(),
+			timeExits: symbolSettings.timeExits,
+			staleSince: null,
+		});
+	}
+
+	const lastTs = sorted.length ? sorted[sorted.length - 1].ts : 0;
+	for (const [key, position] of openPositions) {
+		closeTrade(key, position, lastTs, lastPrices.get(position.symbol) ?? position.entryPrice, END_OF_DATA);
+	}
+
+	return { trades, summary: summarize(trades, startingBalance, ignoredSignals) };
+}
+
+function summarize(trades, startingBalance, ignoredSignals) {
+	let peak = startingBalance;
+	let maxDrawdown = 0;
+	let maxDrawdownPercent = 0;
+
+	for (const trade of trades) {
+		peak = Math.max(peak, trade.equity);
+		const drawdown = peak - trade.equity;
+		if (drawdown > maxDrawdown) {
+			maxDrawdown = drawdown;
+			maxDrawdownPercent = drawdown / peak;
+		}
+	}
+
+	const exitReasons = {};
+	for (const trade of trades) {
+		const bucket = (exitReasons[trade.exitReason] ??= { count: 0, pnl: 0, wins: 0 });
+		bucket.count++;
+		bucket.pnl += trade.pnl;
+		if (trade.pnl > 0) bucket.wins++;
+	}
+
+	const wins = trades.filter((trade) => trade.pnl > 0).length;
+	const totalPnl = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+	const totalFees = trades.reduce((sum, trade) => sum + trade.fees, 0);
+
+	return {
+		trades: trades.length,
+		wins,
+		losses: trades.length - wins,
+		winRate: trades.length ? wins / trades.length : 0,
+		totalPnl,
+		totalFees,
+		averagePnl: trades.length ? totalPnl / trades.length : 0,
+		startingBalance,
+		finalEquity: startingBalance + totalPnl,
+		returnPercent: totalPnl / startingBalance,
+		maxDrawdown,
+		maxDrawdownPercent,
+		exitReasons,
+		ignoredSignals,
+	};
+}
+
+/* ==========================================================================
+   Reporting
+   ========================================================================== */
+
+export function formatReport({ trades, summary }, params) {
+	const pct = (value) => (value * 100).toFixed(2) + "%";
+	const usd = (value) => (value < 0 ? "-$" : "$") + Math.abs(value).toFixed(2);
+	const lines = [];
+
+	lines.push(
+		`Pullback backtest: initialThreshold=${params.initialThreshold} pullbackAmount=${params.pullbackAmount} thresholdHitCount=${params.thresholdHitCount}`
+	);
+	lines.push("");
+	lines.push("Trades:");
+	for (const trade of trades) {
+		lines.push(
+			[
+				trade.entryTime,
+				trade.symbol.padEnd(5),
+				trade.direction.toUpperCase().padEnd(5),
+				`${trade.entryPrice.toFixed(4)} -> ${trade.exitPrice.toFixed(4)}`,
+				`pnl ${usd(trade.pnl)} (${pct(trade.pnlPercent)})`,
+				`peak ${pct(trade.highestProgress)}`,
+				`${trade.holdMinutes.toFixed(1)}m`,
+				trade.exitReason,
+			].join("  ")
+		);
+	}
+
+	lines.push("");
+	lines.push("Summary:");
+	lines.push(`  Trades:        ${summary.trades} (${summary.wins} wins / ${summary.losses} losses)`);
+	lines.push(`  Win rate:      ${pct(summary.winRate)}`);
+	lines.push(`  Total PnL:     ${usd(summary.totalPnl)} (${pct(summary.returnPercent)}), fees ${usd(summary.totalFees)}`);
+	lines.push(`  Average PnL:   ${usd(summary.averagePnl)}`);
+	lines.push(`  Final equity:  ${usd(summary.finalEquity)}`);
+	lines.push(`  Max drawdown:  ${usd(summary.maxDrawdown)} (${pct(summary.maxDrawdownPercent)})`);
+	lines.push(`  Ignored signals (already in position): ${summary.ignoredSignals}`);
+	lines.push("");
+	lines.push("Exit reasons:");
+	for (const [reason, bucket] of Object.entries(summary.exitReasons)) {
+		lines.push(`  ${reason.padEnd(32)} ${String(bucket.count).padStart(4)} trades  win ${pct(bucket.wins / bucket.count)}  pnl ${usd(bucket.pnl)}`);
+	}
+
+	return lines.join("\n");
+}
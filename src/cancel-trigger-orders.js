@@ -1,6 +1,7 @@
 // manage-position.js
 
-import { ZetaClientWrapper } from "./clients/zeta.js";
+import { ZetaClientWrapper as LiveZetaClientWrapper } from "./clients/zeta.js";
+import { selectClientWrapper } from "./clients/paper.js";
 import { Connection } from "@solana/web3.js";
 import { constants, Network, Exchange, types, utils } from "@zetamarkets/sdk";
 import { PriorityFeeMethod, PriorityFeeSubscriber, fetchSolanaPriorityFee } from "@drift-labs/sdk";
@@ -9,6 +10,8 @@ import logger from "./utils/logger.js";
 
 dotenv.config();
 
+const ZetaClientWrapper = selectClientWrapper(LiveZetaClientWrapper);
+
 async function validateAndInitialize(markets) {
 	// Validate environment
 	const requiredEnvVars = ["KEYPAIR_FILE_PATH_LONG", "KEYPAIR_FILE_PATH_SHORT", "RPC_TRADINGBOT"];
@@ -0,0 +1,850 @@
+import { constants, assets, types, utils } from "@zetamarkets/sdk";
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import logger from "../utils/logger.js";
+import { ZetaClientWrapper } from "./zeta.js";
+import { ERROR_TYPES, TX_STATUS, TradingError } from "../utils/trading-errors.js";
+import { withTPSLDistances } from "../utils/tpsl-distances.js";
+import { findTPSLTriggerBits } from "../utils/trigger-orders.js";
+
+dotenv.config();
+
+/*
+============================================
+ Paper trading
+============================================
+Set TRADING_MODE=paper to swap ZetaClientWrapper for PaperClientWrapper
+in every entry point. Nothing is sent to mainnet: balances, positions,
+costOfTrades and trigger orders are simulated in memory and snapshotted
+to PAPER_STATE_FILE so the manage-position subprocesses share one account.
+Every change reloads, applies and saves the file under PAPER_STATE_FILE.lock
+(see mutateState), so the processes never overwrite each other's fills. The
+lock holds the writer's pid and is removed if that process has died.
+
+PAPER_ORDERBOOK_FILE   JSONL of recorded books, one per line:
+                       {"asset":"SOL","bids":[[price,size],...],"asks":[...]}
+                       Without it a synthetic random-walk book is used.
+PAPER_STARTING_BALANCE USDC per wallet (default 1000)
+PAPER_PRICES           Synthetic start prices, e.g. "SOL=190,ETH=3400"
+PAPER_VOLATILITY       Synthetic per-tick price stdev (default 0.0005)
+PAPER_SPREAD_BPS       Synthetic top-of-book spread (default 2)
+PAPER_TICK_MS          Book advances once per tick (default 1000)
+*/
+
+const PAPER_STATE_FILE = process.env.PAPER_STATE_FILE || "paper-state.json";
+const STARTING_BALANCE = Number(process.env.PAPER_STARTING_BALANCE || 1000);
+const VOLATILITY = Number(process.env.PAPER_VOLATILITY || 0.0005);
+const SPREAD_BPS = Number(process.env.PAPER_SPREAD_BPS || 2);
+const TICK_MS = Number(process.env.PAPER_TICK_MS || 1000);
+const DEPTH_LEVELS = 10;
+const LEVEL_NOTIONAL = 25_000;
+const TAKER_FEE_BPS = constants.FEE_TIER_MAP_BPS.taker[constants.MarginAccountType.NORMAL];
+const STATE_LOCK_FILE = `${PAPER_STATE_FILE}.lock`;
+const LOCK_POLL_MS = 5;
+const STALE_LOCK_MS = 10_000; // a lock file with no pid yet is only broken after this long
+
+const DEFAULT_PRICES = {
+	SOL: 190,
+	BTC: 97_000,
+	ETH: 3_400,
+};
+
+export function isPaperTrading() {
+	return process.env.TRADING_MODE === "paper";
+}
+
+export function selectClientWrapper(LiveClientWrapper) {
+	return isPaperTrading() ? PaperClientWrapper : LiveClientWrapper;
+}
+
+function parseStartPrices() {
+	const prices = { ...DEFAULT_PRICES };
+	for (const entry of (process.env.PAPER_PRICES || "").split(",")) {
+		const [symbol, price] = entry.split("=");
+		if (symbol && Number(price) > 0) {
+			prices[symbol.trim().toUpperCase()] = Number(price);
+		}
+	}
+	return prices;
+}
+
+// Deterministic per (asset, tick) so every process walks the same path
+function seededGaussian(seed) {
+	let h = 2166136261;
+	for (let i = 0; i < seed.length; i++) {
+		h = Math.imul(h ^ seed.charCodeAt(i), 16777619);
+	}
+	const next = () => {
+		h = Math.imul(h ^ (h >>> 15), 2246822507);
+		h = Math.imul(h ^ (h >>> 13), 3266489909);
+		return ((h ^= h >>> 16) >>> 0) / 4294967296 || 1e-9;
+	};
+	return Math.sqrt(-2 * Math.log(next())) * Math.cos(2 * Math.PI * next());
+}
+
+// Simulated fills happen at once, shaped like a TransactionManager result
+function paperResult(txid, error = null) {
+	return {
+		status: error ? TX_STATUS.FAILED : TX_STATUS.LANDED,
+		signature: txid,
+		signatures: txid ? [txid] : [],
+		attempts: 1,
+		...(error && { error: error.toJSON() }),
+	};
+}
+
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		return error.code === "EPERM";
+	}
+}
+
+// A lock is stale once the process that wrote its pid is gone
+function isStaleLock() {
+	try {
+		const pid = Number(fs.readFileSync(STATE_LOCK_FILE, "utf8"));
+		if (pid > 0) return !isProcessAlive(pid);
+		return Date.now() - fs.statSync(STATE_LOCK_FILE).mtimeMs > STALE_LOCK_MS;
+	} catch {
+		return false; // released meanwhile
+	}
+}
+
+// Cross-process lock on PAPER_STATE_FILE, the lock file holds the holder's pid
+async function lockState() {
+	while (true) {
+		try {
+			fs.writeFileSync(STATE_LOCK_FILE, String(process.pid), { flag: "wx" });
+			return;
+		} catch (error) {
+			if (error.code !== "EEXIST") throw error;
+		}
+
+		if (isStaleLock()) {
+			logger.warn("[PAPER] Removing stale state lock", { lockFile: STATE_LOCK_FILE });
+			fs.rmSync(STATE_LOCK_FILE, { force: true });
+			continue;
+		}
+		await utils.sleep(LOCK_POLL_MS);
+	}
+}
+
+function unlockState() {
+	fs.rmSync(STATE_LOCK_FILE, { force: true });
+}
+
+// Queues this process's state changes, the file lock only keeps other processes out
+let stateQueue = Promise.resolve();
+
+function withStateLock(task) {
+	const run = stateQueue.then(async () => {
+		await lockState();
+		try {
+			return task();
+		} finally {
+			unlockState();
+		}
+	});
+	stateQueue = run.catch(() => {});
+	return run;
+}
+
+function normalizeLevels(levels = []) {
+	return levels
+		.map((level) => (Array.isArray(level) ? { price: Number(level[0]), size: Number(level[1]) } : { price: Number(level.price), size: Number(level.size) }))
+		.filter((level) => level.price > 0 && level.size > 0);
+}
+
+/**
+ * Orderbook source for the paper exchange.
+ * Replays PAPER_ORDERBOOK_FILE when set, otherwise builds a synthetic book around a random walk.
+ */
+class PaperOrderbook {
+	constructor(state) {
+		this.state = state;
+		this.recorded = null;
+
+		const recordedPath = process.env.PAPER_ORDERBOOK_FILE;
+		if (recordedPath) {
+			this.recorded = new Map();
+			const lines = fs.readFileSync(recordedPath, "utf8").split("\n").filter(Boolean);
+			for (const line of lines) {
+				const snapshot = JSON.parse(line);
+				const asset = snapshot.asset || snapshot.symbol;
+				if (!this.recorded.has(asset)) this.recorded.set(asset, []);
+				this.recorded.get(asset).push({
+					bids: normalizeLevels(snapshot.bids).sort((a, b) => b.price - a.price),
+					asks: normalizeLevels(snapshot.asks).sort((a, b) => a.price - b.price),
+				});
+			}
+			logger.info("[PAPER] Loaded recorded orderbooks", {
+				file: recordedPath,
+				assets: Array.from(this.recorded.keys()),
+			});
+		}
+	}
+
+	currentTick() {
+		return Math.floor((Date.now() - this.state.startedAt) / TICK_MS);
+	}
+
+	getOrderbook(asset) {
+		return this.recorded ? this.getRecordedOrderbook(asset) : this.getSyntheticOrderbook(asset);
+	}
+
+	getRecordedOrderbook(asset) {
+		const snapshots = this.recorded.get(asset);
+		if (!snapshots?.length) {
+			throw new Error(`No recorded orderbook for ${asset}`);
+		}
+		return snapshots[Math.min(this.currentTick(), snapshots.length - 1)];
+	}
+
+	getSyntheticOrderbook(asset) {
+		const tick = this.currentTick();
+		let market = this.state.markets[asset];
+
+		if (!market) {
+			const startPrice = parseStartPrices()[asset];
+			if (!startPrice) {
+				throw new Error(`No synthetic start price for ${asset}, set PAPER_PRICES`);
+			}
+			market = { price: startPrice, tick };
+			this.state.markets[asset] = market;
+		}
+
+		while (market.tick < tick) {
+			market.tick++;
+			market.price *= 1 + VOLATILITY * seededGaussian(`${asset}:${market.tick}`);
+		}
+
+		const halfSpread = (market.price * SPREAD_BPS) / 10_000 / 2;
+		const levelSize = LEVEL_NOTIONAL / market.price;
+		const bids = [];
+		const asks = [];
+
+		for (let i = 0; i < DEPTH_LEVELS; i++) {
+			const offset = halfSpread + i * halfSpread;
+			bids.push({ price: market.price - offset, size: levelSize * (1 + i * 0.5) });
+			asks.push({ price: market.price + offset, size: levelSize * (1 + i * 0.5) });
+		}
+
+		return { bids, asks };
+	}
+}
+
+/**
+ * Stand-in for CrossClient. Holds one simulated margin account and
+ * exposes the subset of the client API the trading managers touch.
+ */
+class PaperClient {
+	constructor(wrapper, walletKey) {
+		this.wrapper = wrapper;
+		this.walletKey = walletKey;
+		this.account = null;
+	}
+
+	get accountState() {
+		return this.wrapper.state.wallets[this.walletKey];
+	}
+
+	async updateState() {
+		await this.wrapper.mutateState(() => this.wrapper.processTriggerOrders());
+	}
+
+	getPositions(asset) {
+		const position = this.accountState.positions[asset];
+		if (!position || position.size === 0) {
+			return [];
+		}
+		return [
+			{
+				marketIndex: asset,
+				asset,
+				market: null,
+				size: position.size,
+				costOfTrades: position.costOfTrades,
+			},
+		];
+	}
+
+	getTriggerOrders(asset) {
+		return this.accountState.triggerOrders.filter((order) => order.asset === asset);
+	}
+
+	findAvailableTriggerOrderBit(startIndex = 0) {
+		const used = new Set(this.accountState.triggerOrders.map((order) => order.triggerOrderBit));
+		for (let bit = startIndex; bit < 128; bit++) {
+			if (!used.has(bit)) return bit;
+		}
+		throw new Error("No available trigger order bits");
+	}
+
+	async cancelTriggerOrder(triggerOrderBit) {
+		return this.wrapper.mutateState(() => {
+			this.accountState.triggerOrders = this.accountState.triggerOrders.filter((order) => order.triggerOrderBit !== triggerOrderBit);
+			return this.wrapper.nextTxid("cancel");
+		});
+	}
+
+	async cancelAllTriggerOrders(asset) {
+		return this.wrapper.mutateState(() => {
+			this.accountState.triggerOrders = this.accountState.triggerOrders.filter((order) => asset !== undefined && order.asset !== asset);
+			return [this.wrapper.nextTxid("cancel")];
+		});
+	}
+}
+
+export class PaperClientWrapper extends ZetaClientWrapper {
+	constructor() {
+		super();
+		this.state = null;
+		this.orderbook = null;
+		this.walletKey = null;
+	}
+
+	async initializeExchange(markets) {
+		await this.mutateState(() => this.openMarkets(markets));
+		logger.info("[PAPER] Simulated exchange loaded", {
+			markets,
+			source: process.env.PAPER_ORDERBOOK_FILE || "synthetic",
+			stateFile: PAPER_STATE_FILE,
+		});
+	}
+
+	// Accepts both wrapper signatures: initialize(keypairPath) and initialize(markets, keypairPath)
+	async initialize(marketsOrKeypairPath = null, keypairPath = null) {
+		const keyPath = (Array.isArray(marketsOrKeypairPath) ? keypairPath : marketsOrKeypairPath) || process.env.KEYPAIR_FILE_PATH;
+
+		this.walletKey = `paper:${path.basename(keyPath || "default")}`;
+		await this.mutateState(() => {
+			if (Array.isArray(marketsOrKeypairPath)) this.openMarkets(marketsOrKeypairPath);
+			this.state.wallets[this.walletKey] ??= {
+				balance: STARTING_BALANCE,
+				positions: {},
+				triggerOrders: [],
+			};
+		});
+
+		this.wallet = { publicKey: this.walletKey };
+		this.client = new PaperClient(this, this.walletKey);
+
+		logger.info("[PAPER] Wallet initialized", {
+			wallet: this.walletKey,
+			balance: this.state.wallets[this.walletKey].balance,
+		});
+	}
+
+	loadState() {
+		if (fs.existsSync(PAPER_STATE_FILE)) {
+			this.state = JSON.parse(fs.readFileSync(PAPER_STATE_FILE, "utf8"));
+		} else if (!this.state) {
+			this.state = { startedAt: Date.now(), txCounter: 0, markets: {}, wallets: {} };
+		}
+
+		if (!this.orderbook) {
+			this.orderbook = new PaperOrderbook(this.state);
+		}
+		this.orderbook.state = this.state;
+	}
+
+	// Written to a temporary file and renamed, so a reader never sees half a snapshot
+	saveState() {
+		const tmpFile = `${PAPER_STATE_FILE}.${process.pid}.tmp`;
+		fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+		fs.renameSync(tmpFile, PAPER_STATE_FILE);
+	}
+
+	/**
+	 * Applies fn to the latest state and saves it, holding the state lock. fn must be
+	 * synchronous and must not call mutateState: the lock is held across it, and state
+	 * read before an await may be stale.
+	 */
+	mutateState(fn) {
+		return withStateLock(() => {
+			this.loadState();
+			const result = fn();
+			this.saveState();
+			return result;
+		});
+	}
+
+	// The synthetic walk starts where a market is first seen, so that is saved before anyone reads it
+	openMarkets(markets = []) {
+		if (this.orderbook.recorded) return;
+		for (const asset of markets) this.orderbook.getOrderbook(asset);
+	}
+
+	nextTxid(kind) {
+		this.state.txCounter++;
+		return `paper-${kind}-${this.state.txCounter}`;
+	}
+
+	async updatePriorityFees() {}
+
+	isExchangeInitialized() {
+		return this.state !== null;
+	}
+
+	async getPosition(marketIndex) {
+		try {
+			await this.client.updateState();
+			const positions = this.client.getPositions(marketIndex);
+			logger.debug("[PAPER] Position check:", {
+				marketIndex,
+				hasPosition: !!positions[0],
+				size: positions[0]?.size || 0,
+			});
+			return positions[0] || null;
+		} catch (error) {
+			logger.error("Error getting position:", error);
+			throw error;
+		}
+	}
+
+	async getMarginAccountState() {
+		await this.client.updateState();
+		const account = this.client.accountState;
+		const unrealizedPnl = Object.entries(account.positions).reduce((sum, [asset, position]) => {
+			const { markPrice } = this.getMarkPriceAndSpread(asset);
+			return sum + markPrice * position.size - Math.sign(position.size) * position.costOfTrades;
+		}, 0);
+
+		return {
+			balance: account.balance,
+			equity: account.balance + unrealizedPnl,
+			unrealizedPnl,
+		};
+	}
+
+	getMarkPriceAndSpread(asset = this.activeMarket) {
+		try {
+			// The walk is seeded per tick, so advancing it in memory gives every process the same
+			// book. It is saved with this process's next change
+			const orderbook = this.orderbook.getOrderbook(asset);
+
+			if (!orderbook?.asks?.[0]?.price || !orderbook?.bids?.[0]?.price) {
+				throw new Error("Invalid orderbook data");
+			}
+
+			const bestAsk = orderbook.asks[0].price;
+			const bestBid = orderbook.bids[0].price;
+			const markPrice = (bestAsk + bestBid) / 2;
+			const spread = ((bestAsk - bestBid) / markPrice) * 100;
+
+			return {
+				markPrice,
+				bestAsk,
+				bestBid,
+				spread,
+			};
+		} catch (error) {
+			logger.error("Error getting mark price and spread:", error);
+			throw error;
+		}
+	}
+
+	async getOrderbook(marketIndex) {
+		return this.mutateState(() => this.orderbook.getOrderbook(marketIndex));
+	}
+
+	getTriggerOrders(marketIndex = this.activeMarket) {
+		return this.client.getTriggerOrders(marketIndex);
+	}
+
+	async cancelAllTriggerOrders(marketIndex) {
+		await this.client.updateState();
+
+		const openTriggerOrders = this.getTriggerOrders(marketIndex);
+
+		if (openTriggerOrders && openTriggerOrders.length > 0) {
+			logger.info("Found Trigger Orders, Cancelling...", openTriggerOrders);
+			const txids = await this.client.cancelAllTriggerOrders(marketIndex);
+			logger.info("Trigger Orders Cancelled.");
+			return txids;
+		} else {
+			logger.info(`No Trigger Orders found.`);
+		}
+	}
+
+	// Paper accounts don't pay funding, so entries are never limited by it and trades record none
+	getFundingState() {
+		return null;
+	}
+
+	async openPosition(direction, marketIndex = this.activeMarket, makerOrTaker = "taker") {
+		logger.info(`[PAPER] Opening ${direction} position for ${assets.assetToName(marketIndex)}`);
+
+		const configured = await this.fetchSettings(marketIndex);
+		const tpsl = this.resolveEntryTPSL(marketIndex, configured);
+		const settings = withTPSLDistances(configured, tpsl);
+		await this.client.updateState();
+
+		const balance = this.client.accountState.balance;
+		const side = direction === "long" ? types.Side.BID : types.Side.ASK;
+
+		const { adjustedPrice, nativeLotSize: plannedLotSize } = await this.calculatePricesAndSize(
+			side,
+			marketIndex,
+			balance,
+			settings,
+			makerOrTaker
+		);
+
+		const { estimate, nativeLotSize, reason } = await this.checkEntrySlippage(side, marketIndex, plannedLotSize, settings);
+		if (reason) {
+			logger.warn(`[SLIPPAGE] Skipping ${direction} ${assets.assetToName(marketIndex)}: ${reason}`);
+			return paperResult(null, new TradingError(ERROR_TYPES.SLIPPAGE_LIMIT, reason));
+		}
+
+		const { takeProfitPrice, takeProfitTrigger, stopLossPrice, stopLossTrigger } = this.calculateTPSLPrices(
+			direction,
+			adjustedPrice,
+			settings
+		);
+
+		const { fill, txid } = await this.mutateState(() => {
+			const fill = this.fillOrder(this.client.accountState, marketIndex, side, adjustedPrice, utils.convertNativeLotSizeToDecimal(nativeLotSize), false);
+			if (fill.size === 0) return { fill };
+
+			const filledNativeLots = utils.convertDecimalToNativeLotSize(fill.size);
+			const [triggerBit_TP, triggerBit_SL] = findTPSLTriggerBits(this.client);
+
+			this.client.accountState.triggerOrders.push(
+				this.createTriggerOrder(marketIndex, direction, takeProfitPrice, takeProfitTrigger, filledNativeLots, triggerBit_TP, "takeProfit"),
+				this.createTriggerOrder(marketIndex, direction, stopLossPrice, stopLossTrigger, filledNativeLots, triggerBit_SL, "stopLoss")
+			);
+			return { fill, txid: this.nextTxid("open") };
+		});
+
+		if (fill.size === 0) {
+			logger.error(`[PAPER] Failed to open ${direction} position for ${assets.assetToName(marketIndex)}`, {
+				reason: "No liquidity at limit price",
+				limitPrice: adjustedPrice.toFixed(4),
+			});
+			return paperResult(null, new TradingError(ERROR_TYPES.NO_FILL, "No liquidity at limit price"));
+		}
+
+		logger.info(`[PAPER] Transaction filled. txid: ${txid}`, {
+			direction,
+			asset: assets.assetToName(marketIndex),
+			size: fill.size,
+			averagePrice: fill.averagePrice.toFixed(4),
+			fees: fill.fees.toFixed(4),
+			takeProfit: takeProfitPrice.toFixed(4),
+			stopLoss: stopLossPrice.toFixed(4),
+		});
+
+		return { ...paperResult(txid), execution: await this.reportEntryFill(direction, marketIndex, estimate), tpsl };
+	}
+
+	// Same sizing as the live addToPosition, the simulated trigger orders follow the blended entry straight away
+	async addToPosition(direction, marketIndex) {
+		const asset = assets.assetToName(marketIndex);
+		const settings = await this.fetchPositionSettings(marketIndex, direction);
+		await this.client.updateState();
+
+		const position = this.client.getPositions(marketIndex)[0];
+		if (!position || (position.size > 0 ? "long" : "short") !== direction) {
+			return paperResult(null, new TradingError(ERROR_TYPES.POSITION_LIMIT, `No ${direction} ${asset} position to add to`));
+		}
+
+		const side = direction === "long" ? types.Side.BID : types.Side.ASK;
+		const { adjustedPrice, nativeLotSize: openLotSize } = await this.calculatePricesAndSize(
+			side,
+			marketIndex,
+			this.client.accountState.balance,
+			settings,
+			"taker"
+		);
+
+		const addLotSize = this.calculateAddLotSize(marketIndex, position, openLotSize, adjustedPrice, settings.pyramiding);
+		if (addLotSize <= 0) {
+			logger.info(`[PYRAMID] Not adding to ${direction} ${asset}: add would be less than one lot or over the limit`);
+			return paperResult(null, new TradingError(ERROR_TYPES.POSITION_LIMIT, "Pyramiding limit reached"));
+		}
+
+		const { estimate, nativeLotSize, reason } = await this.checkEntrySlippage(side, marketIndex, addLotSize, settings);
+		if (reason) {
+			logger.warn(`[SLIPPAGE] Skipping add to ${direction} ${asset}: ${reason}`);
+			return paperResult(null, new TradingError(ERROR_TYPES.SLIPPAGE_LIMIT, reason));
+		}
+
+		const { fill, blended, entryPrice, txid } = await this.mutateState(() => {
+			const fill = this.fillOrder(this.client.accountState, marketIndex, side, adjustedPrice, utils.convertNativeLotSizeToDecimal(nativeLotSize), false);
+			if (fill.size === 0) return { fill };
+
+			const blended = this.client.accountState.positions[marketIndex];
+			const entryPrice = Math.abs(blended.costOfTrades / blended.size);
+			const { takeProfit, stopLoss } = this.calculateNativeTPSLPrices(direction, entryPrice, settings);
+			const stopLossDirection = direction === "long" ? types.TriggerDirection.LESSTHANOREQUAL : types.TriggerDirection.GREATERTHANOREQUAL;
+
+			for (const order of this.client.accountState.triggerOrders.filter((order) => order.asset === marketIndex)) {
+				order.size = utils.convertDecimalToNativeLotSize(Math.abs(blended.size));
+				Object.assign(order, order.triggerDirection === stopLossDirection ? stopLoss : takeProfit);
+			}
+			return { fill, blended, entryPrice, txid: this.nextTxid("add") };
+		});
+		if (fill.size === 0) {
+			return paperResult(null, new TradingError(ERROR_TYPES.NO_FILL, "No liquidity at limit price"));
+		}
+
+		logger.info(`[PAPER] Transaction filled. txid: ${txid}`, {
+			direction,
+			asset,
+			size: fill.size,
+			averagePrice: fill.averagePrice.toFixed(4),
+			blendedEntry: entryPrice.toFixed(4),
+			totalSize: Math.abs(blended.size),
+			fees: fill.fees.toFixed(4),
+		});
+
+		return { ...paperResult(txid), execution: await this.reportEntryFill(direction, marketIndex, estimate) };
+	}
+
+	// Same options as the live closePosition: a partial close resizes the simulated trigger orders to what is left
+	async closePosition(direction, marketIndex, { fraction = 1, moveStopToBreakeven = false } = {}) {
+		await this.client.updateState();
+
+		const position = this.client.getPositions(marketIndex)[0];
+
+		if (!position) {
+			logger.info(`No position to close for ${assets.assetToName(marketIndex)}`);
+			return;
+		}
+
+		logger.info(`[PAPER] Closing position for ${assets.assetToName(marketIndex)}`, { ...position, fraction });
+
+		const positionLots = utils.convertDecimalToNativeLotSize(Math.abs(position.size));
+		const nativeMinLotSize = utils.getNativeMinLotSize(marketIndex);
+		const partialLots = Math.max(nativeMinLotSize, Math.round((positionLots * fraction) / nativeMinLotSize) * nativeMinLotSize);
+		const closeSize = partialLots >= positionLots ? Math.abs(position.size) : utils.convertNativeLotSizeToDecimal(partialLots);
+		const entryPrice = Math.abs(position.costOfTrades / position.size);
+
+		const side = direction == "long" ? types.Side.ASK : types.Side.BID;
+		const closePrice = await this.getClosePrice(marketIndex, side);
+		const stopLossPrices = moveStopToBreakeven
+			? this.calculateBreakevenStopPrices(direction, entryPrice, await this.fetchPositionSettings(marketIndex, direction))
+			: null;
+		const stopLossDirection = direction === "long" ? types.TriggerDirection.LESSTHANOREQUAL : types.TriggerDirection.GREATERTHANOREQUAL;
+
+		const { fill, remaining, txid } = await this.mutateState(() => {
+			const fill = this.fillOrder(this.client.accountState, marketIndex, side, closePrice, closeSize, true);
+
+			const remaining = this.client.accountState.positions[marketIndex];
+			if (remaining) {
+				for (const order of this.client.accountState.triggerOrders.filter((order) => order.asset === marketIndex)) {
+					order.size = utils.convertDecimalToNativeLotSize(Math.abs(remaining.size));
+					if (stopLossPrices && order.triggerDirection === stopLossDirection) Object.assign(order, stopLossPrices);
+				}
+			}
+			return { fill, remaining, txid: this.nextTxid("close") };
+		});
+
+		logger.info(`[PAPER] Transaction filled. txid: ${txid}`, {
+			asset: assets.assetToName(marketIndex),
+			size: fill.size,
+			remainingSize: remaining ? Math.abs(remaining.size) : 0,
+			averagePrice: fill.averagePrice.toFixed(4),
+			realizedPnl: fill.realizedPnl.toFixed(4),
+			fees: fill.fees.toFixed(4),
+			balance: this.client.accountState.balance.toFixed(4),
+		});
+
+		return paperResult(txid);
+	}
+
+	// Edits the simulated stop-loss trigger order in place, or places one if it is missing
+	async adjustStopLossOrder(newPrices, marketIndex, size) {
+		await this.client.updateState();
+
+		const position = this.client.getPositions(marketIndex)[0];
+		if (!position) {
+			logger.info(`No position to adjust stop loss for ${assets.assetToName(marketIndex)}`);
+			return false;
+		}
+
+		const direction = position.size > 0 ? "long" : "short";
+		const nativeLotSize = utils.convertDecimalToNativeLotSize(Math.abs(size));
+		const replacement = this.createTriggerOrder(
+			marketIndex,
+			direction,
+			newPrices.orderPrice / 1e6,
+			newPrices.triggerPrice / 1e6,
+			nativeLotSize,
+			null,
+			"stopLoss"
+		);
+
+		const txid = await this.mutateState(() => {
+			const triggerOrders = this.client.accountState.triggerOrders;
+			const index = triggerOrders.findIndex(
+				(order) => order.asset === marketIndex && order.triggerDirection === replacement.triggerDirection
+			);
+
+			if (index === -1) {
+				triggerOrders.push({ ...replacement, triggerOrderBit: this.client.findAvailableTriggerOrderBit() });
+			} else {
+				triggerOrders[index] = { ...replacement, triggerOrderBit: triggerOrders[index].triggerOrderBit };
+			}
+			return this.nextTxid("adjust-sl");
+		});
+
+		logger.info(`[PAPER] Stop loss adjusted. txid: ${txid}`, {
+			asset: assets.assetToName(marketIndex),
+			orderPrice: (newPrices.orderPrice / 1e6).toFixed(4),
+			triggerPrice: (newPrices.triggerPrice / 1e6).toFixed(4),
+		});
+
+		return true;
+	}
+
+	createTriggerOrder(marketIndex, direction, orderPrice, triggerPrice, nativeLotSize, triggerOrderBit, kind) {
+		const isLong = direction === "long";
+		const isTakeProfit = kind === "takeProfit";
+
+		return {
+			asset: marketIndex,
+			orderPrice: utils.convertDecimalToNativeInteger(orderPrice),
+			triggerPrice: utils.convertDecimalToNativeInteger(triggerPrice),
+			size: nativeLotSize,
+			side: isLong ? types.Side.ASK : types.Side.BID,
+			triggerDirection:
+				isLong === isTakeProfit ? types.TriggerDirection.GREATERTHANOREQUAL : types.TriggerDirection.LESSTHANOREQUAL,
+			orderType: types.OrderType.FILLORKILL,
+			reduceOnly: true,
+			triggerOrderBit,
+			creationTs: Math.floor(Date.now() / 1000),
+		};
+	}
+
+	// Walks the book up to limitPrice, applies the fill to the account's position and balance
+	fillOrder(account, marketIndex, side, limitPrice, size, reduceOnly, fillOrKill = false) {
+		const position = account.positions[marketIndex] || { size: 0, costOfTrades: 0 };
+		const orderbook = this.orderbook.getOrderbook(marketIndex);
+		const levels = side === types.Side.BID ? orderbook.asks : orderbook.bids;
+		const sign = side === types.Side.BID ? 1 : -1;
+
+		let remaining = reduceOnly ? Math.min(size, Math.abs(position.size)) : size;
+		let filled = 0;
+		let notional = 0;
+
+		for (const level of levels) {
+			if (remaining <= 0) break;
+			const crosses = side === types.Side.BID ? level.price <= limitPrice : level.price >= limitPrice;
+			if (!crosses) break;
+
+			const quantity = Math.min(remaining, level.size);
+			filled += quantity;
+			notional += quantity * level.price;
+			remaining -= quantity;
+		}
+
+		if (filled === 0 || (fillOrKill && remaining > 1e-9)) {
+			return { size: 0, averagePrice: 0, fees: 0, realizedPnl: 0 };
+		}
+
+		const averagePrice = notional / filled;
+		const fees = (notional * TAKER_FEE_BPS) / 10_000;
+		let realizedPnl = 0;
+
+		const isReducing = position.size !== 0 && Math.sign(position.size) !== sign;
+
+		if (isReducing) {
+			const entryPrice = position.costOfTrades / Math.abs(position.size);
+			const closed = Math.min(filled, Math.abs(position.size));
+			realizedPnl = (averagePrice - entryPrice) * closed * Math.sign(position.size);
+
+			position.costOfTrades -= entryPrice * closed;
+			position.size += sign * closed;
+
+			// Any excess flips the position at the fill price
+			const excess = filled - closed;
+			if (excess > 0) {
+				position.size = sign * excess;
+				position.costOfTrades = excess * averagePrice;
+			}
+		} else {
+			position.size += sign * filled;
+			position.costOfTrades += notional;
+		}
+
+		if (Math.abs(position.size) < 1e-9) {
+			delete account.positions[marketIndex];
+		} else {
+			account.positions[marketIndex] = position;
+		}
+
+		account.balance += realizedPnl - fees;
+
+		return { size: filled, averagePrice, fees, realizedPnl };
+	}
+
+	// Fires any trigger orders crossed by the current mark price. Once one closes a position
+	// the other orders on that market go too, like the other leg of an OCO pair. Runs inside mutateState
+	processTriggerOrders() {
+		for (const walletKey of Object.keys(this.state.wallets)) {
+			const account = this.state.wallets[walletKey];
+			const remaining = [];
+			const closedAssets = new Set();
+			let changed = false;
+
+			for (const order of account.triggerOrders) {
+				const position = account.positions[order.asset];
+				const { markPrice } = this.getMarkPriceAndSpread(order.asset);
+				const triggerPrice = order.triggerPrice / 1e6;
+				const triggered =
+					order.triggerDirection === types.TriggerDirection.GREATERTHANOREQUAL
+						? markPrice >= triggerPrice
+						: markPrice <= triggerPrice;
+
+				if (!triggered || !position || (order.reduceOnly && Math.sign(position.size) === (order.side === types.Side.BID ? 1 : -1))) {
+					remaining.push(order);
+					continue;
+				}
+
+				const fill = this.fillOrder(
+					account,
+					order.asset,
+					order.side,
+					order.orderPrice / 1e6,
+					utils.convertNativeLotSizeToDecimal(order.size),
+					order.reduceOnly,
+					order.orderType === types.OrderType.FILLORKILL
+				);
+
+				if (fill.size === 0) {
+					remaining.push(order);
+					continue;
+				}
+
+				changed = true;
+				logger.info(`[PAPER] Trigger order ${order.triggerOrderBit} executed`, {
+					wallet: walletKey,
+					asset: order.asset,
+					triggerPrice: triggerPrice.toFixed(4),
+					averagePrice: fill.averagePrice.toFixed(4),
+					size: fill.size,
+					realizedPnl: fill.realizedPnl.toFixed(4),
+				});
+				if (!account.positions[order.asset]) closedAssets.add(order.asset);
+			}
+
+			if (changed) {
+				account.triggerOrders = remaining.filter((order) => !closedAssets.has(order.asset));
+			}
+
+			for (const asset of closedAssets) {
+				logger.info(`[PAPER] Position closed by trigger order, cancelled the other trigger orders`, {
+					wallet: walletKey,
+					asset,
+					cancelled: remaining.filter((order) => order.asset === asset).map((order) => order.triggerOrderBit),
+				});
+			}
+		}
+	}
+}
@@ -1,8 +1,15 @@
-import { Wallet, CrossClient, Exchange, Network, Market, utils, types, assets, constants, events } from "@zetamarkets/sdk";
+import { Wallet, CrossClient, Exchange, Network, Market, utils, types, assets, constants, events, Decimal } from "@zetamarkets/sdk";
 import { PublicKey, Connection, Keypair, Transaction, TransactionMessage, VersionedTransaction, ComputeBudgetProgram } from "@solana/web3.js";
 import fs from "fs";
 import dotenv from "dotenv";
 import logger from "../utils/logger.js";
+import { getSettings } from "../config/settings.js";
+import { sizeEntry } from "../utils/entry-sizing.js";
+import { findTPSLTriggerBits } from "../utils/trigger-orders.js";
+import { withTPSLDistances } from "../utils/tpsl-distances.js";
+import { tradeJournal } from "../utils/trade-journal.js";
+import { TransactionManager } from "../utils/transaction-manager.js";
+import { TX_STATUS, failedResult } from "../utils/trading-errors.js";
 import { BN, PriorityFeeMethod, PriorityFeeSubscriber, fetchSolanaPriorityFee } from "@drift-labs/sdk";
 
 dotenv.config();
@@ -20,7 +27,7 @@ export class ZetaClientWrapper {
     this.priorityFees = null;
     this.priorityFeeMultiplier = 5;
     this.currentPriorityFee = 5_000;
-
+    this.transactionManager = null;
 
     this.monitoringInterval = null;
 
@@ -179,6 +186,31 @@ export class ZetaClientWrapper {
     }
   }
 
+  /**
+   * Margin account balance and equity (balance plus unrealized PnL and unpaid funding).
+   */
+  async getMarginAccountState() {
+    await this.client.updateState();
+    const state = Exchange.riskCalculator.getCrossMarginAccountState(this.client.account);
+    return {
+      balance: state.balance,
+      equity: state.equity,
+      unrealizedPnl: state.unrealizedPnlTotal,
+    };
+  }
+
+  /**
+   * Latest daily funding rate and cumulative funding index of the market, same as
+   * the trading client's getFundingState.
+   */
+  getFundingState(marketIndex) {
+    const assetIndex = assets.assetToIndex(marketIndex);
+    return {
+      rate: Decimal.fromAnchorDecimal(Exchange.pricing.latestFundingRates[assetIndex]).toNumber(),
+      index: Decimal.fromAnchorDecimal(Exchange.pricing.fundingDeltas[assetIndex]).toNumber() / 10 ** constants.PLATFORM_PRECISION,
+    };
+  }
+
   getCalculatedMarkPrice(asset = this.activeMarket) {
     try {
       Exchange.getPerpMarket(asset).forceFetchOrderbook();
@@ -195,38 +227,83 @@ export class ZetaClientWrapper {
     }
   }
 
+  getMarkPriceAndSpread(asset = this.activeMarket) {
+    try {
+      Exchange.getPerpMarket(asset).forceFetchOrderbook();
+      const orderbook = Exchange.getOrderbook(asset);
+
+      if (!orderbook?.asks?.[0]?.price || !orderbook?.bids?.[0]?.price) {
+        throw new Error("Invalid orderbook data");
+      }
+
+      const bestAsk = orderbook.asks[0].price;
+      const bestBid = orderbook.bids[0].price;
+      const markPrice = (bestAsk + bestBid) / 2;
+      const spread = ((bestAsk - bestBid) / markPrice) * 100;
+
+      return { markPrice, bestAsk, bestBid, spread };
+    } catch (error) {
+      logger.error("Error getting mark price and spread:", error);
+      throw error;
+    }
+  }
+
+  async waitForAcceptableSpread(marketIndex, maxSpread, maxWaitTime = 30000, pollInterval = 1000) {
+    const startTime = Date.now();
+    let attempts = 0;
+
+    while (Date.now() - startTime < maxWaitTime) {
+      const marketData = this.getMarkPriceAndSpread(marketIndex);
+      attempts++;
+
+      logger.info("Checking spread:", {
+        market: assets.assetToName(marketIndex),
+        spread: marketData.spread.toFixed(4) + "%",
+        maxSpread: maxSpread.toFixed(4) + "%",
+        attempt: attempts,
+        elapsedTime: ((Date.now() - startTime) / 1000).toFixed(1) + "s",
+      });
+
+      if (marketData.spread <= maxSpread) {
+        return marketData;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+
+    throw new Error(`Unable to find acceptable spread after ${maxWaitTime / 1000}s`);
+  }
+
   async openPosition(direction, marketIndex = constants.Asset.SOL, makerOrTaker = "taker") {
     try {
       logger.info(`Opening ${direction} position for ${assets.assetToName(marketIndex)}`);
-      const txid = await this.openPositionWithTPSLVersioned(direction, marketIndex, makerOrTaker);
-
-      if (!txid) {
-        throw new Error("No transaction ID returned");
+      const result = await this.openPositionWithTPSLVersioned(direction, marketIndex, makerOrTaker);
+
+      if (result.status !== TX_STATUS.LANDED) {
+        logger.error(`Position opening ${result.status}`, {
+          direction,
+          asset: assets.assetToName(marketIndex),
+          signatures: result.signatures,
+          error: result.error,
+        });
+        return result;
       }
 
       logger.info(`Position opened successfully`, {
         direction,
         asset: assets.assetToName(marketIndex),
-        txid,
+        txid: result.signature,
       });
 
-      return txid;
+      return result;
     } catch (error) {
-      // Categorize and enhance the error
-      const errorContext = {
+      const result = failedResult(error);
+      logger.error(`Failed to open ${direction} position for ${assets.assetToName(marketIndex)}`, {
         direction,
         asset: assets.assetToName(marketIndex),
-        type: error.name,
-        details: error.message,
-        code: error.code, // If provided by SDK
-        timestamp: new Date().toISOString(),
-      };
-
-      // Log a single, comprehensive error message
-      logger.error(`Failed to open ${direction} position for ${assets.assetToName(marketIndex)}`, errorContext);
-
-      // Rethrow a cleaner error for upper layers
-      throw new Error(`Position opening failed: ${error.message}`);
+        ...result.error,
+      });
+      return result;
     }
   }
 
@@ -254,13 +331,13 @@ export class ZetaClientWrapper {
         logger.info("Trigger Orders Cancelled.", triggerOrderTxs);
       }
 
-      const settings = await this.fetchSettings();
+      const settings = await this.fetchSettings(marketIndex);
       logger.info(`Using settings:`, settings);
 
       const balance = Exchange.riskCalculator.getCrossMarginAccountState(this.client.account).balance;
       const side = direction === "long" ? types.Side.BID : types.Side.ASK;
 
-      const { currentPrice, adjustedPrice, positionSize, nativeLotSize } = this.calculatePricesAndSize(side, marketIndex, balance, settings, "taker");
+      const { currentPrice, adjustedPrice, positionSize, nativeLotSize } = await this.calculatePricesAndSize(side, marketIndex, balance, settings, "taker");
 
       const { takeProfitPrice, takeProfitTrigger, stopLossPrice, stopLossTrigger } = this.calculateTPSLPrices(direction, adjustedPrice, settings);
 
@@ -288,14 +365,8 @@ Opening ${direction} position:
         })
       );
 
-      const triggerBit_TP = this.client.findAvailableTriggerOrderBit();
-      const triggerBit_SL = this.client.findAvailableTriggerOrderBit(triggerBit_TP + 1);
-
-      // Forcefully increment bits if they collide with cancelled ones or exceed 127
-      while (cancelledBits.includes(triggerBit_TP) || cancelledBits.includes(triggerBit_SL) || triggerBit_SL > 127) {
-        triggerBit_TP = (triggerBit_TP + 1) % 128;
-        triggerBit_SL = (triggerBit_TP + 1) % 128;
-      }
+      // Skips bits still in use and the ones just cancelled
+      const [triggerBit_TP, triggerBit_SL] = findTPSLTriggerBits(this.client, cancelledBits);
 
       const mainOrderIx = this.createMainOrderInstruction(marketIndex, adjustedPrice, nativeLotSize, side, "taker");
       const tpOrderIx = this.createTPOrderInstruction(direction, marketIndex, takeProfitPrice, takeProfitTrigger, nativeLotSize, triggerBit_TP);
@@ -305,21 +376,13 @@ Opening ${direction} position:
       transaction.add(tpOrderIx);
       transaction.add(slOrderIx);
 
-      const txid = await utils.processTransaction(
-        this.client.provider,
-        transaction,
-        undefined,
-        {
-          skipPreflight: true,
-          preflightCommitment: "confirmed",
-          commitment: "confirmed",
-        },
-        false,
-        utils.getZetaLutArr()
-      );
+      this.transactionManager ??= new TransactionManager(this.client.provider);
+      const result = await this.transactionManager.send(transaction, { label: `Open ${direction} ${assets.assetToName(marketIndex)}` });
 
-      logger.info(`Transaction sent successfully. txid: ${txid}`);
-      return txid;
+      if (result.status === TX_STATUS.LANDED) {
+        logger.info(`Transaction sent successfully. txid: ${result.signature}`);
+      }
+      return result;
     } catch (error) {
       logger.error("Error opening position with TP/SL:", error);
       throw error;
@@ -335,24 +398,22 @@ Opening ${direction} position:
     }
   }
 
-  async fetchSettings() {
-    try {
-      const settings = {
-        leverageMultiplier: 4,
-        takeProfitPercentage: 0.036,
-        stopLossPercentage: 0.018,
-        trailingStopLoss: {
-          progressThreshold: 0.6, // Updated default
-          stopLossDistance:  0.4,
-        },
-      };
+  // Resolved from settings.json: defaults, then the SETTINGS_PROFILE profile, then per-symbol overrides
+  async fetchSettings(marketIndex) {
+    return getSettings(marketIndex);
+  }
 
-      // logger.info("Parsed settings:", settings); // Debug log
-      return settings;
-    } catch (error) {
-      logger.error("Error fetching settings:", error);
-      throw error;
-    }
+  /**
+   * Settings for the open position, with the TP/SL distances recorded in the journal when
+   * it was opened in place of the configured ones (see utils/tpsl-distances.js).
+   */
+  async fetchPositionSettings(marketIndex, direction) {
+    const openTrade = tradeJournal.findOpenTrade({
+      wallet: this.wallet.publicKey.toString(),
+      symbol: assets.assetToName(marketIndex),
+      direction,
+    });
+    return withTPSLDistances(await this.fetchSettings(marketIndex), openTrade?.tpsl);
   }
 
   calculateTPSLPrices(direction, price, settings) {
@@ -394,19 +455,14 @@ Opening ${direction} position:
     };
   }
 
-  calculatePricesAndSize(side, marketIndex, balance, settings, makerOrTaker = "taker") {
+  async calculatePricesAndSize(side, marketIndex, balance, settings, makerOrTaker = "taker") {
     if (side === undefined || side === null || !marketIndex || !balance || !settings) {
       throw new Error("Invalid inputs for price and size calculation");
     }
 
-    Exchange.getPerpMarket(marketIndex).forceFetchOrderbook();
-    const orderbook = Exchange.getOrderbook(marketIndex);
-
-    if (!orderbook?.asks?.[0]?.price || !orderbook?.bids?.[0]?.price) {
-      throw new Error("Invalid orderbook data for price calculation");
-    }
+    const { bestAsk, bestBid } = await this.waitForAcceptableSpread(marketIndex, settings.maxSpreadPercent);
 
-    const currentPrice = side === types.Side.BID ? orderbook.asks[0].price : orderbook.bids[0].price;
+    const currentPrice = side === types.Side.BID ? bestAsk : bestBid;
     const slippage = 0.0001;
 
     const adjustedPrice =
@@ -417,7 +473,16 @@ Opening ${direction} position:
       : side === types.Side.BID ? currentPrice * (1 + slippage * 5)
       : currentPrice * (1 - slippage * 5);
 
-    const positionSize = (balance * settings.leverageMultiplier) / currentPrice;
+    const direction = side === types.Side.BID ? "long" : "short";
+    const { stopLossPrice } = this.calculateTPSLPrices(direction, adjustedPrice, settings);
+    const { positionSize } = sizeEntry({
+      symbol: assets.assetToName(marketIndex),
+      marketIndex,
+      balance,
+      entryPrice: adjustedPrice,
+      stopLossPrice,
+      settings,
+    });
     const decimalMinLotSize = utils.getDecimalMinLotSize(marketIndex);
     const lotSize = Math.floor(positionSize / decimalMinLotSize);
     const nativeLotSize = lotSize * utils.getNativeMinLotSize(marketIndex);
@@ -10,6 +10,7 @@ import {
 	assets,
 	constants,
 	events,
+	Decimal,
 } from "@zetamarkets/sdk";
 import {
 	PublicKey,
@@ -23,6 +24,15 @@ import {
 import fs from "fs";
 import dotenv from "dotenv";
 import logger from "../utils/logger.js";
+import { getSettings } from "../config/settings.js";
+import { sizeEntry } from "../utils/entry-sizing.js";
+import { findTPSLTriggerBits } from "../utils/trigger-orders.js";
+import { TransactionManager } from "../utils/transaction-manager.js";
+import { ERROR_TYPES, TX_STATUS, TradingError, classifyError, failedResult, sendWithRetries } from "../utils/trading-errors.js";
+import { estimateFill, maxSizeWithinSlippage, slippageOf } from "../utils/slippage.js";
+import { checkFundingCost } from "../utils/funding-history.js";
+import { resolveTPSLDistances, withTPSLDistances } from "../utils/tpsl-distances.js";
+import { tradeJournal } from "../utils/trade-journal.js";
 import { BN } from "@drift-labs/sdk";
 
 dotenv.config();
@@ -40,6 +50,7 @@ export class ZetaClientWrapper {
 		this.priorityFees = null;
 		this.priorityFeeMultiplier = 10;
 		this.currentPriorityFee = 5_000;
+		this.transactionManager = null;
 
 		this.monitoringInterval = null;
 
@@ -182,6 +193,19 @@ export class ZetaClientWrapper {
 		}
 	}
 
+	/**
+	 * Margin account balance and equity (balance plus unrealized PnL and unpaid funding).
+	 */
+	async getMarginAccountState() {
+		await this.client.updateState(true, true);
+		const state = Exchange.riskCalculator.getCrossMarginAccountState(this.client.account);
+		return {
+			balance: state.balance,
+			equity: state.equity,
+			unrealizedPnl: state.unrealizedPnlTotal,
+		};
+	}
+
 	getCalculatedMarkPrice(asset = this.activeMarket) {
 		const { markPrice } = this.getMarkPriceAndSpread(asset);
 		return markPrice;
@@ -226,12 +250,22 @@ export class ZetaClientWrapper {
 	async openPosition(direction, marketIndex = this.activeMarket, makerOrTaker = "taker") {
 		logger.info(`Opening ${direction} position for ${assets.assetToName(marketIndex)}`);
 
-		const settings = this.fetchSettings();
+		// The TP/SL distances stay with the position, the bots record them from the result
+		const configured = this.fetchSettings(marketIndex);
+		const tpsl = this.resolveEntryTPSL(marketIndex, configured);
+		const settings = withTPSLDistances(configured, tpsl);
 
 		logger.info(`Using settings:`, settings);
 
 		await this.client.updateState(true, true);
 
+		// Leftover TP/SL orders from a previous position on this market would act on the new one
+		const cancelledBits = await this.cancelTriggerOrdersBeforeOpen(marketIndex);
+
+		if (settings.entry.mode === "maker" || makerOrTaker === "maker") {
+			return { ...(await this.openPositionMaker(direction, marketIndex, settings, cancelledBits)), tpsl };
+		}
+
 		let transaction = new Transaction().add(
 			ComputeBudgetProgram.setComputeUnitLimit({
 				units: 350_000,
@@ -244,7 +278,7 @@ export class ZetaClientWrapper {
 
 		const side = direction === "long" ? types.Side.BID : types.Side.ASK;
 
-		const { currentPrice, adjustedPrice, positionSize, nativeLotSize } = await this.calculatePricesAndSize(
+		const { currentPrice, adjustedPrice, positionSize, nativeLotSize: sizedLotSize } = await this.calculatePricesAndSize(
 			side,
 			marketIndex,
 			balance,
@@ -252,7 +286,36 @@ export class ZetaClientWrapper {
 			"taker"
 		);
 
-  /*
+		const { nativeLotSize: plannedLotSize, reason: fundingReason } = this.checkEntryFunding(
+			direction,
+			marketIndex,
+			sizedLotSize,
+			settings
+		);
+		if (fundingReason) {
+			logger.warn(`[FUNDING] Skipping ${direction} ${assets.assetToName(marketIndex)}: ${fundingReason}`);
+			return failedResult(new TradingError(ERROR_TYPES.FUNDING_LIMIT, fundingReason));
+		}
+
+		// Children of a sliced entry each take a share of the book, so the limit only applies to single orders
+		const sliced = this.shouldSlice(settings.slicing, plannedLotSize, adjustedPrice);
+		const { estimate, nativeLotSize, reason } = await this.checkEntrySlippage(
+			side,
+			marketIndex,
+			plannedLotSize,
+			settings,
+			!sliced
+		);
+		if (reason) {
+			logger.warn(`[SLIPPAGE] Skipping ${direction} ${assets.assetToName(marketIndex)}: ${reason}`);
+			return failedResult(new TradingError(ERROR_TYPES.SLIPPAGE_LIMIT, reason));
+		}
+
+		if (sliced) {
+			const result = await this.openPositionSliced(direction, marketIndex, settings, cancelledBits, nativeLotSize, currentPrice, estimate);
+			return { ...result, tpsl };
+		}
+
 		const { takeProfitPrice, takeProfitTrigger, stopLossPrice, stopLossTrigger } = this.calculateTPSLPrices(
 			direction,
 			adjustedPrice,
@@ -272,19 +335,16 @@ Opening ${direction} position:
                       ↓
       SL Price ⟶ $${stopLossPrice.toFixed(4)}
 ------------------------------`);
-*/
+
 		await this.updatePriorityFees();
 
 		await Exchange.updateState();
 
 		await this.client.updateState(true, true);
 
-		// const triggerBit_TP = this.client.findAvailableTriggerOrderBit();
-		// const triggerBit_SL = this.client.findAvailableTriggerOrderBit(triggerBit_TP + 1);
+		const [triggerBit_TP, triggerBit_SL] = findTPSLTriggerBits(this.client, cancelledBits);
 
 		const mainOrderIx = this.createMainOrderInstruction(marketIndex, adjustedPrice, nativeLotSize, side, "taker");
-		
-		/*
 		const tpOrderIx = this.createTPOrderInstruction(
 			direction,
 			marketIndex,
@@ -301,55 +361,721 @@ Opening ${direction} position:
 			nativeLotSize,
 			triggerBit_SL
 		);
-*/
 
+		// Entry, TP and SL land together or not at all, so a position is never left without a stop
 		transaction.add(mainOrderIx);
-		// transaction.add(tpOrderIx);
-		// transaction.add(slOrderIx);
+		transaction.add(tpOrderIx);
+		transaction.add(slOrderIx);
 
+		let result;
 		try {
-			const txid = await utils.processTransaction(
-				this.client.provider,
-				transaction,
-				undefined,
-				{
-					skipPreflight: true,
-					preflightCommitment: "confirmed",
-					commitment: "confirmed",
-				},
-				false,
-				utils.getZetaLutArr()
-			);
-
-			logger.info(`Transaction sent successfully. txid: ${txid}`);
-			return txid;
+			result = await this.sendTransaction(transaction, `Open ${direction} ${assets.assetToName(marketIndex)}`);
 		} catch (error) {
-			// Categorize and enhance the error
-			const errorContext = {
+			result = failedResult(error);
+			logger.error(`Failed to open ${direction} position for ${assets.assetToName(marketIndex)}`, {
 				direction,
 				asset: assets.assetToName(marketIndex),
-				type: error.name,
-				details: error.message,
-				code: error.code, // If provided by SDK
-				timestamp: new Date().toISOString(),
+				...result.error,
+			});
+			return result;
+		}
+
+		// Outside the try, a failure from here on must not read as an open that was never sent
+		if (result.status === TX_STATUS.LANDED) {
+			logger.info(`Transaction sent successfully. txid: ${result.signature}`, {
+				triggerBits: { takeProfit: triggerBit_TP, stopLoss: triggerBit_SL },
+			});
+			result.execution = await this.reportEntryFill(direction, marketIndex, estimate);
+			result.tpsl = tpsl;
+		}
+		return result;
+	}
+
+	/**
+	 * Adds to the open position (pyramiding). The add is a taker order of
+	 * pyramiding.sizeFraction of what a new open would be, capped by
+	 * pyramiding.maxTotalNotionalUsd for the whole position. Once it has filled the TP/SL
+	 * orders are resized to the new total and re-priced from the blended entry.
+	 */
+	async addToPosition(direction, marketIndex) {
+		const asset = assets.assetToName(marketIndex);
+		const settings = this.fetchPositionSettings(marketIndex, direction);
+
+		await this.client.updateState(true, true);
+		const position = this.client.getPositions(marketIndex)[0];
+		if (!position || position.size === 0 || (position.size > 0 ? "long" : "short") !== direction) {
+			return failedResult(new TradingError(ERROR_TYPES.POSITION_LIMIT, `No ${direction} ${asset} position to add to`));
+		}
+
+		const balance = Exchange.riskCalculator.getCrossMarginAccountState(this.client.account).balance;
+		const side = direction === "long" ? types.Side.BID : types.Side.ASK;
+		const { adjustedPrice, nativeLotSize: openLotSize } = await this.calculatePricesAndSize(side, marketIndex, balance, settings, "taker");
+
+		const addLotSize = this.calculateAddLotSize(marketIndex, position, openLotSize, adjustedPrice, settings.pyramiding);
+		if (addLotSize <= 0) {
+			const { maxTotalNotionalUsd } = settings.pyramiding;
+			const reason =
+				maxTotalNotionalUsd !== null && Math.abs(position.size) * adjustedPrice >= maxTotalNotionalUsd
+					? `position is at the $${maxTotalNotionalUsd} pyramiding limit`
+					: "add would be less than one lot";
+			logger.info(`[PYRAMID] Not adding to ${direction} ${asset}: ${reason}`);
+			return failedResult(new TradingError(ERROR_TYPES.POSITION_LIMIT, reason));
+		}
+
+		const funded = this.checkEntryFunding(direction, marketIndex, addLotSize, settings);
+		if (funded.reason) {
+			logger.warn(`[FUNDING] Skipping add to ${direction} ${asset}: ${funded.reason}`);
+			return failedResult(new TradingError(ERROR_TYPES.FUNDING_LIMIT, funded.reason));
+		}
+
+		const { estimate, nativeLotSize, reason } = await this.checkEntrySlippage(side, marketIndex, funded.nativeLotSize, settings);
+		if (reason) {
+			logger.warn(`[SLIPPAGE] Skipping add to ${direction} ${asset}: ${reason}`);
+			return failedResult(new TradingError(ERROR_TYPES.SLIPPAGE_LIMIT, reason));
+		}
+
+		logger.info(`[PYRAMID] Adding to ${direction} ${asset}`, {
+			currentSize: Math.abs(position.size),
+			currentEntry: Math.abs(position.costOfTrades / position.size).toFixed(4),
+			addSize: utils.convertNativeLotSizeToDecimal(nativeLotSize),
+			price: adjustedPrice.toFixed(4),
+		});
+
+		await this.updatePriorityFees();
+		await Exchange.updateState();
+		await this.client.updateState(true, true);
+
+		// The TP/SL orders keep covering the old size until the fill is known, a reduce-only
+		// order larger than the position would fail when it fires
+		const transaction = new Transaction()
+			.add(ComputeBudgetProgram.setComputeUnitLimit({ units: 350_000 }))
+			.add(this.createMainOrderInstruction(marketIndex, adjustedPrice, nativeLotSize, side, "taker"));
+
+		let result;
+		try {
+			result = await this.sendTransaction(transaction, `Add ${direction} ${asset}`);
+		} catch (error) {
+			result = failedResult(error);
+		}
+		if (result.status !== TX_STATUS.LANDED) {
+			logger.error(`Failed to add to ${direction} position for ${asset}`, result.error);
+			return result;
+		}
+		logger.info(`Transaction sent successfully. txid: ${result.signature}`);
+		result.execution = await this.reportEntryFill(direction, marketIndex, estimate);
+
+		const blended = this.client.getPositions(marketIndex)[0];
+		const entryPrice = Math.abs(blended.costOfTrades / blended.size);
+		const { takeProfit, stopLoss } = this.calculateNativeTPSLPrices(direction, entryPrice, settings);
+		const signature = await this.resizeTriggerOrders(marketIndex, this.getFilledNativeLots(marketIndex), stopLoss, takeProfit);
+		if (signature) {
+			logger.info(`Transaction sent successfully. txid: ${signature}`, { blendedEntry: entryPrice.toFixed(4) });
+		} else {
+			logger.error(`[PYRAMID] ${direction} ${asset} TP/SL orders still cover only the size before the add`);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Maker entry: posts a POSTONLYSLIDE order at the top of the book and re-prices it
+	 * every chaseIntervalSeconds. Chasing stops once the book is more than maxChaseTicks
+	 * from the first post or timeBudgetSeconds have passed; the unfilled rest is then
+	 * dropped, or taken with fallbackToTaker.
+	 *
+	 * The TP/SL orders can only be sized once the fills are known, so unlike a taker
+	 * entry they go out in their own transaction after the entry, once no order of ours
+	 * is left on the book to fill under them (see clearRestingOrders).
+	 */
+	async openPositionMaker(direction, marketIndex, settings, cancelledBits = []) {
+		const { chaseIntervalSeconds, maxChaseTicks, timeBudgetSeconds, fallbackToTaker } = settings.entry;
+		const asset = assets.assetToName(marketIndex);
+		const side = direction === "long" ? types.Side.BID : types.Side.ASK;
+		const tickSize = this.getTickSize(marketIndex);
+
+		const balance = Exchange.riskCalculator.getCrossMarginAccountState(this.client.account).balance;
+		const { nativeLotSize: sizedLotSize } = await this.calculatePricesAndSize(side, marketIndex, balance, settings, "maker");
+		const { nativeLotSize, reason } = this.checkEntryFunding(direction, marketIndex, sizedLotSize, settings);
+		if (reason) {
+			logger.warn(`[FUNDING] Skipping ${direction} ${asset}: ${reason}`);
+			return failedResult(new TradingError(ERROR_TYPES.FUNDING_LIMIT, reason));
+		}
+
+		const signatures = [];
+		const startTime = Date.now();
+		let firstPrice = null;
+		let chases = 0;
+		let lastResult = null;
+		let postedAt = null;
+		let orderMayRest = false;
+
+		while (true) {
+			await this.client.updateState(true, true);
+			const remaining = nativeLotSize - this.getFilledNativeLots(marketIndex);
+			if (remaining <= 0) break;
+
+			const price = await this.getTopOfBookPrice(marketIndex, side);
+			firstPrice ??= price;
+			const ticksAway = Math.round(Math.abs(price - firstPrice) / tickSize);
+			const elapsed = (Date.now() - startTime) / 1000;
+
+			if (ticksAway > maxChaseTicks || elapsed >= timeBudgetSeconds) {
+				logger.info(`[MAKER] Stopped chasing ${direction} ${asset}`, {
+					reason: ticksAway > maxChaseTicks ? `book moved ${ticksAway} ticks` : "time budget used",
+					elapsed: elapsed.toFixed(1) + "s",
+					chases,
+				});
+				break;
+			}
+
+			// The order expires by itself shortly after the next re-price, in case the bot dies meanwhile
+			const postIx = this.createMainOrderInstruction(marketIndex, price, remaining, side, "maker", chaseIntervalSeconds + 30);
+			postedAt = Date.now();
+			lastResult = await this.sendTransaction(new Transaction().add(postIx), `Post ${direction} ${asset}`).catch(failedResult);
+			if (lastResult.status !== TX_STATUS.LANDED) break;
+
+			signatures.push(lastResult.signature);
+			logger.info(`[MAKER] Posted ${direction} ${asset} at $${price.toFixed(4)}. txid: ${lastResult.signature}`, {
+				size: utils.convertNativeLotSizeToDecimal(remaining),
+				chase: chases,
+			});
+
+			await utils.sleep(chaseIntervalSeconds * 1000);
+
+			if (!(await this.cancelRestingOrders(marketIndex))) break;
+			chases++;
+		}
+
+		// A failed post or cancel can leave the order resting, still filling after the TP/SL are sized
+		if (postedAt !== null) {
+			orderMayRest = !(await this.clearRestingOrders(marketIndex, postedAt + (chaseIntervalSeconds + 30) * 1000));
+		}
+
+		await this.client.updateState(true, true);
+		const unfilled = nativeLotSize - this.getFilledNativeLots(marketIndex);
+
+		if (unfilled > 0 && fallbackToTaker && !orderMayRest) {
+			const { bestAsk, bestBid } = this.getMarkPriceAndSpread(marketIndex);
+			const takerPrice = side === types.Side.BID ? bestAsk + tickSize : bestBid - tickSize;
+			const takerIx = this.createMainOrderInstruction(marketIndex, takerPrice, unfilled, side, "taker");
+
+			const unfilledSize = utils.convertNativeLotSizeToDecimal(unfilled);
+			logger.info(`[MAKER] Taking the unfilled ${unfilledSize} ${asset} at $${takerPrice.toFixed(4)}`);
+			lastResult = await this.sendTransaction(new Transaction().add(takerIx), `Take ${direction} ${asset}`).catch(failedResult);
+			if (lastResult.status === TX_STATUS.LANDED) signatures.push(lastResult.signature);
+			await this.client.updateState(true, true);
+		}
+
+		const position = this.client.getPositions(marketIndex)[0];
+		if (!position || position.size === 0) {
+			logger.info(`[MAKER] ${direction} ${asset} entry not filled`, { chases });
+			// A rejected post (e.g. insufficient margin) is passed on, otherwise the book just never came to us
+			if (lastResult && lastResult.status !== TX_STATUS.LANDED) return lastResult;
+			// Retrying would only chase again past the configured limits
+			return failedResult(new TradingError(ERROR_TYPES.NO_FILL, "Maker entry not filled", { retryable: false }));
+		}
+
+		const { entryPrice, takeProfitPrice, stopLossPrice, signature } = await this.placeTPSLForFilledPosition(
+			direction,
+			marketIndex,
+			position,
+			settings,
+			cancelledBits,
+			"[MAKER]"
+		);
+		if (signature) signatures.push(signature);
+		if (orderMayRest) {
+			logger.error(`[MAKER] ${direction} ${asset} order may still be on the book, TP/SL only cover ${position.size}`);
+		}
+
+		logger.info(`[MAKER] ${direction} ${asset} entry filled`, {
+			size: position.size,
+			averagePrice: entryPrice.toFixed(4),
+			takeProfit: takeProfitPrice.toFixed(4),
+			stopLoss: stopLossPrice.toFixed(4),
+			chases,
+		});
+
+		return { status: TX_STATUS.LANDED, signature: signatures[signatures.length - 1], signatures, attempts: chases + 1 };
+	}
+
+	/**
+	 * Places TP/SL orders sized to an entry that has already filled and priced from
+	 * its average entry, retrying transient failures.
+	 * @returns {Promise<Object>} the TP/SL prices, entryPrice and the landed signature (null when it failed)
+	 */
+	async placeTPSLForFilledPosition(direction, marketIndex, position, settings, cancelledBits, prefix) {
+		const asset = assets.assetToName(marketIndex);
+		const entryPrice = Math.abs(position.costOfTrades / position.size);
+		const filledNativeLots = utils.convertDecimalToNativeLotSize(Math.abs(position.size));
+		const prices = this.calculateTPSLPrices(direction, entryPrice, settings);
+		const { takeProfitPrice, takeProfitTrigger, stopLossPrice, stopLossTrigger } = prices;
+
+		const [triggerBit_TP, triggerBit_SL] = findTPSLTriggerBits(this.client, cancelledBits);
+		const tpOrderIx = this.createTPOrderInstruction(
+			direction,
+			marketIndex,
+			takeProfitPrice,
+			takeProfitTrigger,
+			filledNativeLots,
+			triggerBit_TP
+		);
+		const slOrderIx = this.createSLOrderInstruction(
+			direction,
+			marketIndex,
+			stopLossPrice,
+			stopLossTrigger,
+			filledNativeLots,
+			triggerBit_SL
+		);
+		const protection = new Transaction().add(tpOrderIx).add(slOrderIx);
+
+		const { result, error } = await sendWithRetries(
+			() => this.sendTransaction(protection, `TP/SL ${direction} ${asset}`).catch(failedResult),
+			{ label: `${prefix} TP/SL ${direction} ${asset}:` }
+		);
+
+		if (error) {
+			logger.error(`${prefix} ${direction} ${asset} is open WITHOUT TP/SL orders`, error.toJSON());
+			return { ...prices, entryPrice, signature: null };
+		}
+
+		logger.info(`Transaction sent successfully. txid: ${result.signature}`, {
+			triggerBits: { takeProfit: triggerBit_TP, stopLoss: triggerBit_SL },
+		});
+		return { ...prices, entryPrice, signature: result.signature };
+	}
+
+	/**
+	 * True when the slicing settings apply to an order of nativeLotSize at price.
+	 */
+	shouldSlice(slicing, nativeLotSize, price) {
+		if (!slicing.enabled) return false;
+		return utils.convertNativeLotSizeToDecimal(nativeLotSize) * price >= slicing.minNotionalUsd;
+	}
+
+	/**
+	 * Sliced entry: the size from calculatePricesAndSize goes out as child orders (see
+	 * executeSlices) and the TP/SL orders are placed for what filled once the children are done.
+	 */
+	async openPositionSliced(direction, marketIndex, settings, cancelledBits, nativeLotSize, markPrice, estimate = null) {
+		const asset = assets.assetToName(marketIndex);
+		const side = direction === "long" ? types.Side.BID : types.Side.ASK;
+
+		const { fills, signatures, lastResult } = await this.executeSlices(marketIndex, side, nativeLotSize, settings.slicing, {
+			label: `${direction} ${asset}`,
+		});
+
+		await this.client.updateState(true, true);
+		const position = this.client.getPositions(marketIndex)[0];
+		if (!position || position.size === 0) {
+			logger.info(`[SLICE] ${direction} ${asset} entry not filled`, { children: fills.length });
+			if (lastResult && lastResult.status !== TX_STATUS.LANDED) return lastResult;
+			return failedResult(new TradingError(ERROR_TYPES.NO_FILL, "Sliced entry not filled"));
+		}
+
+		const execution = this.reportSlicedExecution(`${direction} ${asset} entry`, fills, nativeLotSize, markPrice, side, estimate);
+
+		const { signature } = await this.placeTPSLForFilledPosition(
+			direction,
+			marketIndex,
+			position,
+			settings,
+			cancelledBits,
+			"[SLICE]"
+		);
+		if (signature) signatures.push(signature);
+
+		return {
+			status: TX_STATUS.LANDED,
+			signature: signatures[signatures.length - 1],
+			signatures,
+			attempts: fills.length,
+			execution,
+		};
+	}
+
+	/**
+	 * Sliced close. A full close that runs out of children with size left returns a
+	 * retryable NO_FILL, so the caller's retry closes the rest. For a partial close the
+	 * NO_FILL isn't retryable: the retry's fraction would apply to the smaller position
+	 * and close more than asked.
+	 */
+	async closePositionSliced(direction, marketIndex, nativeLotSize, markPrice, partial = false) {
+		const asset = assets.assetToName(marketIndex);
+		const side = direction === "long" ? types.Side.ASK : types.Side.BID;
+
+		const { fills, filledNativeLots, signatures, lastResult } = await this.executeSlices(
+			marketIndex,
+			side,
+			nativeLotSize,
+			this.fetchSettings(marketIndex).slicing,
+			{ reduceOnly: true, label: `close ${direction} ${asset}` }
+		);
+
+		if (fills.length === 0) {
+			return lastResult ?? failedResult(new TradingError(ERROR_TYPES.NO_FILL, "Sliced close not filled"));
+		}
+
+		const execution = this.reportSlicedExecution(`${direction} ${asset} close`, fills, nativeLotSize, markPrice, side);
+		const unfilled = nativeLotSize - filledNativeLots;
+		if (unfilled > 0) {
+			const left = utils.convertNativeLotSizeToDecimal(unfilled);
+			return {
+				...failedResult(
+					new TradingError(ERROR_TYPES.NO_FILL, `Sliced close left ${left} ${asset} open`, { retryable: !partial })
+				),
+				signatures,
+				execution,
 			};
+		}
+
+		return {
+			status: TX_STATUS.LANDED,
+			signature: signatures[signatures.length - 1],
+			signatures,
+			attempts: fills.length,
+			execution,
+		};
+	}
 
-			// Log a single, comprehensive error message
-			logger.error(`Failed to open ${direction} position for ${assets.assetToName(marketIndex)}`, errorContext);
+	/**
+	 * Sends nativeLotSize as immediate-or-cancel child orders so a large order doesn't
+	 * walk a thin book in one go. slicing.method sizes the children:
+	 *   time  - the order split into `slices` equal children
+	 *   depth - each child at most maxDepthShare of the size shown in the first depthLevels levels
+	 * Children go out intervalSeconds apart, the book refilling in between. Each is priced
+	 * one tick through the deepest level it needs; whatever doesn't fill is cancelled rather
+	 * than left on the book. Children that fill short are made up by the next ones, up to
+	 * maxChildren, after which the rest is left to the caller.
+	 *
+	 * Every child's fill is measured from the position before and after it: opens from
+	 * the change in size and costOfTrades, reduce-only children from the realized PnL
+	 * booked to the balance against the costOfTrades entry (so fees count as slippage).
+	 * @returns {Promise<Object>} { fills: [{ size, price }], filledNativeLots, signatures, lastResult }
+	 */
+	async executeSlices(marketIndex, side, nativeLotSize, slicing, { reduceOnly = false, label }) {
+		const { method, slices, intervalSeconds, depthLevels, maxDepthShare, maxChildren } = slicing;
+		const nativeMinLotSize = utils.getNativeMinLotSize(marketIndex);
+		const tickSize = this.getTickSize(marketIndex);
+		const fills = [];
+		const signatures = [];
+		let filledNativeLots = 0;
+		let lastResult = null;
+
+		for (let child = 1; child <= maxChildren && filledNativeLots < nativeLotSize; child++) {
+			if (child > 1) await utils.sleep(intervalSeconds * 1000);
+
+			const orderbook = await this.getOrderbook(marketIndex);
+			const levels = (side === types.Side.BID ? orderbook.asks : orderbook.bids).slice(0, depthLevels);
+			if (levels.length === 0) {
+				logger.warn(`[SLICE] ${label}: empty book, stopping`, { child });
+				break;
+			}
+
+			const remaining = nativeLotSize - filledNativeLots;
+			let childLots =
+				method === "time"
+					? nativeLotSize / slices
+					: utils.convertDecimalToNativeLotSize(levels.reduce((sum, level) => sum + level.size, 0) * maxDepthShare);
+			childLots = Math.min(remaining, Math.max(nativeMinLotSize, Math.ceil(childLots / nativeMinLotSize) * nativeMinLotSize));
+
+			const childSize = utils.convertNativeLotSizeToDecimal(childLots);
+			let covered = 0;
+			const deepest = levels.find((level) => (covered += level.size) >= childSize) ?? levels[levels.length - 1];
+			const price = side === types.Side.BID ? deepest.price + tickSize : deepest.price - tickSize;
+
+			const before = this.getFillSnapshot(marketIndex);
+			const orderIx = this.createSliceOrderInstruction(marketIndex, price, childLots, side, reduceOnly);
+			lastResult = await this.sendTransaction(new Transaction().add(orderIx), `Slice ${child} ${label}`).catch(failedResult);
+
+			if (lastResult.status !== TX_STATUS.LANDED) {
+				const error = classifyError(lastResult);
+				logger.warn(`[SLICE] ${label}: child ${child} not landed, ${error.type}`, error.toJSON());
+				if (!error.retryable) break;
+				continue;
+			}
+
+			signatures.push(lastResult.signature);
+			await this.client.updateState(true, true);
+			const fill = this.measureChildFill(before, this.getFillSnapshot(marketIndex), reduceOnly, side);
+			filledNativeLots += utils.convertDecimalToNativeLotSize(fill.size);
+			if (fill.size > 0) fills.push(fill);
+
+			logger.info(`[SLICE] ${label}: child ${child} filled ${fill.size} of ${childSize}. txid: ${lastResult.signature}`, {
+				limitPrice: price.toFixed(4),
+				fillPrice: fill.size > 0 ? fill.price.toFixed(4) : null,
+				remaining: utils.convertNativeLotSizeToDecimal(Math.max(nativeLotSize - filledNativeLots, 0)),
+			});
 		}
+
+		return { fills, filledNativeLots, signatures, lastResult };
+	}
+
+	getFillSnapshot(marketIndex) {
+		const position = this.client.getPositions(marketIndex)[0];
+		return {
+			size: Math.abs(position?.size ?? 0),
+			cost: Math.abs(position?.costOfTrades ?? 0),
+			balance: Exchange.riskCalculator.getCrossMarginAccountState(this.client.account).balance,
+		};
 	}
 
-	async closePosition(direction, marketIndex) {
+	measureChildFill(before, after, reduceOnly, side) {
+		if (!reduceOnly) {
+			const size = after.size - before.size;
+			return { size, price: size > 0 ? (after.cost - before.cost) / size : null };
+		}
+
+		// Zeta scales costOfTrades down with the size on a reduce, so the exit price comes from the PnL instead
+		const size = before.size - after.size;
+		if (size <= 0) return { size: 0, price: null };
+		const entryPrice = before.cost / before.size;
+		const pnlPerUnit = (after.balance - before.balance) / size;
+		// Selling closes a long: exit = entry + PnL per unit, buying closes a short: exit = entry - PnL per unit
+		return { size, price: side === types.Side.ASK ? entryPrice + pnlPerUnit : entryPrice - pnlPerUnit };
+	}
 
+	/**
+	 * Logs the average fill of the children and its slippage against the mark price
+	 * when the signal came in. Positive slippage is a worse price than the mark.
+	 */
+	reportSlicedExecution(label, fills, nativeLotSize, markPrice, side, estimate = null) {
+		const filledSize = fills.reduce((sum, fill) => sum + fill.size, 0);
+		const averagePrice = fills.reduce((sum, fill) => sum + fill.size * fill.price, 0) / filledSize;
+		const slippagePercent = slippageOf(averagePrice, markPrice, side === types.Side.BID ? "buy" : "sell");
+
+		const execution = {
+			children: fills.length,
+			requestedSize: utils.convertNativeLotSizeToDecimal(nativeLotSize),
+			filledSize,
+			averagePrice,
+			markPrice,
+			slippagePercent,
+			estimatedPrice: estimate?.averagePrice ?? null,
+			estimatedSlippagePercent: estimate?.slippagePercent ?? null,
+		};
+		logger.info(`[SLICE] ${label} done`, {
+			...execution,
+			averagePrice: averagePrice.toFixed(4),
+			markPrice: markPrice.toFixed(4),
+			slippagePercent: slippagePercent.toFixed(4) + "%",
+			estimatedPrice: estimate?.averagePrice?.toFixed(4),
+			estimatedSlippagePercent: estimate ? estimate.slippagePercent.toFixed(4) + "%" : undefined,
+		});
+		return execution;
+	}
+
+	/**
+	 * Walks the book for the entry's size (see utils/slippage.js) and applies the symbol's
+	 * slippage limit when enforce is set. Returns the estimate and the size to send, with a
+	 * reason when the entry has to be skipped.
+	 */
+	async checkEntrySlippage(side, marketIndex, nativeLotSize, settings, enforce = true) {
+		const asset = assets.assetToName(marketIndex);
+		const { maxPercent, action, minResizeFraction } = settings.slippage;
+		const orderbook = await this.getOrderbook(marketIndex);
+		const levels = side === types.Side.BID ? orderbook.asks : orderbook.bids;
+		const markPrice = (orderbook.asks[0].price + orderbook.bids[0].price) / 2;
+		const direction = side === types.Side.BID ? "buy" : "sell";
+
+		const size = utils.convertNativeLotSizeToDecimal(nativeLotSize);
+		const estimate = { ...estimateFill(levels, size, markPrice, direction), markPrice };
+		logger.info(`[SLIPPAGE] Estimated ${direction} ${asset}`, {
+			size: estimate.size,
+			markPrice: markPrice.toFixed(4),
+			estimatedPrice: estimate.averagePrice?.toFixed(4),
+			estimatedSlippage: estimate.slippagePercent?.toFixed(4) + "%",
+			levelsUsed: estimate.levelsUsed,
+			visibleDepthShort: estimate.exhausted,
+			limit: maxPercent === null ? "off" : maxPercent + "%",
+		});
+
+		if (!enforce || maxPercent === null || (!estimate.exhausted && estimate.slippagePercent <= maxPercent)) {
+			return { estimate, nativeLotSize };
+		}
+
+		const reason = estimate.exhausted
+			? `visible book holds ${estimate.filledSize} of ${estimate.size} ${asset}`
+			: `estimated slippage ${estimate.slippagePercent.toFixed(4)}% is above the ${maxPercent}% limit`;
+		if (action !== "resize") return { estimate, nativeLotSize, reason };
+
+		const nativeMinLotSize = utils.getNativeMinLotSize(marketIndex);
+		const maxSize = maxSizeWithinSlippage(levels, markPrice, maxPercent, direction);
+		const resized = Math.floor(utils.convertDecimalToNativeLotSize(maxSize) / nativeMinLotSize) * nativeMinLotSize;
+		const resizedSize = utils.convertNativeLotSizeToDecimal(resized);
+		if (resized <= 0 || resized < nativeLotSize * minResizeFraction) {
+			return { estimate, nativeLotSize, reason: `${reason}, resizing would leave ${resizedSize} ${asset}` };
+		}
+
+		const resizedEstimate = { ...estimateFill(levels, resizedSize, markPrice, direction), markPrice };
+		logger.info(`[SLIPPAGE] Resized ${direction} ${asset} from ${estimate.size} to ${resizedEstimate.size}: ${reason}`, {
+			estimatedPrice: resizedEstimate.averagePrice.toFixed(4),
+			estimatedSlippage: resizedEstimate.slippagePercent.toFixed(4) + "%",
+		});
+		return { estimate: resizedEstimate, nativeLotSize: resized };
+	}
+
+	/**
+	 * The market's funding from the Exchange pricing account: rate is the latest daily
+	 * funding rate (positive when longs pay) and index the cumulative funding in USD per
+	 * unit of position, which is what unpaid funding is settled from.
+	 */
+	getFundingState(marketIndex) {
+		const assetIndex = assets.assetToIndex(marketIndex);
+		return {
+			rate: Decimal.fromAnchorDecimal(Exchange.pricing.latestFundingRates[assetIndex]).toNumber(),
+			index:
+				Decimal.fromAnchorDecimal(Exchange.pricing.fundingDeltas[assetIndex]).toNumber() / 10 ** constants.PLATFORM_PRECISION,
+		};
+	}
+
+	/**
+	 * Applies the symbol's funding limit (see utils/funding-history.js) to an entry of
+	 * nativeLotSize at the current funding rate. Returns the size to send, with a reason
+	 * when the entry has to be skipped.
+	 */
+	checkEntryFunding(direction, marketIndex, nativeLotSize, settings) {
+		const asset = assets.assetToName(marketIndex);
+		const funding = this.getFundingState(marketIndex);
+		if (!funding) return { nativeLotSize, reason: null };
+
+		const { maxCostPercent, expectedHoldHours } = settings.funding;
+		const { costPercent, sizeFactor, reason } = checkFundingCost(direction, funding.rate, settings.funding);
+		logger.info(`[FUNDING] ${direction} ${asset} entry`, {
+			dailyRate: (funding.rate * 100).toFixed(4) + "%",
+			expectedCost: costPercent.toFixed(4) + "%",
+			holdHours: expectedHoldHours,
+			limit: maxCostPercent === null ? "off" : maxCostPercent + "%",
+		});
+
+		if (reason || sizeFactor === 1) return { nativeLotSize, reason };
+
+		const nativeMinLotSize = utils.getNativeMinLotSize(marketIndex);
+		const resized = Math.floor((nativeLotSize * sizeFactor) / nativeMinLotSize) * nativeMinLotSize;
+		if (resized <= 0) {
+			return { nativeLotSize, reason: `expected funding of ${costPercent.toFixed(4)}% is above the limit and less than one lot would be left` };
+		}
+
+		logger.info(`[FUNDING] Resized ${direction} ${asset} from ${utils.convertNativeLotSizeToDecimal(nativeLotSize)} to ${utils.convertNativeLotSizeToDecimal(resized)}`);
+		return { nativeLotSize: resized, reason: null };
+	}
+
+	/**
+	 * Logs the entry's average fill from costOfTrades next to the pre-trade estimate.
+	 */
+	async reportEntryFill(direction, marketIndex, estimate) {
+		await this.client.updateState(true, true);
+		const position = this.client.getPositions(marketIndex)[0];
+		if (!position || position.size === 0) return null;
+
+		const averagePrice = Math.abs(position.costOfTrades / position.size);
+		const execution = {
+			filledSize: Math.abs(position.size),
+			averagePrice,
+			markPrice: estimate.markPrice,
+			slippagePercent: slippageOf(averagePrice, estimate.markPrice, direction === "long" ? "buy" : "sell"),
+			estimatedPrice: estimate.averagePrice,
+			estimatedSlippagePercent: estimate.slippagePercent,
+		};
+		logger.info(`[SLIPPAGE] ${direction} ${assets.assetToName(marketIndex)} filled`, {
+			size: execution.filledSize,
+			estimatedPrice: estimate.averagePrice?.toFixed(4),
+			actualPrice: averagePrice.toFixed(4),
+			estimatedSlippage: estimate.slippagePercent?.toFixed(4) + "%",
+			actualSlippage: execution.slippagePercent.toFixed(4) + "%",
+		});
+		return execution;
+	}
+
+	async getOrderbook(marketIndex) {
+		await Exchange.getPerpMarket(marketIndex).forceFetchOrderbook();
+		return Exchange.getOrderbook(marketIndex);
+	}
+
+	getFilledNativeLots(marketIndex) {
+		const position = this.client.getPositions(marketIndex)[0];
+		return position ? utils.convertDecimalToNativeLotSize(Math.abs(position.size)) : 0;
+	}
+
+	async getTopOfBookPrice(marketIndex, side) {
+		await Exchange.getPerpMarket(marketIndex).forceFetchOrderbook();
+		const { bestAsk, bestBid } = this.getMarkPriceAndSpread(marketIndex);
+		return side === types.Side.BID ? bestBid : bestAsk;
+	}
+
+	getTickSize(marketIndex) {
+		return utils.convertNativeIntegerToDecimal(utils.getNativeTickSize(marketIndex));
+	}
+
+	/**
+	 * Cancels the market's resting orders. Returns false when they may still be on the book.
+	 */
+	async cancelRestingOrders(marketIndex) {
+		await this.client.updateState(true, true);
+		if (this.client.getOrders(marketIndex).length === 0) return true;
+
+		const transaction = new Transaction().add(this.client.createCancelAllMarketOrdersInstruction(marketIndex));
+		const result = await this.sendTransaction(transaction, `Cancel orders ${assets.assetToName(marketIndex)}`).catch(failedResult);
+		if (result.status !== TX_STATUS.LANDED) {
+			logger.error(`[MAKER] Failed to cancel resting orders for ${assets.assetToName(marketIndex)}`, result.error);
+			return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Makes sure no maker order is left on the book before the fills are taken as final.
+	 * The cancel is retried, and when it keeps failing the order is waited out until expiresAt.
+	 * Returns false when the book still shows an order after that.
+	 */
+	async clearRestingOrders(marketIndex, expiresAt, attempts = 3) {
+		const asset = assets.assetToName(marketIndex);
+		for (let attempt = 1; attempt <= attempts; attempt++) {
+			if (await this.cancelRestingOrders(marketIndex)) return true;
+			if (attempt < attempts) await utils.sleep(attempt * 1000);
+		}
+
+		const wait = Math.max(0, expiresAt - Date.now()) + 5000;
+		logger.warn(`[MAKER] Waiting ${(wait / 1000).toFixed(0)}s for the resting ${asset} order to expire`);
+		await utils.sleep(wait);
 		await this.client.updateState(true, true);
+		return this.client.getOrders(marketIndex).length === 0;
+	}
+
+	/**
+	 * Cancels any trigger orders still open on the market and returns their bits.
+	 */
+	async cancelTriggerOrdersBeforeOpen(marketIndex) {
+		const openTriggerOrders = this.getTriggerOrders(marketIndex) || [];
+		if (openTriggerOrders.length === 0) return [];
+
+		logger.info("Found Trigger Orders, Cancelling...", openTriggerOrders);
+		const txids = await this.client.cancelAllTriggerOrders(marketIndex);
+		logger.info("Trigger Orders Cancelled.", txids);
 
-		let position = await this.client.getPositions(marketIndex); // <- RIGHT WAY
+		return openTriggerOrders.map((order) => order.triggerOrderBit);
+	}
+
+	/**
+	 * Closes the position, or part of it with options.fraction. A partial close also
+	 * resizes the TP/SL trigger orders to what is left, in the same transaction, and with
+	 * moveStopToBreakeven moves the stop loss to the entry price. A fraction that would
+	 * leave less than one lot closes everything.
+	 * @param {string} direction - "long" or "short"
+	 * @param {string} marketIndex
+	 * @param {Object} [options]
+	 * @param {number} [options.fraction=1] - share of the current size to close
+	 * @param {boolean} [options.moveStopToBreakeven=false]
+	 */
+	async closePosition(direction, marketIndex, { fraction = 1, moveStopToBreakeven = false } = {}) {
 
-		console.log(position);
+		await this.client.updateState(true, true);
+
+		const position = (await this.client.getPositions(marketIndex))?.[0]; // <- RIGHT WAY
 
 		if (position) {
-			position = position[0];
-			logger.info(`Closing position for ${assets.assetToName(marketIndex)}`, position);
+			logger.info(`Closing position for ${assets.assetToName(marketIndex)}`, { ...position, fraction });
 		} else {
 			logger.info(`No position to close for ${assets.assetToName(marketIndex)}`);
 			return;
@@ -358,9 +1084,12 @@ Opening ${direction} position:
 		// Calculate position size
 		const rawPositionSize = Math.abs(position.size);
 		const decimalMinLotSize = utils.getDecimalMinLotSize(marketIndex);
-		const lotSize = Math.round(rawPositionSize / decimalMinLotSize);
+		const positionLots = Math.round(rawPositionSize / decimalMinLotSize);
+		const partialLots = Math.max(1, Math.round(positionLots * fraction));
+		const lotSize = partialLots >= positionLots ? positionLots : partialLots;
 		const nativeLotSize = lotSize * utils.getNativeMinLotSize(marketIndex);
 		const actualPositionSize = lotSize * decimalMinLotSize;
+		const remainingNativeLotSize = (positionLots - lotSize) * utils.getNativeMinLotSize(marketIndex);
 
 		logger.info(`Lots Debug:`, {
 			rawPositionSize,
@@ -368,6 +1097,7 @@ Opening ${direction} position:
 			lotSize,
 			nativeLotSize,
 			actualPositionSize,
+			remainingLots: positionLots - lotSize,
 		});
 
 		await this.updatePriorityFees();
@@ -377,6 +1107,26 @@ Opening ${direction} position:
 		await this.client.updateState(true, true);
 
 		const side = direction == "long" ? types.Side.ASK : types.Side.BID;
+		const stopLossPrices = moveStopToBreakeven
+			? this.calculateBreakevenStopPrices(
+					direction,
+					Math.abs(position.costOfTrades / position.size),
+					this.fetchPositionSettings(marketIndex, direction)
+			  )
+			: null;
+
+		const markPrice = this.getCalculatedMarkPrice(marketIndex);
+		if (this.shouldSlice(this.fetchSettings(marketIndex).slicing, nativeLotSize, markPrice)) {
+			const partial = remainingNativeLotSize > 0;
+			const result = await this.closePositionSliced(direction, marketIndex, nativeLotSize, markPrice, partial);
+			// execution is set once any child filled, even when the close came up short
+			if (partial && (result.status === TX_STATUS.LANDED || result.execution)) {
+				// Children fill unevenly, so the orders follow what is actually left
+				await this.client.updateState(true, true);
+				await this.resizeTriggerOrders(marketIndex, this.getFilledNativeLots(marketIndex), stopLossPrices);
+			}
+			return result;
+		}
 
 		const closePrice = await this.getClosePrice(marketIndex, side);
 
@@ -386,26 +1136,76 @@ Opening ${direction} position:
 
 		transaction.add(mainOrderIx);
 
+		// Reduce-only trigger orders larger than the position would fail when they fire
+		if (remainingNativeLotSize > 0) {
+			for (const ix of this.createTriggerOrderResizeInstructions(marketIndex, remainingNativeLotSize, stopLossPrices)) {
+				transaction.add(ix);
+			}
+		}
+
 		try {
-			const txid = await utils.processTransaction(
-				this.client.provider,
-				transaction,
-				undefined,
-				{
-					skipPreflight: true,
-					preflightCommitment: "confirmed",
-					commitment: "confirmed",
-				},
-				false,
-				utils.getZetaLutArr()
+			const result = await this.sendTransaction(transaction, `Close ${direction} ${assets.assetToName(marketIndex)}`);
+
+			if (result.status === TX_STATUS.LANDED) {
+				logger.info(`Transaction sent successfully. txid: ${result.signature}`);
+			}
+			return result;
+		} catch (error) {
+			const result = failedResult(error);
+			logger.error(`Failed to close ${direction} position for ${assets.assetToName(marketIndex)}`, result.error);
+			return result;
+		}
+	}
+
+	/**
+	 * Edit instructions that resize the market's trigger orders to nativeLotSize, keeping
+	 * their prices. The stop loss takes stopLossPrices and the take profit takeProfitPrices
+	 * ({ orderPrice, triggerPrice } in native units) instead when given.
+	 */
+	createTriggerOrderResizeInstructions(marketIndex, nativeLotSize, stopLossPrices = null, takeProfitPrices = null) {
+		const stopLossDirection = (order) =>
+			order.side === types.Side.ASK ? types.TriggerDirection.LESSTHANOREQUAL : types.TriggerDirection.GREATERTHANOREQUAL;
+
+		return this.getTriggerOrders(marketIndex).map((order) => {
+			const isStopLoss = order.triggerDirection === stopLossDirection(order);
+			const prices = (isStopLoss ? stopLossPrices : takeProfitPrices) ?? order;
+			return instructions.editTriggerOrderIx(
+				prices.orderPrice,
+				prices.triggerPrice,
+				order.triggerDirection,
+				new BN(0),
+				nativeLotSize,
+				order.side,
+				order.orderType,
+				order.reduceOnly,
+				this.wallet.publicKey,
+				this.getTriggerOrderAddress(order.triggerOrderBit),
+				this.client.accountAddress
 			);
+		});
+	}
 
-			logger.info(`Transaction sent successfully. txid: ${txid}`);
+	/**
+	 * Resizes the trigger orders in their own transaction, for closes and adds whose fill
+	 * is only known afterwards. Returns the landed signature, or null.
+	 */
+	async resizeTriggerOrders(marketIndex, nativeLotSize, stopLossPrices = null, takeProfitPrices = null) {
+		if (nativeLotSize <= 0) return null;
 
-			return txid;
-		} catch (error) {
-			logger.error(`Close Position TX Error:`, error);
+		const transaction = new Transaction();
+		for (const ix of this.createTriggerOrderResizeInstructions(marketIndex, nativeLotSize, stopLossPrices, takeProfitPrices)) {
+			transaction.add(ix);
+		}
+
+		const { result, error } = await sendWithRetries(
+			() => this.sendTransaction(transaction, `Resize trigger orders ${assets.assetToName(marketIndex)}`).catch(failedResult),
+			{ label: `Resize trigger orders ${assets.assetToName(marketIndex)}:` }
+		);
+		if (error) {
+			logger.error(`Trigger orders for ${assets.assetToName(marketIndex)} were not resized to the position`, error.toJSON());
+			return null;
 		}
+		return result.signature;
 	}
 
 	async getClosePrice(marketIndex, side) {
@@ -469,6 +1269,176 @@ Opening ${direction} position:
 	// 	return closePrice;
 	// }
 
+	/**
+	 * Moves the position's stop loss to newPrices ({ orderPrice, triggerPrice } in native
+	 * 1e6 units). The existing stop-loss trigger order is edited in place. If the edit
+	 * fails or doesn't show up on-chain, the order is cancelled and replaced in a single
+	 * transaction so the position is never left without a stop.
+	 * @param {Object} newPrices - { orderPrice, triggerPrice }
+	 * @param {string} marketIndex
+	 * @param {number} size - position size, the sign is ignored
+	 * @returns {Promise<boolean>} true once the new stop loss is verified on-chain
+	 */
+	async adjustStopLossOrder(newPrices, marketIndex, size) {
+		await this.updatePriorityFees();
+
+		await this.client.updateState(true, true);
+
+		const position = this.client.getPositions(marketIndex)[0];
+		if (!position || position.size === 0) {
+			logger.info(`No position to adjust stop loss for ${assets.assetToName(marketIndex)}`);
+			return false;
+		}
+
+		const isShort = position.size < 0;
+		const side = isShort ? types.Side.BID : types.Side.ASK;
+		const triggerDirection = isShort ? types.TriggerDirection.GREATERTHANOREQUAL : types.TriggerDirection.LESSTHANOREQUAL;
+		const lotSize = Math.round(Math.abs(size) / utils.getDecimalMinLotSize(marketIndex));
+		const nativeLotSize = lotSize * utils.getNativeMinLotSize(marketIndex);
+
+		const stopLoss = this.getTriggerOrders(marketIndex).find((order) => order.triggerDirection === triggerDirection);
+
+		logger.info(`Adjusting stop loss for ${assets.assetToName(marketIndex)}`, {
+			direction: isShort ? "short" : "long",
+			triggerOrderBit: stopLoss?.triggerOrderBit ?? null,
+			previousOrderPrice: stopLoss ? (stopLoss.orderPrice / 1e6).toFixed(4) : null,
+			previousTriggerPrice: stopLoss ? (stopLoss.triggerPrice / 1e6).toFixed(4) : null,
+			orderPrice: (newPrices.orderPrice / 1e6).toFixed(4),
+			triggerPrice: (newPrices.triggerPrice / 1e6).toFixed(4),
+		});
+
+		if (stopLoss) {
+			try {
+				const triggerAccount = this.getTriggerOrderAddress(stopLoss.triggerOrderBit);
+				const transaction = new Transaction().add(
+					instructions.editTriggerOrderIx(
+						newPrices.orderPrice,
+						newPrices.triggerPrice,
+						triggerDirection,
+						new BN(0),
+						nativeLotSize,
+						side,
+						types.OrderType.FILLORKILL,
+						true, // reduceOnly
+						this.wallet.publicKey,
+						triggerAccount,
+						this.client.accountAddress
+					)
+				);
+
+				const result = await this.sendTransaction(transaction, `Edit stop loss ${assets.assetToName(marketIndex)}`);
+
+				if (result.status === TX_STATUS.LANDED && (await this.verifyStopLossOrder(marketIndex, triggerDirection, newPrices))) {
+					return true;
+				}
+				logger.warn(`Stop loss edit not applied for ${assets.assetToName(marketIndex)} (${result.status}), replacing the order`);
+			} catch (error) {
+				logger.error(`Stop loss edit failed for ${assets.assetToName(marketIndex)}, replacing the order:`, error);
+			}
+
+			await this.client.updateState(true, true);
+		}
+
+		// Cancel and place in one transaction: either both land or the old stop stays
+		const current = this.getTriggerOrders(marketIndex).find((order) => order.triggerDirection === triggerDirection);
+		const transaction = new Transaction();
+
+		if (current) {
+			transaction.add(
+				instructions.cancelTriggerOrderV2Ix(
+					current.triggerOrderBit,
+					this.wallet.publicKey,
+					this.getTriggerOrderAddress(current.triggerOrderBit),
+					this.client.accountAddress
+				)
+			);
+		}
+
+		// The cancelled bit is still marked used, so the replacement always gets a different one
+		const triggerBit_SL = this.client.findAvailableTriggerOrderBit();
+		transaction.add(
+			this.createSLOrderInstruction(
+				isShort ? "short" : "long",
+				marketIndex,
+				newPrices.orderPrice / 1e6,
+				newPrices.triggerPrice / 1e6,
+				nativeLotSize,
+				triggerBit_SL
+			)
+		);
+
+		try {
+			const result = await this.sendTransaction(transaction, `Replace stop loss ${assets.assetToName(marketIndex)}`);
+			if (result.status !== TX_STATUS.LANDED) {
+				logger.error(`Stop loss replacement ${result.status} for ${assets.assetToName(marketIndex)}`, { error: result.error });
+				return false;
+			}
+			logger.info(`Stop loss replacement landed. txid: ${result.signature}`, {
+				cancelledBit: current?.triggerOrderBit ?? null,
+				triggerOrderBit: triggerBit_SL,
+			});
+		} catch (error) {
+			logger.error(`Stop loss replacement failed for ${assets.assetToName(marketIndex)}:`, error);
+			return false;
+		}
+
+		return this.verifyStopLossOrder(marketIndex, triggerDirection, newPrices);
+	}
+
+	/**
+	 * Polls the account until a stop-loss trigger order with the new prices shows up.
+	 */
+	async verifyStopLossOrder(marketIndex, triggerDirection, newPrices, maxAttempts = 5) {
+		const VERIFY_INTERVAL = 2000;
+
+		for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+			try {
+				await this.client.updateState(true, true);
+
+				const stopLoss = this.getTriggerOrders(marketIndex).find(
+					(order) =>
+						order.triggerDirection === triggerDirection &&
+						order.orderPrice === newPrices.orderPrice &&
+						order.triggerPrice === newPrices.triggerPrice
+				);
+
+				if (stopLoss) {
+					logger.info(`Stop loss adjustment verified on attempt ${attempt}`, {
+						market: assets.assetToName(marketIndex),
+						triggerOrderBit: stopLoss.triggerOrderBit,
+					});
+					return true;
+				}
+
+				if (!this.client.getPositions(marketIndex)[0]) {
+					logger.info(`Position for ${assets.assetToName(marketIndex)} closed during stop loss verification`);
+					return false;
+				}
+			} catch (error) {
+				logger.error(`Error verifying stop loss adjustment:`, error);
+			}
+
+			if (attempt < maxAttempts) {
+				await utils.sleep(VERIFY_INTERVAL);
+			}
+		}
+
+		logger.error(`Failed to verify stop loss adjustment after ${maxAttempts} attempts`);
+		return false;
+	}
+
+	getTriggerOrderAddress(triggerOrderBit) {
+		return utils.getTriggerOrder(Exchange.programId, this.client.accountAddress, new Uint8Array([triggerOrderBit]))[0];
+	}
+
+	/**
+	 * Sends through the transaction manager and resolves to its { status, signature, ... } result.
+	 */
+	async sendTransaction(transaction, label) {
+		this.transactionManager ??= new TransactionManager(this.client.provider);
+		return this.transactionManager.send(transaction, { label });
+	}
+
 	getTriggerOrders(marketIndex = this.activeMarket) {
 		try {
 			return this.client.getTriggerOrders(marketIndex);
@@ -478,17 +1448,47 @@ Opening ${direction} position:
 		}
 	}
 
-	fetchSettings() {
-		const settings = {
-			leverageMultiplier: 4,
-			takeProfitPercentage: 0.036,
-			stopLossPercentage: 0.018,
-			trailingStopLoss: {
-				progressThreshold: 0.3,
-				stopLossDistance: 0.1,
-			},
-		};
-		return settings;
+	// Resolved from settings.json: defaults, then the SETTINGS_PROFILE profile, then per-symbol overrides
+	fetchSettings(marketIndex) {
+		return getSettings(marketIndex);
+	}
+
+	/**
+	 * Settings for the open position, with the TP/SL distances recorded in the journal when
+	 * it was opened in place of the configured ones (see utils/tpsl-distances.js).
+	 */
+	fetchPositionSettings(marketIndex, direction) {
+		const openTrade = tradeJournal.findOpenTrade({
+			wallet: this.wallet.publicKey.toString(),
+			symbol: assets.assetToName(marketIndex),
+			direction,
+		});
+		return withTPSLDistances(this.fetchSettings(marketIndex), openTrade?.tpsl);
+	}
+
+	/**
+	 * TP/SL distances for a new position. In atr mode they are logged with a [TPSL] prefix,
+	 * falling back to the fixed percentages until enough prices have been sampled.
+	 */
+	resolveEntryTPSL(marketIndex, settings) {
+		const tpsl = resolveTPSLDistances(marketIndex, settings);
+		if (settings.tpsl.mode !== "atr") return tpsl;
+
+		if (tpsl.mode !== "atr") {
+			logger.warn(`[TPSL] Not enough price history for the ${assets.assetToName(marketIndex)} ATR, using the fixed percentages`, {
+				minBars: settings.tpsl.minBars,
+				barMinutes: settings.tpsl.barMinutes,
+			});
+			return tpsl;
+		}
+
+		logger.info(`[TPSL] ${assets.assetToName(marketIndex)} distances from the ATR`, {
+			atr: tpsl.atrPercent.toFixed(4) + "%",
+			bars: tpsl.bars,
+			takeProfit: (tpsl.takeProfitPercentage * 100).toFixed(2) + "%",
+			stopLoss: (tpsl.stopLossPercentage * 100).toFixed(2) + "%",
+		});
+		return tpsl;
 	}
 
 	calculateTPSLPrices(direction, price, settings) {
@@ -536,6 +1536,59 @@ Opening ${direction} position:
 		};
 	}
 
+	/**
+	 * Stop loss at the entry price in native units, its trigger placed ahead of it the
+	 * same way calculateTPSLPrices places the original stop's trigger.
+	 */
+	calculateBreakevenStopPrices(direction, entryPrice, settings) {
+		const { stopLossPrice } = this.calculateTPSLPrices(direction, entryPrice, settings);
+		const offset = Math.abs(entryPrice - stopLossPrice) * 0.05;
+		const triggerPrice = this.roundToTickSize(direction === "long" ? entryPrice + offset : entryPrice - offset);
+
+		return {
+			orderPrice: utils.convertDecimalToNativeInteger(this.roundToTickSize(entryPrice)),
+			triggerPrice: utils.convertDecimalToNativeInteger(triggerPrice),
+		};
+	}
+
+	/**
+	 * Both trigger orders' prices for entryPrice in native units, as placed on open.
+	 */
+	calculateNativeTPSLPrices(direction, entryPrice, settings) {
+		const { takeProfitPrice, takeProfitTrigger, stopLossPrice, stopLossTrigger } = this.calculateTPSLPrices(
+			direction,
+			entryPrice,
+			settings
+		);
+
+		return {
+			takeProfit: {
+				orderPrice: utils.convertDecimalToNativeInteger(takeProfitPrice),
+				triggerPrice: utils.convertDecimalToNativeInteger(takeProfitTrigger),
+			},
+			stopLoss: {
+				orderPrice: utils.convertDecimalToNativeInteger(stopLossPrice),
+				triggerPrice: utils.convertDecimalToNativeInteger(stopLossTrigger),
+			},
+		};
+	}
+
+	/**
+	 * Native lots to add to position: sizeFraction of openLotSize (what a new open would
+	 * be), cut to what keeps the whole position within maxTotalNotionalUsd at price.
+	 */
+	calculateAddLotSize(marketIndex, position, openLotSize, price, { sizeFraction, maxTotalNotionalUsd }) {
+		const nativeMinLotSize = utils.getNativeMinLotSize(marketIndex);
+		let lots = Math.floor((openLotSize * sizeFraction) / nativeMinLotSize);
+
+		if (maxTotalNotionalUsd !== null) {
+			const headroom = Math.max(0, maxTotalNotionalUsd - Math.abs(position.size) * price);
+			lots = Math.min(lots, Math.floor(headroom / price / utils.getDecimalMinLotSize(marketIndex)));
+		}
+
+		return lots * nativeMinLotSize;
+	}
+
 	async calculatePricesAndSize(side, marketIndex, balance, settings, makerOrTaker = "taker") {
 		if (side === undefined || side === null || !marketIndex || !balance || !settings) {
 			throw new Error("Invalid inputs for price and size calculation");
@@ -553,7 +1606,17 @@ Opening ${direction} position:
 				? bestAsk + slippage // Buying: price above ASK
 				: bestBid - slippage; // Selling: price below BID
 
-		const positionSize = (balance * settings.leverageMultiplier) / adjustedPrice;
+		const direction = side === types.Side.BID ? "long" : "short";
+		const { stopLossPrice } = this.calculateTPSLPrices(direction, adjustedPrice, settings);
+		const sizing = sizeEntry({
+			symbol: assets.assetToName(marketIndex),
+			marketIndex,
+			balance,
+			entryPrice: adjustedPrice,
+			stopLossPrice,
+			settings,
+		});
+		const { positionSize } = sizing;
 		const decimalMinLotSize = utils.getDecimalMinLotSize(marketIndex);
 		const lotSize = Math.floor(positionSize / decimalMinLotSize);
 		const nativeLotSize = lotSize * utils.getNativeMinLotSize(marketIndex);
@@ -656,7 +1719,7 @@ Opening ${direction} position:
 
 	async waitForAcceptableSpread(marketIndex, maxWaitTime = 30000, pollInterval = 1000) {
 		const startTime = Date.now();
-		const MAX_SPREAD = 0.3;
+		const MAX_SPREAD = this.fetchSettings(marketIndex).maxSpreadPercent;
 		let attempts = 0;
 
 		while (Date.now() - startTime < maxWaitTime) {
@@ -686,7 +1749,7 @@ Opening ${direction} position:
 		throw new Error(`Unable to find acceptable spread after ${maxWaitTime / 1000}s`);
 	}
 
-	createMainOrderInstruction(marketIndex, adjustedPrice, nativeLotSize, side, makerOrTaker = "taker") {
+	createMainOrderInstruction(marketIndex, adjustedPrice, nativeLotSize, side, makerOrTaker = "taker", expiryOffset = 180) {
 		return this.client.createPlacePerpOrderInstruction(
 			marketIndex,
 			utils.convertDecimalToNativeInteger(adjustedPrice),
@@ -695,7 +1758,7 @@ Opening ${direction} position:
 			{
 				orderType: makerOrTaker === "maker" ? types.OrderType.POSTONLYSLIDE : types.OrderType.LIMIT,
 				tifOptions: {
-					expiryOffset: 180,
+					expiryOffset,
 				},
 			}
 		);
@@ -718,6 +1781,21 @@ Opening ${direction} position:
 		);
 	}
 
+	// Child orders of a sliced execution, never left resting on the book
+	createSliceOrderInstruction(marketIndex, adjustedPrice, nativeLotSize, side, reduceOnly = false) {
+		return this.client.createPlacePerpOrderInstruction(
+			marketIndex,
+			utils.convertDecimalToNativeInteger(adjustedPrice),
+			nativeLotSize,
+			side,
+			{
+				orderType: types.OrderType.IMMEDIATEORCANCEL,
+				reduceOnly,
+				tag: constants.DEFAULT_ORDER_TAG,
+			}
+		);
+	}
+
 	createTPOrderInstruction(direction, marketIndex, takeProfitPrice, takeProfitTrigger, nativeLotSize, triggerOrderBit = 0) {
 		const tp_side = direction === "long" ? types.Side.ASK : types.Side.BID;
 		const triggerDirection =
@@ -0,0 +1,626 @@
+import fs from "fs";
+import { ASSETS } from "./config.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Risk and position-management settings shared by every entry point.
+ *
+ * settings.json (override with SETTINGS_FILE) holds:
+ *   defaults - complete set of trading settings
+ *   profiles - partial overrides per entry point ("main", "v3", "single-wallet")
+ *   symbols  - partial overrides per asset, applied last
+ *   keeper   - strategies for keeper/positionKeeper.js
+ *   hotReload - whether edits are picked up while running and whether open positions follow them
+ *   circuitBreaker - daily loss and losing streak limits that pause new opens per wallet
+ *   portfolio - limits across every open position of the dual-wallet bots
+ *
+ * The active profile is read from SETTINGS_PROFILE so manage-position subprocesses
+ * spawned by an entry point resolve the same values as their parent.
+ */
+
+export class SettingsError extends Error {
+	constructor(filePath, errors) {
+		super(`Invalid settings in ${filePath}:\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+		this.name = "SettingsError";
+		this.filePath = filePath;
+		this.errors = errors;
+	}
+}
+
+/* ==========================================================================
+   Schema
+   ========================================================================== */
+
+const fraction = { type: "number", min: 0, max: 1, exclusiveMin: true };
+
+const TRADING_SCHEMA = {
+	leverageMultiplier: { type: "number", min: 0, max: 20, exclusiveMin: true },
+	maxLeverage: { type: "number", min: 0, max: 20, exclusiveMin: true },
+	maxNotionalUsd: { type: "number", min: 0, exclusiveMin: true, nullable: true },
+	takeProfitPercentage: fraction,
+	stopLossPercentage: fraction,
+	maxSpreadPercent: { type: "number", min: 0, exclusiveMin: true },
+	tpsl: {
+		type: "object",
+		properties: {
+			mode: { type: "enum", values: ["fixed", "atr"] },
+			windowMinutes: { type: "integer", min: 1, max: 1440 },
+			barMinutes: { type: "integer", min: 1, max: 240 },
+			minBars: { type: "integer", min: 2 },
+			takeProfitMultiple: { type: "number", min: 0, exclusiveMin: true },
+			stopLossMultiple: { type: "number", min: 0, exclusiveMin: true },
+			minPercentage: fraction,
+			maxPercentage: fraction,
+		},
+	},
+	trailingStopLoss: {
+		type: "object",
+		properties: {
+			progressThreshold: fraction,
+			stopLossDistance: { type: "number", min: 0, max: 1 },
+			triggerDistance: { type: "number", min: 0, max: 1 },
+		},
+	},
+	pullback: {
+		type: "object",
+		properties: {
+			initialThreshold: fraction,
+			pullbackAmount: fraction,
+			thresholdHitCount: { type: "integer", min: 1 },
+		},
+	},
+	sizing: {
+		type: "object",
+		properties: {
+			mode: { type: "enum", values: ["leverage", "risk"] },
+			riskPerTrade: { type: "number", min: 0, max: 0.5, exclusiveMin: true },
+			volatilityScaling: {
+				type: "object",
+				properties: {
+					enabled: { type: "boolean" },
+					windowMinutes: { type: "integer", min: 1, max: 1440 },
+					targetRangePercent: { type: "number", min: 0, exclusiveMin: true },
+					minSamples: { type: "integer", min: 2 },
+				},
+			},
+		},
+	},
+	entry: {
+		type: "object",
+		properties: {
+			mode: { type: "enum", values: ["taker", "maker"] },
+			chaseIntervalSeconds: { type: "integer", min: 1 },
+			maxChaseTicks: { type: "integer", min: 0 },
+			timeBudgetSeconds: { type: "integer", min: 1 },
+			fallbackToTaker: { type: "boolean" },
+		},
+	},
+	slicing: {
+		type: "object",
+		properties: {
+			enabled: { type: "boolean" },
+			minNotionalUsd: { type: "number", min: 0 },
+			method: { type: "enum", values: ["time", "depth"] },
+			slices: { type: "integer", min: 1 },
+			intervalSeconds: { type: "number", min: 0 },
+			depthLevels: { type: "integer", min: 1 },
+			maxDepthShare: fraction,
+			maxChildren: { type: "integer", min: 1 },
+		},
+	},
+	slippage: {
+		type: "object",
+		properties: {
+			maxPercent: { type: "number", min: 0, exclusiveMin: true, nullable: true },
+			action: { type: "enum", values: ["reject", "resize"] },
+			minResizeFraction: fraction,
+		},
+	},
+	funding: {
+		type: "object",
+		properties: {
+			maxCostPercent: { type: "number", min: 0, nullable: true },
+			expectedHoldHours: { type: "number", min: 0, exclusiveMin: true },
+			action: { type: "enum", values: ["reject", "resize"] },
+			minResizeFraction: fraction,
+		},
+	},
+	timeExits: {
+		type: "object",
+		properties: {
+			maxHoldingHours: { type: "number", min: 0, exclusiveMin: true, nullable: true },
+			staleHours: { type: "number", min: 0, exclusiveMin: true, nullable: true },
+			staleProgressBand: fraction,
+			windows: {
+				type: "array",
+				items: {
+					day: { type: "enum", values: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+					startHourUtc: { type: "number", min: 0, max: 24 },
+					durationHours: { type: "number", min: 0, max: 168, exclusiveMin: true },
+				},
+			},
+			closeBeforeMinutes: { type: "number", min: 0 },
+		},
+	},
+	scaleOut: {
+		type: "object",
+		properties: {
+			enabled: { type: "boolean" },
+			levels: {
+				type: "array",
+				items: {
+					progress: { type: "number", min: 0, exclusiveMin: true },
+					fraction,
+					moveStopToBreakeven: { type: "boolean" },
+				},
+			},
+		},
+	},
+	reversal: {
+		type: "object",
+		properties: {
+			enabled: { type: "boolean" },
+			requireExtremeSentiment: { type: "boolean" },
+			cooldownMinutes: { type: "number", min: 0 },
+		},
+	},
+	pyramiding: {
+		type: "object",
+		properties: {
+			enabled: { type: "boolean" },
+			maxAdds: { type: "integer", min: 1 },
+			maxTotalNotionalUsd: { type: "number", min: 0, exclusiveMin: true, nullable: true },
+			minProgress: fraction,
+			sizeFraction: fraction,
+		},
+	},
+};
+
+const KEEPER_STRATEGY_SCHEMA = {
+	type: { type: "enum", values: ["fixed", "ratchet"] },
+	takeProfit: { ...fraction, optional: true },
+	stopLoss: { ...fraction, optional: true },
+	triggers: {
+		type: "object",
+		optional: true,
+		properties: {
+			at: fraction,
+			moveStopLossTo: { type: "number", min: 0, max: 1 },
+		},
+	},
+	ratchet: {
+		type: "object",
+		optional: true,
+		properties: {
+			threshold: fraction,
+			increment: fraction,
+		},
+	},
+};
+
+const HOT_RELOAD_SCHEMA = {
+	enabled: { type: "boolean" },
+	applyToOpenPositions: { type: "boolean" },
+};
+
+const CIRCUIT_BREAKER_SCHEMA = {
+	enabled: { type: "boolean" },
+	maxDailyLossUsd: { type: "number", min: 0, exclusiveMin: true, nullable: true },
+	maxDailyLossPercent: { ...fraction, nullable: true },
+	maxConsecutiveLosses: { type: "integer", min: 1, nullable: true },
+};
+
+const PORTFOLIO_SCHEMA = {
+	maxTotalNotionalUsd: { type: "number", min: 0, exclusiveMin: true, nullable: true },
+	maxConcurrentPositions: { type: "integer", min: 1, nullable: true },
+	maxNetExposureUsd: { type: "number", min: 0, nullable: true },
+};
+
+const TRANSACTIONS_SCHEMA = {
+	commitment: { type: "enum", values: ["confirmed", "finalized"] },
+	maxAttempts: { type: "integer", min: 1, max: 10 },
+	priorityFeeEscalation: { type: "number", min: 1 },
+	maxPriorityFee: { type: "integer", min: 0, exclusiveMin: true, nullable: true },
+	rebroadcastIntervalMs: { type: "integer", min: 250 },
+};
+
+const HOT_RELOAD_DEFAULTS = { enabled: true, applyToOpenPositions: false };
+const CIRCUIT_BREAKER_DEFAULTS = { enabled: false, maxDailyLossUsd: null, maxDailyLossPercent: null, maxConsecutiveLosses: null };
+const PORTFOLIO_DEFAULTS = { maxTotalNotionalUsd: null, maxConcurrentPositions: null, maxNetExposureUsd: null };
+const TRANSACTIONS_DEFAULTS = {
+	commitment: "confirmed",
+	maxAttempts: 3,
+	priorityFeeEscalation: 2,
+	maxPriorityFee: null,
+	rebroadcastIntervalMs: 2000,
+};
+const RELOAD_POLL_INTERVAL = 2000;
+
+function isPlainObject(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function describeRule(rule) {
+	if (rule.type === "enum") return `one of ${rule.values.join(", ")}`;
+	if (rule.type === "boolean") return "true or false";
+
+	const bounds = [];
+	if (rule.min !== undefined) bounds.push(`${rule.exclusiveMin ? ">" : ">="} ${rule.min}`);
+	if (rule.max !== undefined) bounds.push(`<= ${rule.max}`);
+	const description = `${rule.type === "integer" ? "an integer" : "a number"}${bounds.length ? " " + bounds.join(" and ") : ""}`;
+	return rule.nullable ? `${description} or null` : description;
+}
+
+function checkValue(value, rule, path, errors, partial) {
+	if (rule.type === "object") {
+		checkObject(value, rule.properties, path, errors, partial);
+		return;
+	}
+
+	// Arrays replace the inherited value as a whole, so their items are never partial
+	if (rule.type === "array") {
+		if (!Array.isArray(value)) {
+			errors.push(`${path} must be an array`);
+			return;
+		}
+		value.forEach((item, i) => checkObject(item, rule.items, `${path}[${i}]`, errors));
+		return;
+	}
+
+	if (rule.nullable && value === null) return;
+
+	if (rule.type === "enum" || rule.type === "boolean") {
+		const valid = rule.type === "boolean" ? typeof value === "boolean" : rule.values.includes(value);
+		if (!valid) errors.push(`${path} must be ${describeRule(rule)} (got ${JSON.stringify(value)})`);
+		return;
+	}
+
+	const valid =
+		typeof value === "number" &&
+		Number.isFinite(value) &&
+		(rule.type !== "integer" || Number.isInteger(value)) &&
+		(rule.min === undefined || (rule.exclusiveMin ? value > rule.min : value >= rule.min)) &&
+		(rule.max === undefined || value <= rule.max);
+
+	if (!valid) errors.push(`${path} must be ${describeRule(rule)} (got ${JSON.stringify(value)})`);
+}
+
+/**
+ * Checks an object against a schema. With partial set every key is optional,
+ * which is how profile and symbol overrides are validated.
+ */
+function checkObject(value, schema, path, errors, partial = false) {
+	if (!isPlainObject(value)) {
+		errors.push(`${path} must be an object`);
+		return;
+	}
+
+	for (const key of Object.keys(value)) {
+		if (!(key in schema)) errors.push(`${path}.${key} is not a known setting`);
+	}
+
+	for (const [key, rule] of Object.entries(schema)) {
+		if (value[key] === undefined) {
+			if (!partial && !rule.optional) errors.push(`${path}.${key} is required`);
+			continue;
+		}
+		checkValue(value[key], rule, `${path}.${key}`, errors, partial);
+	}
+}
+
+function checkSymbolKey(symbol, path, errors) {
+	if (!ASSETS.includes(symbol)) {
+		errors.push(`${path}.${symbol} is not a Zeta asset (expected one of ${ASSETS.join(", ")})`);
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Rules that span fields, checked on every resolved profile/symbol combination.
+ */
+function checkResolved(settings, path, errors) {
+	const { trailingStopLoss } = settings;
+	if (trailingStopLoss.triggerDistance < trailingStopLoss.stopLossDistance) {
+		errors.push(`${path}: trailingStopLoss.triggerDistance must be >= stopLossDistance so the trigger fires before the order price`);
+	}
+	if (trailingStopLoss.stopLossDistance >= trailingStopLoss.progressThreshold) {
+		errors.push(`${path}: trailingStopLoss.stopLossDistance must be below progressThreshold or the moved stop sits above the price`);
+	}
+
+	const { tpsl } = settings;
+	if (tpsl.minPercentage > tpsl.maxPercentage) {
+		errors.push(`${path}: tpsl.minPercentage must be <= maxPercentage`);
+	}
+	if (Math.floor(tpsl.windowMinutes / tpsl.barMinutes) < tpsl.minBars) {
+		errors.push(`${path}: tpsl.windowMinutes must hold at least minBars bars of barMinutes`);
+	}
+
+	const { levels } = settings.scaleOut;
+	if (levels.some((level, i) => i > 0 && level.progress <= levels[i - 1].progress)) {
+		errors.push(`${path}: scaleOut.levels must be in ascending progress order`);
+	}
+	if (levels.reduce((sum, level) => sum + level.fraction, 0) >= 1) {
+		errors.push(`${path}: scaleOut.levels fractions must add up to less than 1 so part of the position is left to trail`);
+	}
+}
+
+function checkKeeperStrategy(strategy, path, errors) {
+	checkObject(strategy, KEEPER_STRATEGY_SCHEMA, path, errors);
+	if (strategy?.type === "fixed" && !(strategy.takeProfit && strategy.triggers)) {
+		errors.push(`${path}.takeProfit and ${path}.triggers are required for fixed strategies`);
+	}
+	if (strategy?.type === "ratchet" && !strategy.ratchet) errors.push(`${path}.ratchet is required for ratchet strategies`);
+}
+
+/**
+ * Returns a list of human readable problems, empty when the settings are valid.
+ */
+export function validateSettings(raw) {
+	const errors = [];
+	if (!isPlainObject(raw)) return ["settings must be a JSON object"];
+
+	for (const key of Object.keys(raw)) {
+		if (!["defaults", "profiles", "symbols", "keeper", "hotReload", "circuitBreaker", "portfolio", "transactions"].includes(key)) {
+			errors.push(`${key} is not a known section`);
+		}
+	}
+
+	if (raw.hotReload !== undefined) {
+		checkObject(raw.hotReload, HOT_RELOAD_SCHEMA, "hotReload", errors, true);
+	}
+
+	if (raw.circuitBreaker !== undefined) {
+		checkObject(raw.circuitBreaker, CIRCUIT_BREAKER_SCHEMA, "circuitBreaker", errors, true);
+	}
+
+	if (raw.portfolio !== undefined) {
+		checkObject(raw.portfolio, PORTFOLIO_SCHEMA, "portfolio", errors, true);
+	}
+
+	if (raw.transactions !== undefined) {
+		checkObject(raw.transactions, TRANSACTIONS_SCHEMA, "transactions", errors, true);
+	}
+
+	checkObject(raw.defaults, TRADING_SCHEMA, "defaults", errors);
+
+	const profiles = raw.profiles ?? {};
+	if (!isPlainObject(profiles)) {
+		errors.push("profiles must be an object");
+	} else {
+		for (const [name, overrides] of Object.entries(profiles)) {
+			checkObject(overrides, TRADING_SCHEMA, `profiles.${name}`, errors, true);
+		}
+	}
+
+	const symbols = raw.symbols ?? {};
+	if (!isPlainObject(symbols)) {
+		errors.push("symbols must be an object");
+	} else {
+		for (const [symbol, overrides] of Object.entries(symbols)) {
+			if (checkSymbolKey(symbol, "symbols", errors)) {
+				checkObject(overrides, TRADING_SCHEMA, `symbols.${symbol}`, errors, true);
+			}
+		}
+	}
+
+	if (raw.keeper !== undefined) {
+		const strategies = isPlainObject(raw.keeper?.strategies) ? raw.keeper.strategies : {};
+		if (!strategies.default) {
+			errors.push("keeper.strategies.default is required");
+		}
+		for (const [name, strategy] of Object.entries(strategies)) {
+			if (name === "default" || checkSymbolKey(name, "keeper.strategies", errors)) {
+				checkKeeperStrategy(strategy, `keeper.strategies.${name}`, errors);
+			}
+		}
+	}
+
+	// Only combine sections once each one is well formed
+	if (errors.length === 0) {
+		for (const profile of [null, ...Object.keys(profiles)]) {
+			for (const symbol of [null, ...Object.keys(symbols)]) {
+				const label = [profile && `profile ${profile}`, symbol && `symbol ${symbol}`].filter(Boolean).join(", ") || "defaults";
+				checkResolved(resolveSettings(raw, symbol, profile), label, errors);
+			}
+		}
+	}
+
+	return errors;
+}
+
+/* ==========================================================================
+   Loading and resolution
+   ========================================================================== */
+
+let loaded = null;
+
+export function getSettingsFilePath() {
+	return process.env.SETTINGS_FILE || "settings.json";
+}
+
+function deepMerge(base, overrides = {}) {
+	const merged = { ...base };
+	for (const [key, value] of Object.entries(overrides)) {
+		merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+	}
+	return merged;
+}
+
+function resolveSettings(raw, symbol, profile) {
+	const withProfile = deepMerge(raw.defaults, (profile && raw.profiles?.[profile]) || {});
+	return deepMerge(withProfile, (symbol && raw.symbols?.[symbol]) || {});
+}
+
+/**
+ * Reads and validates the settings file, throwing a SettingsError listing every
+ * problem. Entry points call this at startup so bad values stop the bot before
+ * it trades.
+ * @param {Object} [options]
+ * @param {string} [options.profile] - entry point profile, exported as SETTINGS_PROFILE unless already set
+ */
+export function loadSettings({ profile } = {}) {
+	if (profile && !process.env.SETTINGS_PROFILE) {
+		process.env.SETTINGS_PROFILE = profile;
+	}
+
+	const filePath = getSettingsFilePath();
+	loaded = { filePath, raw: readSettingsFile(filePath) };
+	return loaded.raw;
+}
+
+function readSettingsFile(filePath) {
+	let raw;
+	try {
+		raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+	} catch (error) {
+		const reason = error.code === "ENOENT" ? "file not found" : error.message;
+		throw new SettingsError(filePath, [reason]);
+	}
+
+	const errors = validateSettings(raw);
+	if (errors.length > 0) {
+		throw new SettingsError(filePath, errors);
+	}
+	return raw;
+}
+
+/**
+ * Trading settings for one symbol: defaults, then the active profile, then the
+ * symbol's overrides. Returns a fresh copy callers can modify.
+ * @param {string} [symbol] - asset name, e.g. "SOL" (same as the marketIndex)
+ * @param {string} [profile] - defaults to SETTINGS_PROFILE
+ */
+export function getSettings(symbol, profile = process.env.SETTINGS_PROFILE) {
+	if (!loaded) loadSettings();
+	return structuredClone(resolveSettings(loaded.raw, symbol, profile));
+}
+
+/**
+ * Keeper strategies keyed by symbol, with a required "default" entry.
+ */
+export function getKeeperStrategies() {
+	if (!loaded) loadSettings();
+	if (!loaded.raw.keeper) {
+		throw new SettingsError(loaded.filePath, ["keeper.strategies is required to run the position keeper"]);
+	}
+	return structuredClone(loaded.raw.keeper.strategies);
+}
+
+export function getHotReloadSettings() {
+	if (!loaded) loadSettings();
+	return { ...HOT_RELOAD_DEFAULTS, ...loaded.raw.hotReload };
+}
+
+/**
+ * Loss limits applied to each wallet per UTC day, null limits are not checked.
+ */
+export function getCircuitBreakerSettings() {
+	if (!loaded) loadSettings();
+	return { ...CIRCUIT_BREAKER_DEFAULTS, ...loaded.raw.circuitBreaker };
+}
+
+/**
+ * Limits across all open positions, null limits are not checked.
+ */
+export function getPortfolioSettings() {
+	if (!loaded) loadSettings();
+	return { ...PORTFOLIO_DEFAULTS, ...loaded.raw.portfolio };
+}
+
+/**
+ * Confirmation and rebroadcast behaviour of the transaction manager.
+ */
+export function getTransactionSettings() {
+	if (!loaded) loadSettings();
+	return { ...TRANSACTIONS_DEFAULTS, ...loaded.raw.transactions };
+}
+
+/* ==========================================================================
+   Hot reload
+   ========================================================================== */
+
+const reloadListeners = [];
+let watchedFilePath = null;
+
+function flatten(value, prefix = "", into = {}) {
+	if (isPlainObject(value)) {
+		for (const [key, child] of Object.entries(value)) flatten(child, prefix ? `${prefix}.${key}` : key, into);
+	} else {
+		into[prefix] = value;
+	}
+	return into;
+}
+
+/**
+ * Lists changed settings as "path: old -> new" lines.
+ */
+function diffSettings(previous, next) {
+	const before = flatten(previous);
+	const after = flatten(next);
+	return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+		.filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+		.map((key) => `${key}: ${JSON.stringify(before[key]) ?? "(unset)"} -> ${JSON.stringify(after[key]) ?? "(unset)"}`);
+}
+
+/**
+ * Re-reads the settings file. Invalid edits are rejected with a warning and the
+ * running settings stay in place; valid ones replace them and notify listeners.
+ * @returns {boolean} whether new settings were applied
+ */
+export function reloadSettings() {
+	const filePath = getSettingsFilePath();
+
+	let raw;
+	try {
+		raw = readSettingsFile(filePath);
+	} catch (error) {
+		logger.warn(`[SETTINGS] Rejected change, keeping the running settings. ${error.message}`);
+		return false;
+	}
+
+	const changes = diffSettings(loaded?.raw ?? {}, raw);
+	if (changes.length === 0) return false;
+
+	loaded = { filePath, raw };
+	const openPositions = getHotReloadSettings().applyToOpenPositions
+		? "open positions switch to the new values"
+		: "open positions keep the settings they were opened with";
+	logger.info(`[SETTINGS] Applied ${changes.length} change(s) from ${filePath}, ${openPositions}:\n${changes.join("\n")}`);
+
+	for (const listener of reloadListeners) {
+		try {
+			listener(raw, changes);
+		} catch (error) {
+			logger.error("[SETTINGS] Reload listener failed:", error);
+		}
+	}
+	return true;
+}
+
+/**
+ * Watches the settings file and reloads it on every change, unless hotReload.enabled
+ * is false at startup. Listeners are called with (raw, changes) after each applied reload.
+ */
+export function watchSettings(listener) {
+	if (listener) reloadListeners.push(listener);
+	if (watchedFilePath) return;
+
+	if (!getHotReloadSettings().enabled) {
+		logger.info("[SETTINGS] Hot reload disabled, restart to apply settings changes");
+		return;
+	}
+
+	watchedFilePath = loaded.filePath;
+	// Polling survives editors that save by replacing the file
+	fs.watchFile(watchedFilePath, { interval: RELOAD_POLL_INTERVAL }, (current, previous) => {
+		if (current.mtimeMs !== previous.mtimeMs) reloadSettings();
+	});
+	logger.info(`[SETTINGS] Watching ${watchedFilePath} for changes`);
+}
+
+export function unwatchSettings() {
+	if (!watchedFilePath) return;
+	fs.unwatchFile(watchedFilePath);
+	watchedFilePath = null;
+}
@@ -1,7 +1,9 @@
 import { Connection } from "@solana/web3.js";
-import { Exchange, Network, types, constants } from "@zetamarkets/sdk";
+import { Exchange, Network, types, constants, utils } from "@zetamarkets/sdk";
 import { ZetaClientWrapper } from "../clients/zeta.js";
 import { ASSETS } from "../config/config.js";
+import { tradeJournal } from "../utils/trade-journal.js";
+import { getKeeperStrategies, getSettingsFilePath, getHotReloadSettings, watchSettings } from "../config/settings.js";
 import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
@@ -43,28 +45,21 @@ class PositionKeeper {
     }
 
     /**
-     * Loads trading strategies from configuration file or returns defaults.
+     * Loads trading strategies from the keeper section of settings.json.
      * Supports both fixed and ratchet strategy types.
      */
     loadStrategies() {
+        if (fs.existsSync(path.join(process.cwd(), 'strategies.json'))) {
+            console.log("[KEEPER] strategies.json is no longer read, move its strategies to keeper.strategies in settings.json");
+        }
+
         try {
-            const configPath = path.join(process.cwd(), 'strategies.json');
-            const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-            console.log("[KEEPER] Loaded trading strategies");
-            return config.strategies;
+            const strategies = getKeeperStrategies();
+            console.log("[KEEPER] Loaded trading strategies from", getSettingsFilePath());
+            return strategies;
         } catch (error) {
-            console.log("[KEEPER] Error loading strategies:", error.message);
-            return {
-                "default": {
-                    type: "fixed",
-                    takeProfit: 0.036,      // 3.6% take profit target
-                    stopLoss: 0.01,         // 1% initial stop loss
-                    triggers: {
-                        at: 0.60,           // Move stop loss at 60% of target
-                        moveStopLossTo: 0.40 // Move to 40% of the way to target
-                    }
-                }
-            };
+            console.log("[KEEPER]", error.message);
+            process.exit(1);
         }
     }
 
@@ -84,6 +79,10 @@ class PositionKeeper {
             await this.initializeExchange();
             await this.initializeWrappers();
             await this.detectExistingPositions();
+
+            watchSettings(() => {
+                this.strategies = getKeeperStrategies();
+            });
             
             if (this.monitoredMarkets.size > 0) {
                 this.startMonitoring();
@@ -243,6 +242,7 @@ class PositionKeeper {
             lastCheck: new Date().toISOString(),
             lastPrice: currentPrice,
             strategyType: strategy.type,
+            strategy,
             lastRatchetLevel: 0,
             hasAdjustedStopLoss: false,
             stopLoss: stopLoss ? {
@@ -341,7 +341,10 @@ class PositionKeeper {
      */
     async checkPosition(marketIndex, state, direction) {
         const symbol = constants.Asset[marketIndex];
-        const strategy = this.strategies[symbol] || this.strategies.default;
+        // Positions keep the strategy they were detected with unless hot reload applies to open positions
+        const strategy = getHotReloadSettings().applyToOpenPositions ?
+            this.strategies[symbol] || this.strategies.default :
+            state.strategy;
         const wrapper = direction === "long" ? this.longWrapper : this.shortWrapper;
         const currentPrice = this.priceRegistry.get(marketIndex)?.price;
         
@@ -549,8 +552,20 @@ async adjustStopLoss(marketIndex, state, newStopLossPrice, direction) {
             triggerPrice: utils.convertDecimalToNativeInteger(newTriggerPrice)
         };
 
-        await wrapper.adjustStopLossOrder(newPrices, marketIndex, state.size);
-        
+        const adjusted = await wrapper.adjustStopLossOrder(newPrices, marketIndex, state.size);
+        if (!adjusted) {
+            throw new Error("stop loss adjustment not verified");
+        }
+
+        tradeJournal.recordStopLossAdjustment({
+            symbol,
+            direction,
+            wallet: wrapper.wallet.publicKey.toString(),
+            previousStopLoss: state.stopLoss?.orderPrice ?? null,
+            stopLoss: newStopLossPrice,
+            triggerPrice: newTriggerPrice
+        });
+
         state.stopLoss = {
             ...state.stopLoss,
             triggerPrice: newTriggerPrice,
@@ -1,4 +1,5 @@
-import { ZetaClientWrapper } from "./clients/zeta-api-v6.js";
+import { ZetaClientWrapper as LiveZetaClientWrapper } from "./clients/zeta-api-v6.js";
+import { selectClientWrapper, isPaperTrading } from "./clients/paper.js";
 import { Connection } from "@solana/web3.js";
 import { ASSETS, SYMBOLS } from "./config/config.js";
 import logger from "./utils/logger.js";
@@ -9,10 +10,25 @@ import fs from "fs";
 import { exec } from "child_process";
 import { promisify } from "util";
 import { getMarketSentiment } from "./utils/market-sentiment.js";
+import { evaluatePullbackExit, EXIT_REASONS } from "./utils/pullback-monitor.js";
+import { nextScaleOutLevel } from "./utils/scale-out.js";
+import { evaluateTimeExit, activeCloseWindow, describeCloseWindow } from "./utils/time-exits.js";
+import { SignalRecorder } from "./signals/recorder.js";
+import { tradeJournal, parseTxids } from "./utils/trade-journal.js";
+import { monitorStateStore } from "./utils/monitor-state-store.js";
+import { loadSettings, watchSettings, getHotReloadSettings } from "./config/settings.js";
+import { priceHistory } from "./utils/price-history.js";
+import { fundingHistory } from "./utils/funding-history.js";
+import { circuitBreaker } from "./utils/circuit-breaker.js";
+import { parseTransactionResult } from "./utils/transaction-manager.js";
+import { sendWithRetries } from "./utils/trading-errors.js";
+import { haltOnError, pyramidPosition, retryIfUnchanged, scaleOutPosition } from "./utils/position-actions.js";
 
 const execAsync = promisify(exec);
 dotenv.config();
 
+const ZetaClientWrapper = selectClientWrapper(LiveZetaClientWrapper);
+
 // System-wide configuration settings
 const CONFIG = {
 	// WebSocket and connection settings
@@ -31,17 +47,8 @@ const CONFIG = {
 		statusUpdate: 3600000, // Status update interval (1 hour)
 	},
 
-	// Position management settings
+	// Position management timing (pullback exit parameters come from settings.json)
 	position: {
-		// Initial threshold that triggers trailing stop monitoring (40%)
-		initialThreshold: 0.33,
-
-		// How much price can pull back from highest progress before closing (15%)
-		pullbackAmount: 0.13,
-
-		// Number of consecutive threshold hits needed to close position
-		thresholdHitCount: 3,
-
 		// Time to wait after position actions (milliseconds)
 		waitAfterAction: 10000,
 
@@ -58,14 +65,16 @@ const CONFIG = {
 
 function validateConfig() {
 	// Check required environment variables
-	const missingVars = CONFIG.requiredEnvVars.filter((envVar) => !process.env[envVar]);
+	const missingVars = CONFIG.requiredEnvVars
+		.filter((envVar) => !(isPaperTrading() && envVar === "RPC_TRADINGBOT"))
+		.filter((envVar) => !process.env[envVar]);
 	if (missingVars.length > 0) {
 		logger.error(`[INIT] Missing required environment variables: ${missingVars.join(", ")}`);
 		process.exit(1);
 	}
 
 	// Verify wallet file exists
-	if (!fs.existsSync(process.env.KEYPAIR_FILE_PATH)) {
+	if (!isPaperTrading() && !fs.existsSync(process.env.KEYPAIR_FILE_PATH)) {
 		logger.error("[INIT] Wallet file not found");
 		process.exit(1);
 	}
@@ -77,6 +86,14 @@ function validateConfig() {
 		process.exit(1);
 	}
 
+	// Risk settings, fails fast on any invalid value
+	try {
+		loadSettings({ profile: "single-wallet" });
+	} catch (error) {
+		logger.error(`[INIT] ${error.message}`);
+		process.exit(1);
+	}
+
 	return CONFIG.tradingAssets;
 }
 
@@ -95,9 +112,86 @@ class SymbolTradingManager {
 		this.highestProgress = 0;
 		this.thresholdHits = 0;
 
+		// Partial take-profit tracking, the remaining size is read from the position
+		this.scaleOutLevelsHit = 0;
+		this.stopAtBreakeven = false;
+
+		// Adds made to the position on repeat signals
+		this.pyramidAdds = 0;
+
+		// Time-based exit tracking, in ms
+		this.openedAt = null;
+		this.staleSince = null;
+
+		// Settings captured when the position's monitor started
+		this.positionSettings = null;
+
 		// Position management state
 		this.isClosing = false;
 		this.currentDirection = null; // 'long' or 'short'
+
+		// Set when an open fails in a way retrying can't fix, blocks new opens until restart
+		this.haltReason = null;
+	}
+
+	get walletAddress() {
+		return this.zetaWrapper.wallet.publicKey.toString();
+	}
+
+	/**
+	 * Pullback state saved for this position before a restart, or null.
+	 */
+	loadMonitorState(position) {
+		const entryPrice = Math.abs(position.costOfTrades / position.size);
+		return monitorStateStore.get(this.walletAddress, this.marketIndex, entryPrice);
+	}
+
+	/**
+	 * Persists the monitor state under the position's current entry price.
+	 */
+	saveMonitorState(entryPrice, direction) {
+		monitorStateStore.save(this.walletAddress, this.marketIndex, entryPrice, {
+			symbol: this.symbol,
+			direction,
+			hasReachedThreshold: this.hasReachedThreshold,
+			highestProgress: this.highestProgress,
+			thresholdHits: this.thresholdHits,
+			scaleOutLevelsHit: this.scaleOutLevelsHit,
+			stopAtBreakeven: this.stopAtBreakeven,
+			pyramidAdds: this.pyramidAdds,
+			openedAt: this.openedAt,
+			staleSince: this.staleSince,
+			settings: this.positionSettings,
+		});
+	}
+
+	/**
+	 * When the position was opened, from its journal open record so it holds across
+	 * restarts. Positions the journal has no record of count from now.
+	 */
+	journalOpenedAt(direction) {
+		const openTrade = tradeJournal.findOpenTrade({ wallet: this.walletAddress, symbol: this.symbol, direction });
+		return openTrade ? Date.parse(openTrade.ts) : Date.now();
+	}
+
+	/**
+	 * Settings the open position is managed with. They are captured when monitoring
+	 * starts and only follow settings.json edits with hotReload.applyToOpenPositions.
+	 * The TP/SL distances are always the ones recorded when it was opened.
+	 */
+	async getMonitorSettings() {
+		if (this.positionSettings && !getHotReloadSettings().applyToOpenPositions) {
+			return this.positionSettings;
+		}
+		return this.zetaWrapper.fetchPositionSettings(this.marketIndex, this.currentDirection);
+	}
+
+	/**
+	 * Runs src/manage-position-single-wallet.js with args, resolving to its output.
+	 */
+	async runManagePosition(args) {
+		const { stdout } = await execAsync(`node src/manage-position-single-wallet.js ${args}`, { maxBuffer: 1024 * 1024 * 32 });
+		return stdout;
 	}
 
 	async processSignal(signalData) {
@@ -151,21 +245,41 @@ class SymbolTradingManager {
 					});
 
 					this.currentDirection = existingDirection;
-					this.startPositionMonitor();
+					this.startPositionMonitor(this.loadMonitorState(currentPosition));
 					return; // Exit after starting monitoring
 				}
-				// If we're already monitoring a position, just exit
 
-				// IDEA: INSERT POSITION REVERSAL LOGIC,
-				// IF signal is opposite direction of position
-				// AND IF market conditions EXTREME OPPOSITE for 24h (not avg 1h/24h),
-				// THEN reverse position, to align with signal and market conditions
+				// Opposite signals can reverse the position, same-direction ones can add to it
+				const signalDirection = signalData.signal === 1 ? "long" : signalData.signal === -1 ? "short" : null;
+				if (signalDirection && signalDirection !== existingDirection) {
+					await this.reversePosition(existingDirection, signalDirection, signalData);
+				} else if (signalDirection) {
+					await pyramidPosition(this, currentPosition, signalDirection);
+				}
 
 				return;
 			}
 
 			// If we don't have a position, proceed with normal signal processing
 			if (signalData.signal !== 0) {
+				if (this.haltReason) {
+					logger.info(`[${this.symbol}] New positions halted, skipping signal`, { reason: this.haltReason });
+					return;
+				}
+
+				const tripped = await circuitBreaker.check(this.zetaWrapper);
+				if (tripped) {
+					logger.info(`[${this.symbol}] Circuit breaker tripped, skipping new position`, { reason: tripped.reason });
+					return;
+				}
+
+				const { timeExits } = await this.zetaWrapper.fetchSettings(this.marketIndex);
+				const closeWindow = activeCloseWindow(timeExits);
+				if (closeWindow) {
+					logger.info(`[${this.symbol}] Inside a close window, skipping new position`, { window: describeCloseWindow(closeWindow) });
+					return;
+				}
+
 				const marketConditions = await getMarketSentiment();
 				const isLongSignal = signalData.signal === 1;
 				const direction = isLongSignal ? "long" : "short";
@@ -177,21 +291,7 @@ class SymbolTradingManager {
 						sentimentIndex: marketConditions.index,
 					});
 
-					await execAsync(`node src/manage-position-single-wallet.js open ${this.symbol} ${direction}`, {
-						maxBuffer: 1024 * 1024 * 32,
-					});
-
-					logger.info(`[${this.symbol}] Waiting ${CONFIG.position.waitAfterAction}ms before continuing`);
-					await utils.sleep(CONFIG.position.waitAfterAction);
-
-					// After opening position, verify it exists and start monitoring
-					const newPosition = await this.zetaWrapper.getPosition(this.marketIndex);
-					if (newPosition && newPosition.size !== 0) {
-						this.currentDirection = direction;
-						this.startPositionMonitor();
-					} else {
-						logger.warn(`[${this.symbol}] Position open command completed but no position found`);
-					}
+					await this.openPosition(direction, signalData);
 				} else {
 					logger.info(`[${this.symbol}] Skipping position due to market sentiment`, {
 						attemptedDirection: direction,
@@ -205,14 +305,150 @@ class SymbolTradingManager {
 		}
 	}
 
-	async startPositionMonitor() {
+	/**
+	 * Opens a position through the manage-position subprocess and starts monitoring it.
+	 * @returns {Promise<boolean>} whether a position is open afterwards
+	 */
+	async openPosition(direction, signalData) {
+		let stdout = "";
+		const { result, error } = await sendWithRetries(
+			async () => {
+				stdout = await this.runManagePosition(`open ${this.symbol} ${direction}`);
+				return parseTransactionResult(stdout);
+			},
+			{ label: `[${this.symbol}] Open ${direction}:`, canRetry: retryIfUnchanged(this, 0) }
+		);
+
+		if (error) {
+			haltOnError(this, error);
+			return false;
+		}
+
+		// After opening position, verify it exists and start monitoring
+		const newPosition = await this.zetaWrapper.getPosition(this.marketIndex);
+		if (!newPosition || newPosition.size === 0) {
+			logger.warn(`[${this.symbol}] Position open command completed but no position found`);
+			return false;
+		}
+
+		tradeJournal.recordOpen({
+			symbol: this.symbol,
+			direction,
+			wallet: this.walletAddress,
+			entryPrice: Math.abs(newPosition.costOfTrades / newPosition.size),
+			size: newPosition.size,
+			signal: signalData,
+			txids: parseTxids(stdout),
+			tpsl: result?.tpsl,
+		});
+
+		this.currentDirection = direction;
+		this.startPositionMonitor();
+		return true;
+	}
+
+	/**
+	 * Closes the open position and opens the signal's direction when reversal is enabled
+	 * for the symbol. The position has to be older than reversal.cooldownMinutes so
+	 * alternating signals can't flip it back and forth, and with requireExtremeSentiment
+	 * the 24h market sentiment has to be at the extreme matching the new direction.
+	 * The checks a normal open makes are done before closing.
+	 */
+	async reversePosition(existingDirection, direction, signalData) {
+		const { reversal, timeExits } = await this.zetaWrapper.fetchSettings(this.marketIndex);
+		if (!reversal?.enabled) {
+			logger.info(`[${this.symbol}] Ignoring ${direction} signal while ${existingDirection}, reversal is disabled`);
+			return;
+		}
+
+		if (this.haltReason) {
+			logger.info(`[${this.symbol}] New positions halted, not reversing`, { reason: this.haltReason });
+			return;
+		}
+
+		const closeWindow = activeCloseWindow(timeExits);
+		if (closeWindow) {
+			logger.info(`[${this.symbol}] Inside a close window, not reversing`, { window: describeCloseWindow(closeWindow) });
+			return;
+		}
+
+		// The journal's open record survives restarts, unlike state kept on the manager
+		const openTrade = tradeJournal.findOpenTrade({ wallet: this.walletAddress, symbol: this.symbol, direction: existingDirection });
+		const heldMinutes = openTrade ? (Date.now() - Date.parse(openTrade.ts)) / 60000 : Infinity;
+		if (heldMinutes < reversal.cooldownMinutes) {
+			logger.info(`[${this.symbol}] Not reversing ${existingDirection} to ${direction} inside the cooldown`, {
+				heldMinutes: heldMinutes.toFixed(1),
+				cooldownMinutes: reversal.cooldownMinutes,
+			});
+			return;
+		}
+
+		const tripped = await circuitBreaker.check(this.zetaWrapper);
+		if (tripped) {
+			logger.info(`[${this.symbol}] Circuit breaker tripped, not reversing`, { reason: tripped.reason });
+			return;
+		}
+
+		const marketConditions = await getMarketSentiment();
+		const canOpen = direction === "long" ? marketConditions.canOpenLong : marketConditions.canOpenShort;
+		const extreme = direction === "long" ? "Extreme Greed" : "Extreme Fear";
+		if (!canOpen || (reversal.requireExtremeSentiment && marketConditions.dailySentiment !== extreme)) {
+			logger.info(`[${this.symbol}] Not reversing ${existingDirection} to ${direction} in this market`, {
+				marketSentiment: marketConditions.sentiment,
+				dailySentiment: marketConditions.dailySentiment,
+				dailyIndex: marketConditions.dailyIndex,
+				required: reversal.requireExtremeSentiment ? extreme : null,
+			});
+			return;
+		}
+
+		logger.info(`[${this.symbol}] Reversing ${existingDirection} position to ${direction}`, {
+			marketSentiment: marketConditions.sentiment,
+			dailySentiment: marketConditions.dailySentiment,
+			heldMinutes: heldMinutes.toFixed(1),
+		});
+
+		// closePosition only returns true once the position is verified flat
+		const closed = await this.closePosition(EXIT_REASONS.REVERSAL);
+		if (!closed) {
+			logger.warn(`[${this.symbol}] Reversal aborted, the ${existingDirection} position could not be closed`);
+			return;
+		}
+
+		const opened = await this.openPosition(direction, signalData);
+		if (!opened) {
+			logger.warn(`[${this.symbol}] Reversal closed the ${existingDirection} position but the ${direction} open failed, now flat`);
+		}
+	}
+
+	async startPositionMonitor(restoredState = null) {
 		if (this.positionMonitorInterval) {
 			clearInterval(this.positionMonitorInterval);
 		}
 
-		this.hasReachedThreshold = false;
-		this.highestProgress = 0;
-		this.thresholdHits = 0;
+		this.hasReachedThreshold = restoredState?.hasReachedThreshold ?? false;
+		this.highestProgress = restoredState?.highestProgress ?? 0;
+		this.thresholdHits = restoredState?.thresholdHits ?? 0;
+		this.scaleOutLevelsHit = restoredState?.scaleOutLevelsHit ?? 0;
+		this.stopAtBreakeven = restoredState?.stopAtBreakeven ?? false;
+		this.pyramidAdds = restoredState?.pyramidAdds ?? 0;
+		this.openedAt = restoredState?.openedAt ?? this.journalOpenedAt(this.currentDirection);
+		this.staleSince = restoredState?.staleSince ?? null;
+		this.positionSettings =
+			restoredState?.settings ?? (await this.zetaWrapper.fetchPositionSettings(this.marketIndex, this.currentDirection));
+
+		if (restoredState) {
+			logger.info(`[${this.symbol}] Restored monitor state from before restart`, {
+				hasReachedThreshold: this.hasReachedThreshold,
+				highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
+				thresholdHits: this.thresholdHits,
+				scaleOutLevelsHit: this.scaleOutLevelsHit,
+				stopAtBreakeven: this.stopAtBreakeven,
+				pyramidAdds: this.pyramidAdds,
+				openedAt: new Date(this.openedAt).toISOString(),
+				savedAt: restoredState.updatedAt,
+			});
+		}
 
 		this.positionMonitorInterval = setInterval(() => this.monitorPosition(), CONFIG.position.monitorInterval);
 
@@ -227,6 +463,15 @@ class SymbolTradingManager {
 			const currentPosition = await this.zetaWrapper.getPosition(this.marketIndex);
 
 			if (!currentPosition || currentPosition.size === 0) {
+				// Closed on-chain by the TP/SL trigger orders rather than by us
+				tradeJournal.recordClose({
+					symbol: this.symbol,
+					direction: this.currentDirection,
+					wallet: this.walletAddress,
+					exitPrice: this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex),
+					reason: "Closed by trigger order",
+				});
+				monitorStateStore.remove(this.walletAddress, this.marketIndex);
 				this.stopMonitoring();
 				// await execAsync(`node src/cancel-trigger-orders.js cancel ${this.symbol} ${this.currentDirection}`, {
 				// 	maxBuffer: 1024 * 1024 * 10,
@@ -236,21 +481,37 @@ class SymbolTradingManager {
 				return;
 			}
 
-			const settings = await this.zetaWrapper.fetchSettings();
+			const settings = await this.getMonitorSettings();
 			const direction = currentPosition.size > 0 ? "long" : "short";
 			const entryPrice = Math.abs(currentPosition.costOfTrades / currentPosition.size);
 			const currentPrice = this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex);
 
-			const { takeProfitPrice, stopLossPrice } = this.zetaWrapper.calculateTPSLPrices(direction, entryPrice, settings);
+			const { takeProfitPrice, stopLossPrice: originalStopLoss } = this.zetaWrapper.calculateTPSLPrices(direction, entryPrice, settings);
+			const stopLossPrice = this.stopAtBreakeven ? entryPrice : originalStopLoss;
 
-			const totalDistanceToTP = Math.abs(takeProfitPrice - entryPrice);
-			const currentProgress = direction === "long" ? currentPrice - entryPrice : entryPrice - currentPrice;
-			const progressPercent = currentProgress / totalDistanceToTP;
+			const evaluation = evaluatePullbackExit(
+				{
+					hasReachedThreshold: this.hasReachedThreshold,
+					highestProgress: this.highestProgress,
+					thresholdHits: this.thresholdHits,
+				},
+				{ direction, entryPrice, currentPrice, takeProfitPrice, stopLossPrice },
+				settings.pullback
+			);
+			const { progressPercent, dynamicPullbackThreshold } = evaluation;
 
-			this.highestProgress = Math.max(this.highestProgress, progressPercent);
-			const dynamicPullbackThreshold = Math.max(0, this.highestProgress - CONFIG.position.pullbackAmount);
+			this.highestProgress = evaluation.highestProgress;
+			this.hasReachedThreshold = evaluation.hasReachedThreshold;
+			this.thresholdHits = evaluation.thresholdHits;
 
-			const stopLossHit = direction === "long" ? currentPrice <= stopLossPrice : currentPrice >= stopLossPrice;
+			const timeExit = evaluateTimeExit(
+				{ openedAt: this.openedAt, staleSince: this.staleSince },
+				progressPercent,
+				settings.timeExits
+			);
+			this.staleSince = timeExit.staleSince;
+
+			this.saveMonitorState(entryPrice, direction);
 
 			if (this.lastCheckedPrice !== currentPrice) {
 				console.log(`[${this.symbol}] Position progress:`, {
@@ -269,48 +530,67 @@ class SymbolTradingManager {
 				this.lastCheckedPrice = currentPrice;
 			}
 
-			if (stopLossHit) {
+			if (evaluation.exitReason === EXIT_REASONS.STOP_LOSS) {
 				logger.info(`[${this.symbol}] Stop loss hit, attempting to close position`);
-				const closed = await this.closePosition("Stop loss hit");
+				const closed = await this.closePosition(EXIT_REASONS.STOP_LOSS);
 				if (!closed) {
 					logger.warn(`[${this.symbol}] Stop loss closure failed - will retry on next monitor cycle`);
 				}
 				return;
 			}
 
-			if (progressPercent >= CONFIG.position.initialThreshold) {
-				this.hasReachedThreshold = true;
+			if (evaluation.thresholdHit) {
+				logger.info(`[${this.symbol}] Threshold hit detected:`, {
+					hits: this.thresholdHits,
+					currentProgress: (progressPercent * 100).toFixed(2) + "%",
+					highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
+					pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%",
+					beyondTakeProfit: progressPercent > 1.0 ? `${((progressPercent - 1.0) * 100).toFixed(2)}% beyond TP` : "No",
+				});
 			}
 
-			if (this.hasReachedThreshold) {
-				if (progressPercent <= dynamicPullbackThreshold) {
-					this.thresholdHits++;
+			if (evaluation.exitReason === EXIT_REASONS.PULLBACK) {
+				logger.info(`[${this.symbol}] Attempting to close position:`, {
+					reason: EXIT_REASONS.PULLBACK,
+					hits: this.thresholdHits,
+					currentProgress: (progressPercent * 100).toFixed(2) + "%",
+					highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
+					pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%",
+				});
 
-					logger.info(`[${this.symbol}] Threshold hit detected:`, {
-						hits: this.thresholdHits,
-						currentProgress: (progressPercent * 100).toFixed(2) + "%",
-						highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
-						pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%",
-						beyondTakeProfit: progressPercent > 1.0 ? `${((progressPercent - 1.0) * 100).toFixed(2)}% beyond TP` : "No",
-					});
+				const closed = await this.closePosition(EXIT_REASONS.PULLBACK);
+				if (!closed) {
+					logger.warn(`[${this.symbol}] Pullback closure failed - will retry on next monitor cycle`);
+				}
+				return;
+			}
 
-					if (this.thresholdHits >= CONFIG.position.thresholdHitCount) {
-						logger.info(`[${this.symbol}] Attempting to close position:`, {
-							reason: "Dynamic pullback threshold hit",
-							hits: this.thresholdHits,
-							currentProgress: (progressPercent * 100).toFixed(2) + "%",
-							highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
-							pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%",
-						});
-
-						const closed = await this.closePosition("Dynamic pullback threshold hit");
-						if (!closed) {
-							logger.warn(`[${this.symbol}] Pullback closure failed - will retry on next monitor cycle`);
-						}
-						return;
-					}
-				} else {
-					this.thresholdHits = 0;
+			if (timeExit.exitReason) {
+				logger.info(`[${this.symbol}] Attempting to close position:`, {
+					reason: timeExit.exitReason,
+					detail: timeExit.detail,
+					currentProgress: (progressPercent * 100).toFixed(2) + "%",
+				});
+
+				const closed = await this.closePosition(timeExit.exitReason);
+				if (!closed) {
+					logger.warn(`[${this.symbol}] Time-based closure failed - will retry on next monitor cycle`);
+				}
+				return;
+			}
+
+			const scaleOut = nextScaleOutLevel(this.scaleOutLevelsHit, progressPercent, settings.scaleOut);
+			if (scaleOut) {
+				logger.info(`[${this.symbol}] Scale-out level ${scaleOut.index + 1} reached:`, {
+					currentProgress: (progressPercent * 100).toFixed(2) + "%",
+					levelProgress: (scaleOut.level.progress * 100).toFixed(2) + "%",
+					closeFraction: scaleOut.closeFraction.toFixed(4),
+					moveStopToBreakeven: scaleOut.level.moveStopToBreakeven,
+				});
+
+				const scaled = await scaleOutPosition(this, this.currentDirection, scaleOut, currentPosition, currentPrice);
+				if (!scaled) {
+					logger.warn(`[${this.symbol}] Scale-out failed - will retry on next monitor cycle`);
 				}
 			}
 		} catch (error) {
@@ -325,48 +605,62 @@ class SymbolTradingManager {
 		}
 
 		this.isClosing = true;
+		try {
+			const position = await this.zetaWrapper.getPosition(this.marketIndex);
+			const currentPrice = this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex);
+			const entryPrice = Math.abs(position.costOfTrades / position.size);
+
+			// Rate limits and expired blockhashes are retried
+			let stdout = "";
+			const { error } = await sendWithRetries(
+				async () => {
+					stdout = await this.runManagePosition(`close ${this.symbol} ${this.currentDirection}`);
+					return parseTransactionResult(stdout);
+				},
+				{ label: `[${this.symbol}] Close ${this.currentDirection}:` }
+			);
 
-		const position = await this.zetaWrapper.getPosition(this.marketIndex);
-		const currentPrice = this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex);
-		const entryPrice = Math.abs(position.costOfTrades / position.size);
-		const realizedPnl = position.size > 0 ? (currentPrice - entryPrice) / entryPrice : (entryPrice - currentPrice) / entryPrice;
-
-		await execAsync(`node src/manage-position-single-wallet.js close ${this.symbol} ${this.currentDirection}`, {
-			maxBuffer: 1024 * 1024 * 32,
-		});
+			if (error) {
+				return false;
+			}
 
-		logger.info(`[${this.symbol}] Waiting ${CONFIG.position.waitAfterAction}ms before verifying closure`);
-		await utils.sleep(CONFIG.position.waitAfterAction);
+			for (let attempt = 1; attempt <= 3; attempt++) {
+				const verifyPosition = await this.zetaWrapper.getPosition(this.marketIndex);
 
-		for (let attempt = 1; attempt <= 3; attempt++) {
-			const verifyPosition = await this.zetaWrapper.getPosition(this.marketIndex);
+				if (!verifyPosition || verifyPosition.size === 0) {
+					logger.info(`[${this.symbol}] Position closure verified`);
 
-			if (!verifyPosition || verifyPosition.size === 0) {
-				logger.info(`[${this.symbol}] Position closure verified`);
+					tradeJournal.recordClose({
+						symbol: this.symbol,
+						direction: this.currentDirection,
+						wallet: this.walletAddress,
+						entryPrice,
+						exitPrice: currentPrice,
+						size: position.size,
+						reason,
+						txids: parseTxids(stdout),
+					});
+					monitorStateStore.remove(this.walletAddress, this.marketIndex);
 
-				logger.addClosedPosition({
-					symbol: this.symbol,
-					size: position.size,
-					entryPrice,
-					exitPrice: currentPrice,
-					realizedPnl,
-					reason,
-				});
+					this.stopMonitoring();
+					return true;
+				}
 
-				this.stopMonitoring();
-				return true;
+				if (attempt < 3) {
+					logger.warn(`[${this.symbol}] Position still exists, attempt ${attempt}/3`);
+					await utils.sleep(5000);
+				}
 			}
 
-			if (attempt < 3) {
-				logger.warn(`[${this.symbol}] Position still exists, attempt ${attempt}/3`);
-				await utils.sleep(5000);
-			}
+			logger.error(`[${this.symbol}] Failed to verify position closure after 3 attempts`);
+			return false;
+		} catch (error) {
+			logger.error(`[${this.symbol}] Error closing position:`, error);
+			return false;
+		} finally {
+			// Always reset the closing flag
+			this.isClosing = false;
 		}
-
-		logger.error(`[${this.symbol}] Failed to verify position closure after 3 attempts`);
-		return false;
-
-		this.isClosing = false;
 	}
 
 	stopMonitoring() {
@@ -377,6 +671,12 @@ class SymbolTradingManager {
 		this.hasReachedThreshold = false;
 		this.highestProgress = 0;
 		this.thresholdHits = 0;
+		this.scaleOutLevelsHit = 0;
+		this.stopAtBreakeven = false;
+		this.pyramidAdds = 0;
+		this.openedAt = null;
+		this.staleSince = null;
+		this.positionSettings = null;
 		this.isClosing = false;
 		this.currentDirection = null;
 		logger.info(`[${this.symbol}] Stopped monitoring`);
@@ -394,6 +694,7 @@ class TradingManager {
 		this.ws = null;
 		this.reconnectAttempts = 0;
 		this.connectionActive = false;
+		this.signalRecorder = new SignalRecorder();
 		this.messageQueue = [];
 		this.isProcessingQueue = false;
 		this.healthCheckInterval = null;
@@ -410,28 +711,32 @@ class TradingManager {
 			});
 
 			// Initialize Exchange first
-			this.connection = new Connection(process.env.RPC_TRADINGBOT);
-			const marketsToLoad = new Set([constants.Asset.SOL, ...symbols.map((s) => constants.Asset[s])]);
-			const marketsArray = Array.from(marketsToLoad);
-
-			const loadExchangeConfig = types.defaultLoadExchangeConfig(
-				Network.MAINNET,
-				this.connection,
-				{
-					skipPreflight: true,
-					preflightCommitment: "confirmed",
-					commitment: "confirmed",
-				},
-				500,
-				true,
-				this.connection,
-				marketsArray,
-				undefined,
-				marketsArray
-			);
-
-			await Exchange.load(loadExchangeConfig);
-			logger.info("[INIT] Exchange loaded successfully");
+			if (isPaperTrading()) {
+				logger.info("[PAPER] Skipping mainnet exchange load");
+			} else {
+				this.connection = new Connection(process.env.RPC_TRADINGBOT);
+				const marketsToLoad = new Set([constants.Asset.SOL, ...symbols.map((s) => constants.Asset[s])]);
+				const marketsArray = Array.from(marketsToLoad);
+
+				const loadExchangeConfig = types.defaultLoadExchangeConfig(
+					Network.MAINNET,
+					this.connection,
+					{
+						skipPreflight: true,
+						preflightCommitment: "confirmed",
+						commitment: "confirmed",
+					},
+					500,
+					true,
+					this.connection,
+					marketsArray,
+					undefined,
+					marketsArray
+				);
+
+				await Exchange.load(loadExchangeConfig);
+				logger.info("[INIT] Exchange loaded successfully");
+			}
 
 			// Initialize ZetaWrapper
 			this.zetaWrapper = new ZetaClientWrapper();
@@ -448,6 +753,11 @@ class TradingManager {
 			logger.info("[INIT] Checking existing positions");
 			await this.checkExistingPositions();
 
+			// Mark price samples feed volatility-scaled sizing
+			priceHistory.startSampling(symbols, (symbol) => this.zetaWrapper.getCalculatedMarkPrice(constants.Asset[symbol]));
+			// Funding samples stamp the trade journal so closes include accrued funding
+			fundingHistory.startSampling(symbols, (symbol) => this.zetaWrapper.getFundingState(constants.Asset[symbol]));
+
 			this.setupWebSocket();
 			this.setupHealthCheck();
 			this.setupStatusUpdates();
@@ -477,7 +787,7 @@ class TradingManager {
 						entryPrice: position.costOfTrades ? (position.costOfTrades / position.size).toFixed(4) : "N/A",
 					});
 
-					manager.startPositionMonitor();
+					manager.startPositionMonitor(manager.loadMonitorState(position));
 				} else {
 					logger.info(`[${symbol}] No existing position found`);
 				}
@@ -515,6 +825,8 @@ class TradingManager {
 		});
 
 		this.ws.on("message", async (data) => {
+			this.signalRecorder.record(data);
+
 			try {
 				const signalData = JSON.parse(data.toString());
 
@@ -596,7 +908,7 @@ class TradingManager {
 	}
 
 	setupHealthCheck() {
-		this.healthCheckInterval = setInterval(() => {
+		this.healthCheckInterval = setInterval(async () => {
 			if (!this.connectionActive) {
 				logger.info("[HEALTH] WebSocket disconnected, attempting reconnect");
 				this.reconnect();
@@ -608,6 +920,13 @@ class TradingManager {
 				reconnectAttempts: this.reconnectAttempts,
 				timestamp: new Date().toISOString(),
 			});
+
+			// Lets the circuit breaker trip between signals
+			try {
+				if (this.zetaWrapper) await circuitBreaker.check(this.zetaWrapper);
+			} catch (error) {
+				logger.error("[HEALTH] Circuit breaker check failed:", error);
+			}
 		}, CONFIG.intervals.healthCheck);
 	}
 
@@ -627,7 +946,7 @@ class TradingManager {
 				if (position && position.size !== 0) {
 					const currentPrice = manager.zetaWrapper.getCalculatedMarkPrice(manager.marketIndex);
 					const entryPrice = Math.abs(position.costOfTrades / position.size);
-					const settings = await manager.zetaWrapper.fetchSettings();
+					const settings = await manager.getMonitorSettings();
 					const direction = position.size > 0 ? "long" : "short";
 
 					const { takeProfitPrice, stopLossPrice } = manager.zetaWrapper.calculateTPSLPrices(direction, entryPrice, settings);
@@ -637,8 +956,11 @@ class TradingManager {
 							? (currentPrice - entryPrice) / (takeProfitPrice - entryPrice)
 							: (entryPrice - currentPrice) / (entryPrice - takeProfitPrice);
 
+					// Funding accrued since the open counts towards the unrealized PnL
+					const funding = tradeJournal.accruedFunding({ wallet: manager.walletAddress, symbol, direction });
 					const unrealizedPnl =
-						direction === "long" ? (currentPrice - entryPrice) / entryPrice : (entryPrice - currentPrice) / entryPrice;
+						(direction === "long" ? (currentPrice - entryPrice) / entryPrice : (entryPrice - currentPrice) / entryPrice) +
+						(funding ?? 0) / (entryPrice * Math.abs(position.size));
 
 					positions.push({
 						symbol,
@@ -647,9 +969,10 @@ class TradingManager {
 						currentPrice,
 						progress,
 						unrealizedPnl,
-						stopLoss: stopLossPrice,
+						funding,
+						stopLoss: manager.stopAtBreakeven ? entryPrice : stopLossPrice,
 						takeProfit: takeProfitPrice,
-						hasReachedThreshold: progress >= CONFIG.position.initialThreshold,
+						hasReachedThreshold: progress >= settings.pullback.initialThreshold,
 					});
 				}
 			}
@@ -664,6 +987,8 @@ class TradingManager {
 		logger.info("[SHUTDOWN] Initiating graceful shutdown");
 		clearInterval(this.healthCheckInterval);
 		clearInterval(this.statusUpdateInterval);
+		priceHistory.stopSampling();
+		fundingHistory.stopSampling();
 
 		if (this.ws) {
 			this.ws.close();
@@ -687,6 +1012,8 @@ async function main() {
 		const tradingManager = new TradingManager();
 		await tradingManager.initialize(tradingSymbols);
 
+		watchSettings();
+
 		process.on("SIGINT", () => {
 			logger.info("[SHUTDOWN] Graceful shutdown initiated");
 			tradingManager.shutdown();
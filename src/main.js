@@ -1,4 +1,5 @@
-import { ZetaClientWrapper } from "./clients/zeta.js";
+import { ZetaClientWrapper as LiveZetaClientWrapper } from "./clients/zeta.js";
+import { selectClientWrapper, isPaperTrading } from "./clients/paper.js";
 import { Connection } from "@solana/web3.js";
 import { ASSETS, SYMBOLS } from "./config/config.js";
 import logger from "./utils/logger.js";
@@ -7,9 +8,22 @@ import { PriorityFeeMethod, PriorityFeeSubscriber, fetchSolanaPriorityFee } from
 import WebSocket from "ws";
 import dotenv from "dotenv";
 import fs from "fs";
+import { SignalRecorder } from "./signals/recorder.js";
+import { tradeJournal } from "./utils/trade-journal.js";
+import { loadSettings, watchSettings, getHotReloadSettings } from "./config/settings.js";
+import { priceHistory } from "./utils/price-history.js";
+import { fundingHistory } from "./utils/funding-history.js";
+import { circuitBreaker } from "./utils/circuit-breaker.js";
+import { PortfolioGuard } from "./utils/portfolio-guard.js";
+import { failedResult, sendWithRetries } from "./utils/trading-errors.js";
+import { addBlockedReason, haltOnError, pyramidSkipReason, retryIfUnchanged } from "./utils/position-actions.js";
+import { calculateProgress } from "./utils/pullback-monitor.js";
+import { activeCloseWindow, describeCloseWindow, evaluateTimeExit } from "./utils/time-exits.js";
 
 dotenv.config();
 
+const ZetaClientWrapper = selectClientWrapper(LiveZetaClientWrapper);
+
 /**
  * System Configuration Constants
  * These values control the timing and behavior of various system components.
@@ -36,7 +50,8 @@ const MONITORING_INTERVALS = {
  */
 function validateConfig() {
   // Essential environment variables that must be present
-  const requiredEnvVars = ["KEYPAIR_FILE_PATH_LONG", "KEYPAIR_FILE_PATH_SHORT", "WS_API_KEY", "RPC_TRADINGBOT"];
+  const requiredEnvVars = ["KEYPAIR_FILE_PATH_LONG", "KEYPAIR_FILE_PATH_SHORT", "WS_API_KEY"];
+  if (!isPaperTrading()) requiredEnvVars.push("RPC_TRADINGBOT");
 
   // Check for missing variables
   const missingVars = requiredEnvVars.filter((envVar) => !process.env[envVar]);
@@ -45,8 +60,8 @@ function validateConfig() {
     process.exit(1);
   }
 
-  // Verify wallet files exist
-  if (!fs.existsSync(process.env.KEYPAIR_FILE_PATH_LONG) || !fs.existsSync(process.env.KEYPAIR_FILE_PATH_SHORT)) {
+  // Verify wallet files exist (paper trading only uses the paths as account names)
+  if (!isPaperTrading() && (!fs.existsSync(process.env.KEYPAIR_FILE_PATH_LONG) || !fs.existsSync(process.env.KEYPAIR_FILE_PATH_SHORT))) {
     logger.error("[INIT] Wallet files not found");
     process.exit(1);
   }
@@ -61,6 +76,14 @@ function validateConfig() {
     process.exit(1);
   }
 
+  // Risk settings, fails fast on any invalid value
+  try {
+    loadSettings({ profile: "main" });
+  } catch (error) {
+    logger.error(`[INIT] ${error.message}`);
+    process.exit(1);
+  }
+
   return tradingSymbols;
 }
 
@@ -110,6 +133,7 @@ class MultiTradingManager {
     // Core management components
     this.longManager = null; // Handles all long positions
     this.shortManager = null; // Handles all short positions
+    this.portfolioGuard = null; // Limits across both wallets
     this.symbols = []; // Active trading symbols
 
     // WebSocket state
@@ -117,6 +141,7 @@ class MultiTradingManager {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.connectionActive = false;
+    this.signalRecorder = new SignalRecorder(); // Raw feed log for replay-signals.js
 
     // Message handling
     this.messageQueue = []; // FIFO queue for incoming signals
@@ -140,11 +165,16 @@ class MultiTradingManager {
         shortWallet: process.env.KEYPAIR_FILE_PATH_SHORT,
       });
 
+      // Both directions check new positions against the combined exposure
+      this.portfolioGuard = new PortfolioGuard(this.symbols, () =>
+        [this.longManager, this.shortManager].filter((manager) => manager?.zetaWrapper).map((manager) => manager.zetaWrapper)
+      );
+
       // Initialize both trading directions
-      this.longManager = new DirectionalTradingManager("long", this.symbols);
+      this.longManager = new DirectionalTradingManager("long", this.symbols, this.portfolioGuard);
       await this.longManager.initialize();
 
-      this.shortManager = new DirectionalTradingManager("short", this.symbols);
+      this.shortManager = new DirectionalTradingManager("short", this.symbols, this.portfolioGuard);
       await this.shortManager.initialize();
 
       // Do position check after both managers are initialized
@@ -152,6 +182,15 @@ class MultiTradingManager {
       await this.longManager.checkExistingPositions();
       await this.shortManager.checkExistingPositions();
 
+      // Mark price samples feed volatility-scaled sizing, both wallets see the same markets
+      priceHistory.startSampling(this.symbols, (symbol) =>
+        this.longManager.zetaWrapper.getCalculatedMarkPrice(constants.Asset[symbol])
+      );
+      // Funding samples stamp the trade journal so closes include accrued funding
+      fundingHistory.startSampling(this.symbols, (symbol) =>
+        this.longManager.zetaWrapper.getFundingState(constants.Asset[symbol])
+      );
+
       this.setupWebSocket();
       this.setupHealthCheck();
 
@@ -207,6 +246,8 @@ class MultiTradingManager {
 
     // Handle incoming messages
     this.ws.on("message", async (data) => {
+      this.signalRecorder.record(data);
+
       try {
         const signalData = JSON.parse(data.toString());
 
@@ -318,6 +359,9 @@ class MultiTradingManager {
         reconnectAttempts: this.reconnectAttempts,
         timestamp: new Date().toISOString(),
       });
+
+      this.longManager.checkCircuitBreaker();
+      this.shortManager.checkCircuitBreaker();
     }, MONITORING_INTERVALS.HEALTH_CHECK);
   }
 
@@ -328,6 +372,8 @@ class MultiTradingManager {
   shutdown() {
     logger.info("[SHUTDOWN] Initiating graceful shutdown");
     clearInterval(this.healthCheckInterval);
+    priceHistory.stopSampling();
+    fundingHistory.stopSampling();
 
     if (this.ws) {
       this.ws.close();
@@ -345,9 +391,10 @@ class MultiTradingManager {
  * Coordinates multiple symbols while maintaining direction-specific logic
  */
 class DirectionalTradingManager {
-  constructor(direction, symbols) {
+  constructor(direction, symbols, portfolioGuard = null) {
     this.direction = direction; // 'long' or 'short'
     this.symbols = symbols; // Array of trading symbols
+    this.portfolioGuard = portfolioGuard; // Limits across both directions' positions
     this.symbolManagers = new Map(); // Map of symbol -> SymbolTradingManager
     this.isProcessing = false; // Prevents concurrent signal processing
     this.zetaWrapper = null; // Shared ZetaWrapper instance
@@ -360,6 +407,7 @@ class DirectionalTradingManager {
       // Initialize single ZetaWrapper for all markets in this direction
       this.zetaWrapper = new ZetaClientWrapper();
       const keypairPath = this.direction === "long" ? process.env.KEYPAIR_FILE_PATH_LONG : process.env.KEYPAIR_FILE_PATH_SHORT;
+      const marketIndices = this.symbols.map((symbol) => constants.Asset[symbol]);
 
       // Initialize one client
       await this.zetaWrapper.initialize(keypairPath);
@@ -371,7 +419,7 @@ class DirectionalTradingManager {
       // Create managers for each symbol sharing the same wrapper
       for (const symbol of this.symbols) {
         const marketIndex = constants.Asset[symbol];
-        const manager = new SymbolTradingManager(marketIndex, this.direction, this.zetaWrapper);
+        const manager = new SymbolTradingManager(marketIndex, this.direction, this.zetaWrapper, this.portfolioGuard);
         this.symbolManagers.set(symbol, manager);
       }
 
@@ -411,6 +459,13 @@ class DirectionalTradingManager {
     }
   }
 
+  /**
+   * Refreshes this wallet's daily PnL so the circuit breaker can trip between signals
+   */
+  async checkCircuitBreaker() {
+    if (this.zetaWrapper) await circuitBreaker.check(this.zetaWrapper);
+  }
+
   // Inside DirectionalTradingManager class
   // In DirectionalTradingManager class
   async checkExistingPositions() {
@@ -466,19 +521,24 @@ class DirectionalTradingManager {
  * Handles position entry, monitoring, and stop loss management
  */
 class SymbolTradingManager {
-  constructor(marketIndex, direction, zetaWrapper) {
+  constructor(marketIndex, direction, zetaWrapper, portfolioGuard = null) {
     this.marketIndex = marketIndex;
     this.direction = direction;
     this.symbol = constants.Asset[marketIndex];
     this.zetaWrapper = zetaWrapper;
+    this.portfolioGuard = portfolioGuard; // Limits shared with the other direction's wallet
     this.monitoringIntervals = new Map();
     this.lastCheckedSize = null;
     this.monitoringState = new Map(); // Track monitoring state per position
+    this.positionSettings = new Map(); // Settings captured when each position's monitoring started
     this.lastCheckedPrice = null;
     this.isAdjusting = false;
+    this.haltReason = null; // Set when an open fails in a way retrying can't fix, blocks new opens until restart
   }
 
   async updateTransactionPriorityFees() {
+    if (isPaperTrading()) return;
+
     try {
       const recentFees = await fetchSolanaPriorityFee(this.zetaWrapper.connection, 150, []);
       const newFee = recentFees?.slice(0, 10).reduce((sum, fee) => sum + fee.prioritizationFee, 0) / 10 || 1_000;
@@ -541,7 +601,7 @@ class SymbolTradingManager {
 
   async processSignal(signalData) {
     try {
-      const currentPosition = await this.zetaWrapper.getPosition(this.marketIndex);
+      let currentPosition = await this.zetaWrapper.getPosition(this.marketIndex);
       
       if (!currentPosition || currentPosition.size === 0) {
         if (signalData.signal !== 0) {
@@ -550,37 +610,64 @@ class SymbolTradingManager {
         return;
       }
 
-      const positionId = this.generatePositionId(currentPosition);
+      let positionId = this.generatePositionId(currentPosition);
 
       // Check if stop loss has been adjusted before starting monitoring
       const hasOriginalSL = await this.hasOriginalStopLoss(currentPosition);
-      
-      if (!hasOriginalSL) {
-        console.log(`[${this.symbol}] Stop loss already adjusted, skipping monitoring for ${positionId}`);
-        return;
+
+      // A repeat signal adds to the position when pyramiding allows it, monitoring then follows the new size
+      if (signalData.signal !== 0 && (await this.pyramidPosition(currentPosition, !hasOriginalSL))) {
+        currentPosition = await this.zetaWrapper.getPosition(this.marketIndex);
+        positionId = this.generatePositionId(currentPosition);
       }
 
       if (!this.monitoringIntervals.has(positionId)) {
         console.log(`[${this.symbol}] Starting monitoring for ${positionId}`, {
           size: currentPosition.size,
           direction: this.direction,
+          stopLossTrailed: !hasOriginalSL,
         });
-        const interval = setInterval(() => this.monitorPosition(currentPosition), 3000);
-        this.monitoringIntervals.set(positionId, interval);
-        this.monitoringState.set(positionId, {
-          startTime: Date.now(),
-          lastCheck: Date.now(),
-          originalSize: currentPosition.size,
-        });
+        await this.startMonitoring(currentPosition, !hasOriginalSL);
       }
     } catch (error) {
       logger.error(`[TRADE] Error processing signal for ${this.symbol}:`, error);
     }
   }
 
-  
   async openNewPosition(signalData) {
     try {
+      if (this.haltReason) {
+        logger.info(`[TRADE] New positions halted, skipping ${this.direction} position for ${this.symbol}`, {
+          reason: this.haltReason,
+        });
+        return;
+      }
+
+      const { timeExits } = await this.zetaWrapper.fetchSettings(this.marketIndex);
+      const closeWindow = activeCloseWindow(timeExits);
+      if (closeWindow) {
+        logger.info(`[TRADE] Inside a close window, skipping ${this.direction} position for ${this.symbol}`, {
+          window: describeCloseWindow(closeWindow),
+        });
+        return;
+      }
+
+      const tripped = await circuitBreaker.check(this.zetaWrapper);
+      if (tripped) {
+        logger.info(`[TRADE] Circuit breaker tripped, skipping ${this.direction} position for ${this.symbol}`, {
+          reason: tripped.reason,
+        });
+        return;
+      }
+
+      const limitReason = await this.portfolioGuard?.check(this.zetaWrapper, this.direction, this.marketIndex);
+      if (limitReason) {
+        logger.info(`[TRADE] Portfolio limit reached, skipping ${this.direction} position for ${this.symbol}`, {
+          reason: limitReason,
+        });
+        return;
+      }
+
       logger.info(`[TRADE] Opening ${this.direction} position for ${this.symbol}`, {
         price: signalData.close,
         timestamp: new Date().toISOString(),
@@ -588,9 +675,15 @@ class SymbolTradingManager {
 
       await this.updateTransactionPriorityFees();
 
-      const tx = await this.zetaWrapper.openPosition(this.direction, this.marketIndex);
+      const { result, error } = await sendWithRetries(
+        () => this.zetaWrapper.openPosition(this.direction, this.marketIndex).catch(failedResult),
+        { label: `[TRADE] Open ${this.direction} ${this.symbol}:`, canRetry: retryIfUnchanged(this, 0) }
+      );
 
-      await new Promise((resolve) => setTimeout(resolve, 2000));
+      if (error) {
+        haltOnError(this, error);
+        return;
+      }
 
       const newPosition = await this.zetaWrapper.getPosition(this.marketIndex);
       const hasNewPosition = newPosition !== null && newPosition.size !== 0;
@@ -600,12 +693,21 @@ class SymbolTradingManager {
           direction: this.direction,
           size: newPosition.size,
           price: signalData.close,
-          txid: tx,
+          txid: result.signature,
+        });
+
+        tradeJournal.recordOpen({
+          symbol: this.symbol,
+          direction: this.direction,
+          wallet: this.zetaWrapper.wallet.publicKey.toString(),
+          entryPrice: Math.abs(newPosition.costOfTrades / newPosition.size),
+          size: newPosition.size,
+          signal: signalData,
+          txids: [result.signature],
+          tpsl: result.tpsl,
         });
 
-        const positionId = this.generatePositionId(newPosition);
-        const interval = setInterval(() => this.monitorPosition(newPosition), 3000);
-        this.monitoringIntervals.set(positionId, interval);
+        await this.startMonitoring(newPosition);
       } else {
         logger.error(`[TRADE] Failed to verify new position for ${this.symbol}`);
       }
@@ -614,6 +716,140 @@ class SymbolTradingManager {
     }
   }
 
+  /**
+   * Adds to the position on a repeat signal when pyramiding is enabled for the symbol, under
+   * the same rules as the other bots (see utils/position-actions.js). addToPosition resizes and
+   * re-prices the TP/SL orders from the blended entry; a position whose stop loss has been
+   * trailed isn't added to. The adds are counted from the trade journal.
+   * @param {Object} position - the open position
+   * @param {boolean} adjusted - whether the stop loss has moved off the original one
+   * @returns {Promise<boolean>} whether the position grew
+   */
+  async pyramidPosition(position, adjusted) {
+    const positionId = this.generatePositionId(position);
+    const wallet = this.zetaWrapper.wallet.publicKey.toString();
+    const configured = await this.zetaWrapper.fetchSettings(this.marketIndex);
+    const settings = await this.getMonitorSettings(positionId);
+    const entryPrice = Math.abs(position.costOfTrades / position.size);
+    const currentPrice = this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex);
+    const { takeProfitPrice } = this.zetaWrapper.calculateTPSLPrices(this.direction, entryPrice, settings);
+    const progress = calculateProgress(this.direction, entryPrice, currentPrice, takeProfitPrice);
+    const notional = Math.abs(position.size) * currentPrice;
+    const adds = tradeJournal.countAdds({ wallet, symbol: this.symbol, direction: this.direction });
+
+    const skipReason =
+      pyramidSkipReason(
+        configured,
+        { haltReason: this.haltReason, busy: this.isAdjusting, adjusted, adds },
+        { progress, notional }
+      ) ?? (await addBlockedReason(this, this.direction, configured.pyramiding));
+    if (skipReason) {
+      logger.info(`[TRADE] Not adding to ${this.direction} position for ${this.symbol}: ${skipReason}`);
+      return false;
+    }
+
+    logger.info(`[TRADE] Adding to ${this.direction} position for ${this.symbol}`, {
+      add: adds + 1,
+      progress: (progress * 100).toFixed(2) + "%",
+      notional: notional.toFixed(2),
+    });
+
+    // Holds the monitor off while the entry changes under it
+    this.isAdjusting = true;
+    try {
+      await this.updateTransactionPriorityFees();
+
+      const { result, error } = await sendWithRetries(
+        () => this.zetaWrapper.addToPosition(this.direction, this.marketIndex).catch(failedResult),
+        { label: `[TRADE] Add ${this.direction} ${this.symbol}:`, canRetry: retryIfUnchanged(this, position.size) }
+      );
+
+      if (error) {
+        haltOnError(this, error);
+        return false;
+      }
+
+      const added = await this.zetaWrapper.getPosition(this.marketIndex);
+      const addedSize = Math.abs(added?.size ?? 0) - Math.abs(position.size);
+      if (addedSize <= 0) {
+        logger.warn(`[TRADE] Add landed but the ${this.symbol} position size did not grow`);
+        return false;
+      }
+
+      const blendedEntry = Math.abs(added.costOfTrades / added.size);
+      tradeJournal.recordAdd({
+        symbol: this.symbol,
+        direction: this.direction,
+        wallet,
+        price: Math.abs(Math.abs(added.costOfTrades) - Math.abs(position.costOfTrades)) / addedSize,
+        size: addedSize,
+        entryPrice: blendedEntry,
+        txids: [result.signature],
+      });
+
+      logger.info(`[TRADE] Added ${addedSize} to ${this.direction} position for ${this.symbol}`, {
+        size: Math.abs(added.size),
+        blendedEntry: blendedEntry.toFixed(4),
+        adds: adds + 1,
+      });
+
+      // The position id changes with costOfTrades, monitoring restarts under the new one with the same settings
+      this.stopMonitoring(positionId);
+      this.positionSettings.set(this.generatePositionId(added), settings);
+      return true;
+    } catch (error) {
+      logger.error(`[TRADE] Failed to add to position for ${this.symbol}:`, error);
+      return false;
+    } finally {
+      this.isAdjusting = false;
+    }
+  }
+
+  /**
+   * Starts monitoring a position. Until its stop loss is trailed it's checked every
+   * ACTIVE_POSITION ms; after that only the time exits are left to check, every WAITING_CLOSURE ms.
+   * The open time for maxHoldingHours comes from the journal's open record.
+   */
+  async startMonitoring(position, trailed = false) {
+    const positionId = this.generatePositionId(position);
+    if (!this.positionSettings.has(positionId)) {
+      this.positionSettings.set(positionId, await this.zetaWrapper.fetchPositionSettings(this.marketIndex, this.direction));
+    }
+
+    const openTrade = tradeJournal.findOpenTrade({
+      wallet: this.zetaWrapper.wallet.publicKey.toString(),
+      symbol: this.symbol,
+      direction: this.direction,
+    });
+    this.monitoringState.set(positionId, {
+      startTime: Date.now(),
+      lastCheck: Date.now(),
+      originalSize: position.size,
+      openedAt: openTrade ? Date.parse(openTrade.ts) : Date.now(),
+      staleSince: this.monitoringState.get(positionId)?.staleSince ?? null,
+      trailed,
+    });
+
+    const interval = setInterval(
+      () => this.monitorPosition(position),
+      trailed ? MONITORING_INTERVALS.WAITING_CLOSURE : MONITORING_INTERVALS.ACTIVE_POSITION
+    );
+    this.monitoringIntervals.set(positionId, interval);
+  }
+
+  /**
+   * Open positions keep the settings captured when their monitoring started,
+   * unless hotReload.applyToOpenPositions is set in settings.json. The TP/SL
+   * distances are always the ones recorded when the position was opened.
+   */
+  async getMonitorSettings(positionId) {
+    const captured = this.positionSettings.get(positionId);
+    if (captured && !getHotReloadSettings().applyToOpenPositions) {
+      return captured;
+    }
+    return this.zetaWrapper.fetchPositionSettings(this.marketIndex, this.direction);
+  }
+
   async monitorPosition(originalPosition) {
     const positionId = this.generatePositionId(originalPosition);
 
@@ -622,12 +858,19 @@ class SymbolTradingManager {
     }
 
     try {
-      const settings = await this.zetaWrapper.fetchSettings();
+      const settings = await this.getMonitorSettings(positionId);
       const { trailingStopLoss } = settings;
 
       const currentPosition = await this.zetaWrapper.getPosition(this.marketIndex);
       if (!currentPosition || currentPosition.size === 0) {
         logger.info(`[${this.symbol}] Position closed, stopping monitoring`);
+        tradeJournal.recordClose({
+          symbol: this.symbol,
+          direction: this.direction,
+          wallet: this.zetaWrapper.wallet.publicKey.toString(),
+          exitPrice: this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex),
+          reason: "Closed by trigger order",
+        });
         this.stopMonitoring(positionId);
         return;
       }
@@ -670,6 +913,27 @@ class SymbolTradingManager {
         this.lastCheckedPrice = currentPrice;
       }
 
+      // Max holding time, stale progress and scheduled close windows
+      const state = this.monitoringState.get(positionId);
+      const timeExit = evaluateTimeExit(state, progressPercent, settings.timeExits);
+      state.staleSince = timeExit.staleSince;
+      state.lastCheck = Date.now();
+
+      if (timeExit.exitReason) {
+        logger.info(`[${this.symbol}] Attempting to close position:`, {
+          reason: timeExit.exitReason,
+          detail: timeExit.detail,
+          currentProgress: (progressPercent * 100).toFixed(2) + "%",
+        });
+        const closed = await this.closePosition(currentPosition, positionId, timeExit.exitReason);
+        if (!closed) {
+          logger.warn(`[${this.symbol}] Time-based closure failed - will retry on next monitor cycle`);
+        }
+        return;
+      }
+
+      if (state.trailed) return;
+
       if (progressPercent >= trailingStopLoss.progressThreshold) {
         this.isAdjusting = true;
 
@@ -701,19 +965,26 @@ class SymbolTradingManager {
           await this.updateTransactionPriorityFees();
           const adjustmentSuccess = await this.zetaWrapper.adjustStopLossOrder(newPrices, this.marketIndex, currentPosition.size);
 
+          // adjustStopLossOrder only returns true once the new prices are confirmed on-chain. The
+          // trigger order bit can change when the edit falls back to cancel-and-replace.
           if (adjustmentSuccess) {
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            await this.zetaWrapper.client.updateState();
-            const updatedOrders = await this.zetaWrapper.getTriggerOrders(this.marketIndex);
-            const updatedStopLoss = updatedOrders.find(order => order.triggerOrderBit === stopLoss.triggerOrderBit);
-
-            if (updatedStopLoss && updatedStopLoss.orderPrice !== stopLoss.orderPrice) {
-              logger.info(`[${this.symbol}] Stop loss successfully adjusted`);
-              this.stopMonitoring(positionId);
-              return;
-            }
+            logger.info(`[${this.symbol}] Stop loss successfully adjusted`);
+            tradeJournal.recordStopLossAdjustment({
+              symbol: this.symbol,
+              direction: this.direction,
+              wallet: this.zetaWrapper.wallet.publicKey.toString(),
+              previousStopLoss: stopLoss.orderPrice / 1e6,
+              stopLoss: newStopLoss,
+              triggerPrice: newTrigger,
+              progress: progressPercent,
+            });
+            // Only the time exits are left, checked less often
+            clearInterval(this.monitoringIntervals.get(positionId));
+            await this.startMonitoring(originalPosition, true);
+            return;
           }
+
+          logger.warn(`[${this.symbol}] Stop loss adjustment could not be verified, will retry on the next check`);
         } catch (error) {
           logger.error(`[${this.symbol}] Error during stop loss adjustment:`, error);
         } finally {
@@ -738,6 +1009,57 @@ class SymbolTradingManager {
       this.monitoringIntervals.delete(positionId);
       console.log(`[${this.symbol}] Stopped monitoring ${positionId}`);
     }
+    this.positionSettings.delete(positionId);
+  }
+
+  /**
+   * Closes the whole position in-process and cancels its trigger orders, for the time exits.
+   * @returns {Promise<boolean>} whether the position is verified closed
+   */
+  async closePosition(position, positionId, reason) {
+    this.isAdjusting = true;
+    try {
+      const entryPrice = Math.abs(position.costOfTrades / position.size);
+      const currentPrice = this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex);
+
+      await this.updateTransactionPriorityFees();
+      const { result, error } = await sendWithRetries(
+        () => this.zetaWrapper.closePosition(this.direction, this.marketIndex).catch(failedResult),
+        { label: `[${this.symbol}] Close ${this.direction}:` }
+      );
+      if (error) return false;
+
+      const remaining = await this.zetaWrapper.getPosition(this.marketIndex);
+      if (remaining && remaining.size !== 0) {
+        logger.warn(`[${this.symbol}] Position still open after close`, { size: remaining.size });
+        return false;
+      }
+
+      logger.info(`[${this.symbol}] Position closure verified`);
+      tradeJournal.recordClose({
+        symbol: this.symbol,
+        direction: this.direction,
+        wallet: this.zetaWrapper.wallet.publicKey.toString(),
+        entryPrice,
+        exitPrice: currentPrice,
+        size: position.size,
+        reason,
+        txids: [result.signature],
+      });
+      this.stopMonitoring(positionId);
+
+      try {
+        await this.zetaWrapper.cancelAllTriggerOrders(this.marketIndex);
+      } catch (error) {
+        logger.error(`[${this.symbol}] Failed to cancel trigger orders:`, error);
+      }
+      return true;
+    } catch (error) {
+      logger.error(`[${this.symbol}] Error closing position:`, error);
+      return false;
+    } finally {
+      this.isAdjusting = false;
+    }
   }
 
   async shouldAdjustStopLoss(position) {
@@ -788,7 +1110,7 @@ class SymbolTradingManager {
     const { stopLossPrice: originalStopLoss } = this.zetaWrapper.calculateTPSLPrices(
       isShort ? "short" : "long", 
       entryPrice, 
-      await this.zetaWrapper.fetchSettings()
+      await this.zetaWrapper.fetchPositionSettings(this.marketIndex, isShort ? "short" : "long")
     );
 
     const difference = Math.abs(currentStopLossPrice - originalStopLoss) / originalStopLoss;
@@ -817,7 +1139,12 @@ class SymbolTradingManager {
     const currentStopLossPrice = stopLoss.orderPrice / 1e6;
     const entryPrice = Math.abs(position.costOfTrades / position.size);
 
-    const { stopLossPrice: originalStopLoss } = this.zetaWrapper.calculateTPSLPrices(isShort ? "short" : "long", entryPrice, await this.zetaWrapper.fetchSettings());
+    const direction = isShort ? "short" : "long";
+    const { stopLossPrice: originalStopLoss } = this.zetaWrapper.calculateTPSLPrices(
+      direction,
+      entryPrice,
+      await this.zetaWrapper.fetchPositionSettings(this.marketIndex, direction)
+    );
 
     const difference = Math.abs(currentStopLossPrice - originalStopLoss) / originalStopLoss;
     return difference < 0.001; // Return true if at original stop loss
@@ -834,6 +1161,7 @@ class SymbolTradingManager {
       this.monitoringIntervals.delete(positionId);
       console.log(`[${this.symbol}] Stopped monitoring ${positionId}`);
     }
+    this.positionSettings.delete(positionId);
   }
 
   shutdown() {
@@ -922,6 +1250,8 @@ async function main() {
     const multiManager = new MultiTradingManager();
     await multiManager.initialize(tradingSymbols);
 
+    watchSettings();
+
     // Start priority fee update interval
     const updateInterval = setInterval(async () => {
       try {
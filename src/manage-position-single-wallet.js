@@ -1,14 +1,19 @@
 // manage-position-single-wallet.js
 
-import { ZetaClientWrapper } from "./clients/zeta.js";
+import { ZetaClientWrapper as LiveZetaClientWrapper } from "./clients/zeta.js";
+import { selectClientWrapper } from "./clients/paper.js";
 import { Connection } from "@solana/web3.js";
 import { constants, Network, Exchange, types, utils } from "@zetamarkets/sdk";
 import { PriorityFeeMethod, PriorityFeeSubscriber, fetchSolanaPriorityFee } from "@drift-labs/sdk";
 import dotenv from "dotenv";
 import logger from "./utils/logger.js";
+import { formatTransactionResult } from "./utils/transaction-manager.js";
+import { failedResult } from "./utils/trading-errors.js";
 
 dotenv.config();
 
+const ZetaClientWrapper = selectClientWrapper(LiveZetaClientWrapper);
+
 // Time to wait between operations for better transaction handling
 const delay_ms = 1; //set to minimum for tx speed
 
@@ -58,13 +63,33 @@ async function openTestPosition(asset, direction) {
     await utils.sleep(delay_ms);
 
     // Open the position with specified direction
-    const tx_open = await zetaWrapper.openPosition(direction, constants.Asset[asset]);
+    const tx_open = await zetaWrapper.openPosition(direction, constants.Asset[asset]).catch(failedResult);
+    if (tx_open) console.log(formatTransactionResult(tx_open));
+
+    process.exit(0);
+}
+
+async function addToTestPosition(asset, direction) {
+    logger.info(`Adding to position: ${direction} ${asset}`);
+
+    // Using single wallet for all operations
+    const keypairPath = process.env.KEYPAIR_FILE_PATH;
+    logger.info(`Using wallet: ${keypairPath}`);
+
+    // Initialize Zeta client with single wallet
+    const zetaWrapper = new ZetaClientWrapper();
+    await zetaWrapper.initializeExchange([constants.Asset[asset]]);
+    await zetaWrapper.initialize(keypairPath);
+
+    // The TP/SL orders stay on and are resized to the new total
+    const tx_add = await zetaWrapper.addToPosition(direction, constants.Asset[asset]).catch(failedResult);
+    if (tx_add) console.log(formatTransactionResult(tx_add));
 
     process.exit(0);
 }
 
-async function closeTestPosition(asset, direction) {
-    logger.info(`Closing position: ${direction} ${asset}`);
+async function closeTestPosition(asset, direction, closeOptions = {}) {
+    logger.info(`Closing position: ${direction} ${asset}`, closeOptions);
 
     // Using single wallet for all operations
     const keypairPath = process.env.KEYPAIR_FILE_PATH;
@@ -79,7 +104,8 @@ async function closeTestPosition(asset, direction) {
     await utils.sleep(delay_ms);
 
     // Close the position
-    const tx_close = await zetaWrapper.closePosition(direction, constants.Asset[asset]);
+    const tx_close = await zetaWrapper.closePosition(direction, constants.Asset[asset], closeOptions).catch(failedResult);
+    if (tx_close) console.log(formatTransactionResult(tx_close));
 
     process.exit(0);
 }
@@ -96,17 +122,19 @@ process.on("unhandledRejection", (error) => {
 });
 
 // Export functions for potential module usage
-export { openTestPosition, closeTestPosition };
+export { openTestPosition, addToTestPosition, closeTestPosition };
 
 // Command line interface handler
 if (process.argv[2] && process.argv[3] && process.argv[4]) {
-    const action = process.argv[2].toLowerCase(); // "open" or "close"
+    const action = process.argv[2].toLowerCase(); // "open", "add" or "close"
     const asset = process.argv[3].toUpperCase(); // e.g., "SOL"
     const direction = process.argv[4].toLowerCase(); // "long" or "short"
+    const fraction = process.argv[5] === undefined ? 1 : Number(process.argv[5]); // share of the position to close
+    const moveStopToBreakeven = process.argv[6] === "breakeven"; // partial closes only
 
     // Validate command line inputs
-    if (!["open", "close"].includes(action)) {
-        logger.error("Action must be either 'open' or 'close'");
+    if (!["open", "add", "close"].includes(action)) {
+        logger.error("Action must be 'open', 'add' or 'close'");
         process.exit(1);
     }
 
@@ -115,6 +143,11 @@ if (process.argv[2] && process.argv[3] && process.argv[4]) {
         process.exit(1);
     }
 
+    if (!(fraction > 0 && fraction <= 1)) {
+        logger.error("Fraction must be above 0 and at most 1");
+        process.exit(1);
+    }
+
     if (!constants.Asset[asset]) {
         logger.error("Invalid asset symbol");
         process.exit(1);
@@ -123,7 +156,9 @@ if (process.argv[2] && process.argv[3] && process.argv[4]) {
     // Execute appropriate action based on command line arguments
     if (action === "open") {
         openTestPosition(asset, direction);
+    } else if (action === "add") {
+        addToTestPosition(asset, direction);
     } else {
-        closeTestPosition(asset, direction);
+        closeTestPosition(asset, direction, { fraction, moveStopToBreakeven });
     }
 }
\ No newline at end of file
@@ -1,14 +1,19 @@
 // manage-position.js
 
-import { ZetaClientWrapper } from "./clients/zeta.js";
+import { ZetaClientWrapper as LiveZetaClientWrapper } from "./clients/zeta.js";
+import { selectClientWrapper } from "./clients/paper.js";
 import { Connection } from "@solana/web3.js";
 import { constants, Network, Exchange, types, utils } from "@zetamarkets/sdk";
 import { PriorityFeeMethod, PriorityFeeSubscriber, fetchSolanaPriorityFee } from "@drift-labs/sdk";
 import dotenv from "dotenv";
 import logger from "./utils/logger.js";
+import { formatTransactionResult } from "./utils/transaction-manager.js";
+import { failedResult } from "./utils/trading-errors.js";
 
 dotenv.config();
 
+const ZetaClientWrapper = selectClientWrapper(LiveZetaClientWrapper);
+
 const delay_ms = 1500;
 
 async function validateAndInitialize(markets) {
@@ -70,13 +75,34 @@ async function openTestPosition(asset, direction) {
   }
 
 	// Open position
-	const tx_open = await zetaWrapper.openPosition(direction, constants.Asset[asset]);
+	const tx_open = await zetaWrapper.openPosition(direction, constants.Asset[asset]).catch(failedResult);
+	if (tx_open) console.log(formatTransactionResult(tx_open));
+
+	process.exit(0);
+}
+
+async function addToTestPosition(asset, direction) {
+	logger.info(`Adding to position: ${direction} ${asset}`);
+
+	// Get correct keypair path based on direction
+	const keypairPath = direction === "long" ? process.env.KEYPAIR_FILE_PATH_LONG : process.env.KEYPAIR_FILE_PATH_SHORT;
+
+	logger.info(`Using keypair path: ${keypairPath}`);
+
+	// Initialize Zeta client
+	const zetaWrapper = new ZetaClientWrapper();
+  await zetaWrapper.initializeExchange([constants.Asset[asset]]);
+	await zetaWrapper.initialize(keypairPath);
+
+	// The TP/SL orders stay on and are resized to the new total
+	const tx_add = await zetaWrapper.addToPosition(direction, constants.Asset[asset]).catch(failedResult);
+	if (tx_add) console.log(formatTransactionResult(tx_add));
 
 	process.exit(0);
 }
 
-async function closeTestPosition(asset, direction) {
-	logger.info(`Closing position: ${direction} ${asset}`);
+async function closeTestPosition(asset, direction, closeOptions = {}) {
+	logger.info(`Closing position: ${direction} ${asset}`, closeOptions);
 
 	// Get correct keypair path based on direction
 	const keypairPath = direction === "long" ? process.env.KEYPAIR_FILE_PATH_LONG : process.env.KEYPAIR_FILE_PATH_SHORT;
@@ -92,7 +118,11 @@ async function closeTestPosition(asset, direction) {
   await utils.sleep(delay_ms); // delay_ms after initialize
 
 	// close position
-	const tx_close = await zetaWrapper.closePosition(direction, constants.Asset[asset]);
+	const tx_close = await zetaWrapper.closePosition(direction, constants.Asset[asset], closeOptions).catch(failedResult);
+	if (tx_close) console.log(formatTransactionResult(tx_close));
+
+  // A partial close keeps the TP/SL orders for what is left
+  if (closeOptions.fraction !== undefined && closeOptions.fraction < 1) process.exit(0);
 
   try {
     const tx_cancel = await zetaWrapper.cancelAllTriggerOrders(constants.Asset[asset]);
@@ -116,17 +146,19 @@ process.on("unhandledRejection", (error) => {
 });
 
 // Export for command line usage
-export { openTestPosition, closeTestPosition };
+export { openTestPosition, addToTestPosition, closeTestPosition };
 
 // If running directly
 if (process.argv[2] && process.argv[3] && process.argv[4]) {
-    const action = process.argv[2].toLowerCase(); // "open" or "close"
+    const action = process.argv[2].toLowerCase(); // "open", "add" or "close"
     const asset = process.argv[3].toUpperCase(); // e.g., "SOL"
     const direction = process.argv[4].toLowerCase(); // "long" or "short"
+    const fraction = process.argv[5] === undefined ? 1 : Number(process.argv[5]); // share of the position to close
+    const moveStopToBreakeven = process.argv[6] === "breakeven"; // partial closes only
 
     // Validate inputs
-    if (!["open", "close"].includes(action)) {
-        logger.error("Action must be either 'open' or 'close'");
+    if (!["open", "add", "close"].includes(action)) {
+        logger.error("Action must be 'open', 'add' or 'close'");
         process.exit(1);
     }
 
@@ -135,6 +167,11 @@ if (process.argv[2] && process.argv[3] && process.argv[4]) {
         process.exit(1);
     }
 
+    if (!(fraction > 0 && fraction <= 1)) {
+        logger.error("Fraction must be above 0 and at most 1");
+        process.exit(1);
+    }
+
     if (!constants.Asset[asset]) {
         logger.error("Invalid asset symbol");
         process.exit(1);
@@ -143,7 +180,9 @@ if (process.argv[2] && process.argv[3] && process.argv[4]) {
     // Execute appropriate function based on action
     if (action === "open") {
         openTestPosition(asset, direction);
+    } else if (action === "add") {
+        addToTestPosition(asset, direction);
     } else {
-        closeTestPosition(asset, direction);
+        closeTestPosition(asset, direction, { fraction, moveStopToBreakeven });
     }
 }
\ No newline at end of file
@@ -0,0 +1,174 @@
+// mock-signal-server.js
+//
+// Local signal service for development. Implements the same protocol as the real feed
+// (API key, connection ack, per-symbol/direction subscriptions) and emits scripted,
+// random or hand-typed signals.
+//
+//   node src/mock-signal-server.js --random --interval 20
+//   node src/mock-signal-server.js --script sol-flip.jsonl
+//
+// Then start a bot with WS_HOST=localhost WS_PORT=8080 (and TRADING_MODE=paper).
+
+import fs from "fs";
+import readline from "readline";
+import dotenv from "dotenv";
+import { Command } from "commander";
+import { setTimeout as sleep } from "timers/promises";
+import { SignalServer } from "./signals/signal-server.js";
+
+dotenv.config();
+
+const DEFAULT_PRICES = { SOL: 190, BTC: 97000, ETH: 3400 };
+
+const program = new Command();
+
+program
+	.name("mock-signal-server")
+	.description("Serve scripted, random or manual trading signals on a local WebSocket")
+	.option("--port <port>", "port to listen on", (v) => parseInt(v, 10), Number(process.env.WS_PORT) || 8080)
+	.option("--api-key <key>", "API key clients must send (defaults to WS_API_KEY, empty disables the check)", process.env.WS_API_KEY)
+	.option("--symbols <list>", "comma separated symbols announced in the connection ack", "SOL,ETH,BTC")
+	.option("--script <file>", "JSON array or JSONL of { after, symbol, signal, direction?, close? } steps")
+	.option("--loop", "restart the script when it ends")
+	.option("--delay <seconds>", "wait after the first subscription before running the script", parseFloat, 2)
+	.option("--random", "emit random signals")
+	.option("--interval <seconds>", "seconds between random signal rounds", parseFloat, 30)
+	.option("--probability <n>", "chance a random round produces a long/short signal per symbol", parseFloat, 0.3)
+	.option("--prices <list>", "starting prices, e.g. SOL=190,ETH=3400");
+
+/**
+ * Tracks a random-walk close price per symbol so signals carry plausible prices.
+ */
+class PriceFeed {
+	constructor(symbols, overrides) {
+		this.prices = new Map(symbols.map((symbol) => [symbol, overrides[symbol] ?? DEFAULT_PRICES[symbol] ?? 1]));
+	}
+
+	next(symbol) {
+		const price = this.prices.get(symbol) ?? 1;
+		const nextPrice = price * (1 + (Math.random() - 0.5) * 0.004);
+		this.prices.set(symbol, nextPrice);
+		return Number(nextPrice.toFixed(4));
+	}
+}
+
+function parsePrices(list) {
+	if (!list) return {};
+	return Object.fromEntries(
+		list.split(",").map((pair) => {
+			const [symbol, price] = pair.split("=");
+			return [symbol.trim().toUpperCase(), Number(price)];
+		})
+	);
+}
+
+function loadScript(file) {
+	const content = fs.readFileSync(file, "utf8").trim();
+	const steps = content.startsWith("[")
+		? JSON.parse(content)
+		: content
+				.split(/\r?\n/)
+				.filter((line) => line.trim() !== "")
+				.map((line) => JSON.parse(line));
+
+	steps.forEach((step, i) => {
+		if (!step.symbol || ![1, -1, 0].includes(step.signal)) {
+			throw new Error(`${file}: step ${i + 1} needs a symbol and signal of 1, -1 or 0`);
+		}
+	});
+	return steps;
+}
+
+/**
+ * The messages for one signal. Like the real feed, a "none" signal without a direction
+ * goes out once per direction so both the long and the short subscribers see it.
+ */
+function buildSignals(feed, symbol, signal, direction, close) {
+	const price = close ?? feed.next(symbol);
+	const directions = direction !== undefined ? [direction] : signal === 0 ? [1, -1] : [signal];
+	return directions.map((dir) => ({ symbol, direction: dir, signal, close: price }));
+}
+
+function emit(server, messages) {
+	for (const message of messages) {
+		const delivered = server.broadcast(message);
+		console.log(`[MOCK] ${new Date().toISOString()} ${JSON.stringify(message)} -> ${delivered} client(s)`);
+	}
+}
+
+async function runScript(server, feed, steps, loop) {
+	do {
+		for (const step of steps) {
+			if (step.after) await sleep(step.after * 1000);
+			emit(server, buildSignals(feed, step.symbol.toUpperCase(), step.signal, step.direction, step.close));
+		}
+		console.log("[MOCK] Script finished");
+	} while (loop);
+}
+
+async function runRandom(server, feed, symbols, intervalSeconds, probability) {
+	while (true) {
+		for (const symbol of symbols) {
+			const signal = Math.random() < probability ? (Math.random() < 0.5 ? 1 : -1) : 0;
+			emit(server, buildSignals(feed, symbol, signal));
+		}
+		await sleep(intervalSeconds * 1000);
+	}
+}
+
+/**
+ * Manual signals from the terminal: "<symbol> <long|short|none> [close]".
+ */
+function startPrompt(server, feed, symbols) {
+	const signals = { long: 1, short: -1, none: 0 };
+	const rl = readline.createInterface({ input: process.stdin });
+
+	console.log('[MOCK] Type "<symbol> <long|short|none> [close]" to send a signal, e.g. "SOL long"');
+	rl.on("line", (line) => {
+		const [symbol, side, close] = line.trim().split(/\s+/);
+		if (!symbol) return;
+
+		const upper = symbol.toUpperCase();
+		if (!symbols.includes(upper) || !(side in signals)) {
+			console.log(`[MOCK] Usage: <${symbols.join("|")}> <long|short|none> [close]`);
+			return;
+		}
+		emit(server, buildSignals(feed, upper, signals[side], undefined, close ? Number(close) : undefined));
+	});
+}
+
+async function main() {
+	const opts = program.parse(process.argv).opts();
+	const symbols = opts.symbols.split(",").map((symbol) => symbol.trim().toUpperCase());
+	const feed = new PriceFeed(symbols, parsePrices(opts.prices));
+	const steps = opts.script ? loadScript(opts.script) : null;
+
+	const server = new SignalServer({ port: opts.port, symbols, apiKey: opts.apiKey || null });
+	await server.start();
+	console.log(`[MOCK] Announcing ${symbols.join(", ")}${opts.apiKey ? "" : " (API key check disabled)"}`);
+
+	process.on("SIGINT", async () => {
+		await server.close();
+		process.exit(0);
+	});
+
+	if (process.stdin.isTTY) {
+		startPrompt(server, feed, symbols);
+	}
+
+	if (steps) {
+		console.log("[MOCK] Waiting for a client to subscribe before running the script...");
+		await server.waitForSubscriber();
+		await sleep(opts.delay * 1000);
+		await runScript(server, feed, steps, opts.loop);
+	} else if (opts.random) {
+		await runRandom(server, feed, symbols, opts.interval, opts.probability);
+	} else if (!process.stdin.isTTY) {
+		console.log("[MOCK] No --script or --random given and no terminal attached, only serving the connection ack");
+	}
+}
+
+main().catch((error) => {
+	console.error(`[MOCK] ${error.message}`);
+	process.exit(1);
+});
@@ -0,0 +1,86 @@
+// replay-signals.js
+//
+// Serves a recorded signal feed (see signals/recorder.js) on a local WebSocket so any
+// entry point can be pointed at it with WS_HOST=localhost WS_PORT=<port>.
+//
+//   node src/replay-signals.js --file signal-logs/signals-2024-12-20.jsonl --from 2024-12-20T03:00:00Z --speed 60
+
+import { Command } from "commander";
+import { setTimeout as sleep } from "timers/promises";
+import { readRecording } from "./signals/recorder.js";
+import { SignalServer } from "./signals/signal-server.js";
+
+const program = new Command();
+
+program
+	.name("replay-signals")
+	.description("Replay a recorded signal feed through a local WebSocket server")
+	.requiredOption("--file <path>", "recording file, or a directory of recordings")
+	.option("--port <port>", "port to listen on", (v) => parseInt(v, 10), 8090)
+	.option("--speed <n>", "playback speed, 1 = original pace", parseFloat, 1)
+	.option("--max-gap <seconds>", "cap on the wait between two messages", parseFloat)
+	.option("--from <time>", "skip messages received before this time (ISO)")
+	.option("--to <time>", "stop after messages received at this time (ISO)")
+	.option("--symbol <symbol>", "only replay one symbol")
+	.option("--delay <seconds>", "wait after the first subscription before starting", parseFloat, 2);
+
+async function main() {
+	const opts = program.parse(process.argv).opts();
+	if (!(opts.speed > 0)) throw new Error("--speed must be greater than 0");
+
+	const from = opts.from ? Date.parse(opts.from) : -Infinity;
+	const to = opts.to ? Date.parse(opts.to) : Infinity;
+	const entries = readRecording(opts.file);
+
+	// The server sends its own ack, so only recorded signals are replayed
+	const ack = entries.find((entry) => entry.message?.type === "connection");
+	const signals = entries.filter(
+		(entry) =>
+			entry.message &&
+			entry.message.type !== "connection" &&
+			entry.message.symbol &&
+			entry.ts >= from &&
+			entry.ts <= to &&
+			(!opts.symbol || entry.message.symbol === opts.symbol.toUpperCase())
+	);
+
+	if (signals.length === 0) {
+		throw new Error("No signals to replay in the selected range");
+	}
+
+	const symbols = ack?.message.symbols || [...new Set(signals.map((entry) => entry.message.symbol))];
+	const server = new SignalServer({ port: opts.port, symbols });
+	await server.start();
+
+	console.log(`[REPLAY] Loaded ${signals.length} signals from ${signals[0].receivedAt} to ${signals[signals.length - 1].receivedAt}`, {
+		speed: opts.speed,
+		symbols,
+	});
+	console.log("[REPLAY] Waiting for a client to subscribe...");
+	await server.waitForSubscriber();
+	await sleep(opts.delay * 1000);
+
+	for (let i = 0; i < signals.length; i++) {
+		const entry = signals[i];
+
+		if (i > 0) {
+			let wait = (entry.ts - signals[i - 1].ts) / opts.speed;
+			if (opts.maxGap !== undefined) wait = Math.min(wait, opts.maxGap * 1000);
+			if (wait > 0) await sleep(wait);
+		}
+
+		const delivered = server.broadcast(entry.message);
+		console.log(`[REPLAY] ${entry.receivedAt} ${JSON.stringify(entry.message)} -> ${delivered} client(s)`);
+	}
+
+	console.log("[REPLAY] Replay complete - server stays up until interrupted");
+	process.on("SIGINT", async () => {
+		await server.close();
+		process.exit(0);
+	});
+}
+
+main().catch((error) => {
+	console.error(`[REPLAY] ${error.message}`);
+	process.exit(1);
+});
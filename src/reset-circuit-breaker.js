@@ -0,0 +1,55 @@
+// reset-circuit-breaker.js
+//
+// Shows or clears the daily loss circuit breaker (see utils/circuit-breaker.js). Running
+// bots pick the reset up on their next check, no restart needed.
+//
+//   node src/reset-circuit-breaker.js --status
+//   node src/reset-circuit-breaker.js --wallet <public key>
+
+import { Command } from "commander";
+import dotenv from "dotenv";
+import { circuitBreaker } from "./utils/circuit-breaker.js";
+
+dotenv.config();
+
+const program = new Command();
+
+program
+	.name("reset-circuit-breaker")
+	.description("Show or reset the daily loss circuit breaker")
+	.option("--wallet <address>", "only reset this wallet, all wallets when omitted")
+	.option("--status", "print the current state without resetting");
+
+function printStates(states) {
+	const wallets = Object.keys(states);
+	if (wallets.length === 0) {
+		console.log(`No circuit breaker state in ${circuitBreaker.filePath}`);
+		return;
+	}
+
+	for (const wallet of wallets) {
+		const state = states[wallet];
+		console.log(`${wallet}:`, {
+			day: state.day,
+			pnl: state.pnl?.toFixed(2) ?? "n/a",
+			consecutiveLosses: state.consecutiveLosses ?? 0,
+			tripped: state.tripped ? `${state.tripped.reason} (at ${state.tripped.at})` : "no",
+		});
+	}
+}
+
+function main() {
+	const opts = program.parse(process.argv).opts();
+
+	printStates(circuitBreaker.readAll());
+	if (opts.status) return;
+
+	const reset = circuitBreaker.reset(opts.wallet);
+	if (reset.length === 0) {
+		console.log(opts.wallet ? `No circuit breaker state for ${opts.wallet}` : "Nothing to reset");
+		return;
+	}
+	console.log(`Reset circuit breaker for ${reset.join(", ")}`);
+}
+
+main();
@@ -0,0 +1,128 @@
+import fs from "fs";
+import path from "path";
+import logger from "../utils/logger.js";
+
+const FILE_PATTERN = /^signals-\d{4}-\d{2}-\d{2}(\.\d+)?\.jsonl$/;
+
+/**
+ * Appends every raw WebSocket message to a rotating JSONL file, one
+ * { receivedAt, ts, message } record per line. Files rotate per UTC day
+ * and when they grow past SIGNAL_RECORD_MAX_MB; only the newest
+ * SIGNAL_RECORD_MAX_FILES are kept. Set SIGNAL_RECORDING=false to disable.
+ */
+export class SignalRecorder {
+	constructor(options = {}) {
+		this.enabled = options.enabled ?? process.env.SIGNAL_RECORDING !== "false";
+		this.dir = options.dir || process.env.SIGNAL_RECORD_DIR || "signal-logs";
+		this.maxFileBytes = (options.maxFileMb || Number(process.env.SIGNAL_RECORD_MAX_MB) || 50) * 1024 * 1024;
+		this.maxFiles = options.maxFiles || Number(process.env.SIGNAL_RECORD_MAX_FILES) || 30;
+
+		this.currentDay = null;
+		this.currentFile = null;
+		this.currentSize = 0;
+
+		if (this.enabled) {
+			fs.mkdirSync(this.dir, { recursive: true });
+			logger.info(`[WS] Recording signals to ${path.resolve(this.dir)}`);
+		}
+	}
+
+	/**
+	 * @param {Buffer|string} data - message exactly as received from the socket
+	 */
+	record(data) {
+		if (!this.enabled) return;
+
+		try {
+			const now = new Date();
+			const raw = data.toString();
+			const entry = { receivedAt: now.toISOString(), ts: now.getTime() };
+
+			try {
+				entry.message = JSON.parse(raw);
+			} catch {
+				entry.raw = raw;
+			}
+
+			const line = JSON.stringify(entry) + "\n";
+			const rotated = this.rotateIfNeeded(now, Buffer.byteLength(line));
+			fs.appendFileSync(this.currentFile, line);
+			this.currentSize += Buffer.byteLength(line);
+
+			if (rotated) this.pruneOldFiles();
+		} catch (error) {
+			logger.error("[WS] Failed to record signal:", error);
+		}
+	}
+
+	rotateIfNeeded(now, nextBytes) {
+		const day = now.toISOString().slice(0, 10);
+		if (this.currentDay === day && this.currentSize + nextBytes <= this.maxFileBytes) return false;
+
+		this.currentDay = day;
+
+		// Continue today's newest file after a restart, roll over to the next suffix once it's full
+		const todays = listRecordingFiles(this.dir).filter((file) => path.basename(file).startsWith(`signals-${day}`));
+		let index = todays.length ? Number(path.basename(todays[todays.length - 1]).split(".")[1]) || 0 : 0;
+		while (true) {
+			const candidate = path.join(this.dir, index === 0 ? `signals-${day}.jsonl` : `signals-${day}.${index}.jsonl`);
+			const size = fs.existsSync(candidate) ? fs.statSync(candidate).size : 0;
+			if (size + nextBytes <= this.maxFileBytes || size === 0) {
+				this.currentFile = candidate;
+				this.currentSize = size;
+				break;
+			}
+			index++;
+		}
+
+		return true;
+	}
+
+	pruneOldFiles() {
+		const files = listRecordingFiles(this.dir);
+		for (const file of files.slice(0, Math.max(0, files.length - this.maxFiles))) {
+			if (file === this.currentFile) continue;
+			fs.unlinkSync(file);
+		}
+	}
+}
+
+/**
+ * Recording files in chronological order.
+ * @param {string} target - a recording file or a directory of them
+ */
+export function listRecordingFiles(target) {
+	if (!fs.statSync(target).isDirectory()) return [target];
+
+	const order = (name) => {
+		const [, day, index = "0"] = name.match(/^signals-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/);
+		return `${day}.${index.padStart(6, "0")}`;
+	};
+
+	return fs
+		.readdirSync(target)
+		.filter((name) => FILE_PATTERN.test(name))
+		.sort((a, b) => order(a).localeCompare(order(b)))
+		.map((name) => path.join(target, name));
+}
+
+/**
+ * Reads recorded entries from a file or directory, oldest first.
+ * @returns {Array<{ receivedAt: string, ts: number, message?: Object, raw?: string }>}
+ */
+export function readRecording(target) {
+	const entries = [];
+	for (const file of listRecordingFiles(target)) {
+		const lines = fs.readFileSync(file, "utf8").split("\n");
+		lines.forEach((line, i) => {
+			if (line.trim() === "") return;
+			try {
+				entries.push(JSON.parse(line));
+			} catch {
+				// A crash can leave a torn last line behind
+				logger.warn(`[WS] Skipping unreadable line ${i + 1} in ${file}`);
+			}
+		});
+	}
+	return entries.sort((a, b) => a.ts - b.ts);
+}
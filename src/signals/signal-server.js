@@ -0,0 +1,127 @@
+import { WebSocketServer } from "ws";
+
+const DIRECTIONS = { 1: "long", "-1": "short" };
+
+/**
+ * Local stand-in for the signal service. Speaks the same protocol the trading
+ * entry points expect: ws://host:port?apiKey=... (checked when apiKey is set),
+ * a { type: "connection", symbols } ack on connect, then
+ * { type: "subscribe", symbol, direction } requests from the client.
+ */
+export class SignalServer {
+	constructor({ port = 8080, symbols = [], apiKey = null } = {}) {
+		this.port = Number(port);
+		this.symbols = symbols;
+		this.apiKey = apiKey;
+		this.wss = null;
+		this.subscriptions = new Map(); // client -> Set of "SYMBOL:direction"
+		this.subscriberWaiters = [];
+	}
+
+	start() {
+		return new Promise((resolve, reject) => {
+			this.wss = new WebSocketServer({
+				port: this.port,
+				verifyClient: (info, callback) => this.verifyClient(info, callback),
+			});
+			this.wss.once("error", reject);
+			this.wss.on("listening", () => {
+				console.log(`[SERVER] Signal server listening on ws://localhost:${this.port}`);
+				resolve();
+			});
+			this.wss.on("connection", (ws, req) => this.handleConnection(ws, req));
+		});
+	}
+
+	verifyClient({ req }, callback) {
+		if (!this.apiKey) return callback(true);
+
+		const apiKey = new URL(req.url, "ws://localhost").searchParams.get("apiKey");
+		if (apiKey !== this.apiKey) {
+			console.log(`[SERVER] Rejected connection from ${req.socket.remoteAddress}: invalid API key`);
+			return callback(false, 401, "Invalid API key");
+		}
+		callback(true);
+	}
+
+	handleConnection(ws, req) {
+		this.subscriptions.set(ws, new Set());
+		console.log(`[SERVER] Client connected from ${req.socket.remoteAddress}`);
+
+		ws.send(JSON.stringify({ type: "connection", symbols: this.symbols }));
+
+		ws.on("message", (data) => {
+			try {
+				const message = JSON.parse(data.toString());
+				if (message.type !== "subscribe") return;
+
+				const symbol = String(message.symbol).toUpperCase();
+				if (this.symbols.length > 0 && !this.symbols.includes(symbol)) {
+					console.log(`[SERVER] Ignoring subscription to unknown symbol ${symbol}`);
+					return;
+				}
+				if (!["long", "short"].includes(message.direction)) {
+					console.log(`[SERVER] Ignoring subscription with invalid direction ${message.direction}`);
+					return;
+				}
+
+				const key = `${symbol}:${message.direction}`;
+				this.subscriptions.get(ws).add(key);
+				console.log(`[SERVER] Client subscribed to ${key}`);
+
+				this.subscriberWaiters.splice(0).forEach((resolve) => resolve());
+			} catch (error) {
+				console.log("[SERVER] Ignoring malformed client message:", error.message);
+			}
+		});
+
+		ws.on("close", () => {
+			this.subscriptions.delete(ws);
+			console.log("[SERVER] Client disconnected");
+		});
+	}
+
+	/**
+	 * Resolves once any client has sent its first subscribe request.
+	 */
+	waitForSubscriber() {
+		const hasSubscriber = [...this.subscriptions.values()].some((keys) => keys.size > 0);
+		if (hasSubscriber) return Promise.resolve();
+		return new Promise((resolve) => this.subscriberWaiters.push(resolve));
+	}
+
+	/**
+	 * Sends a signal to every client subscribed to its symbol and direction.
+	 * Messages without a direction go to any subscriber of the symbol.
+	 * @returns {number} clients the message was delivered to
+	 */
+	broadcast(message) {
+		const payload = JSON.stringify(message);
+		const symbol = String(message.symbol).toUpperCase();
+		const direction = DIRECTIONS[message.direction] || message.direction;
+		let delivered = 0;
+
+		for (const [ws, keys] of this.subscriptions) {
+			if (ws.readyState !== ws.OPEN) continue;
+
+			const subscribed = direction
+				? keys.has(`${symbol}:${direction}`)
+				: [...keys].some((key) => key.startsWith(`${symbol}:`));
+
+			if (subscribed) {
+				ws.send(payload);
+				delivered++;
+			}
+		}
+
+		return delivered;
+	}
+
+	close() {
+		return new Promise((resolve) => {
+			if (!this.wss) return resolve();
+			this.wss.clients.forEach((ws) => ws.terminate());
+			this.wss.close(() => resolve());
+		});
+	}
+}
@@ -0,0 +1,174 @@
+import fs from "fs";
+import logger from "./logger.js";
+import { tradeJournal } from "./trade-journal.js";
+import { getCircuitBreakerSettings } from "../config/settings.js";
+
+/**
+ * Daily loss circuit breaker, tracked per wallet and UTC day.
+ *
+ * The day's PnL is the change in margin account equity since the first reading of
+ * the day (or the last manual reset), so it covers realized and unrealized PnL.
+ * Deposits and withdrawals show up as PnL too. The losing streak is counted from
+ * close records in the trade journal over the same period.
+ *
+ * Once tripped, new opens stay blocked until the next UTC day or a manual reset
+ * (src/reset-circuit-breaker.js). Closes and stop-loss management are never blocked.
+ * State lives in CIRCUIT_BREAKER_FILE (default circuit-breaker.json) so a restart
+ * doesn't clear a tripped breaker.
+ */
+export class CircuitBreaker {
+	constructor(filePath = null) {
+		this.customFilePath = filePath;
+	}
+
+	get filePath() {
+		return this.customFilePath || process.env.CIRCUIT_BREAKER_FILE || "circuit-breaker.json";
+	}
+
+	static utcDay(ts = Date.now()) {
+		return new Date(ts).toISOString().slice(0, 10);
+	}
+
+	readAll() {
+		try {
+			if (!fs.existsSync(this.filePath)) return {};
+			return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+		} catch (error) {
+			logger.error(`Failed to read circuit breaker state from ${this.filePath}:`, error);
+			return {};
+		}
+	}
+
+	writeAll(states) {
+		try {
+			const tmpPath = `${this.filePath}.tmp`;
+			fs.writeFileSync(tmpPath, JSON.stringify(states, null, 2));
+			fs.renameSync(tmpPath, this.filePath);
+		} catch (error) {
+			logger.error(`Failed to write circuit breaker state to ${this.filePath}:`, error);
+		}
+	}
+
+	get(wallet) {
+		return this.readAll()[wallet] || null;
+	}
+
+	/**
+	 * Losing closes in a row for the wallet since sinceMs, newest first until the first winner.
+	 */
+	getConsecutiveLosses(wallet, sinceMs) {
+		const closes = tradeJournal.getClosedTrades(sinceMs).filter((record) => record.wallet === wallet);
+		let losses = 0;
+		for (let i = closes.length - 1; i >= 0; i--) {
+			if (closes[i].realizedPnl === null) continue;
+			if (closes[i].realizedPnl >= 0) break;
+			losses++;
+		}
+		return losses;
+	}
+
+	/**
+	 * Records a margin account reading for the wallet and trips the breaker when a
+	 * limit is crossed. Returns the wallet's state for the day.
+	 * @param {string} wallet - wallet public key
+	 * @param {Object} accountState - { balance, equity, unrealizedPnl } from getMarginAccountState()
+	 * @param {Object} [settings] - getCircuitBreakerSettings() result
+	 */
+	update(wallet, accountState, settings = getCircuitBreakerSettings()) {
+		const states = this.readAll();
+		const day = CircuitBreaker.utcDay();
+		let state = states[wallet];
+
+		if (!state || state.day !== day) {
+			if (state?.tripped) {
+				logger.info(`[CIRCUIT] New UTC day, circuit breaker reset for ${wallet}`, { previousDay: state.day, pnl: state.pnl });
+			}
+			state = { day, since: Date.parse(`${day}T00:00:00.000Z`), startEquity: null, tripped: null };
+		}
+
+		state.startEquity ??= accountState.equity;
+		state.startBalance ??= accountState.balance;
+		state.equity = accountState.equity;
+		state.pnl = accountState.equity - state.startEquity;
+		state.realizedPnl = accountState.balance - state.startBalance;
+		state.unrealizedPnl = accountState.unrealizedPnl;
+		state.consecutiveLosses = this.getConsecutiveLosses(wallet, state.since);
+		state.updatedAt = new Date().toISOString();
+
+		if (!state.tripped) {
+			const reason = this.findTripReason(state, settings);
+			if (reason) {
+				state.tripped = { reason, at: state.updatedAt };
+				logger.warn(`[CIRCUIT] Tripped for ${wallet}: ${reason}, new opens paused until the next UTC day or a reset`, {
+					pnl: state.pnl.toFixed(2),
+					realizedPnl: state.realizedPnl.toFixed(2),
+					unrealizedPnl: state.unrealizedPnl.toFixed(2),
+					startEquity: state.startEquity.toFixed(2),
+					consecutiveLosses: state.consecutiveLosses,
+				});
+			}
+		}
+
+		states[wallet] = state;
+		this.writeAll(states);
+		return state;
+	}
+
+	findTripReason(state, settings) {
+		const loss = -state.pnl;
+		if (settings.maxDailyLossUsd !== null && loss >= settings.maxDailyLossUsd) {
+			return `daily loss $${loss.toFixed(2)} reached the $${settings.maxDailyLossUsd} limit`;
+		}
+		const percentLimit = settings.maxDailyLossPercent;
+		if (percentLimit !== null && state.startEquity > 0 && loss >= state.startEquity * percentLimit) {
+			return `daily loss ${((loss / state.startEquity) * 100).toFixed(2)}% reached the ${percentLimit * 100}% limit`;
+		}
+		if (settings.maxConsecutiveLosses !== null && state.consecutiveLosses >= settings.maxConsecutiveLosses) {
+			return `${state.consecutiveLosses} consecutive losing trades`;
+		}
+		return null;
+	}
+
+	/**
+	 * Refreshes the wallet behind a client wrapper and returns the trip details when
+	 * new opens are blocked, or null. Lookup failures don't block trading.
+	 */
+	async check(zetaWrapper) {
+		const settings = getCircuitBreakerSettings();
+		if (!settings.enabled) return null;
+
+		const wallet = zetaWrapper.wallet.publicKey.toString();
+		try {
+			const accountState = await zetaWrapper.getMarginAccountState();
+			return this.update(wallet, accountState, settings).tripped;
+		} catch (error) {
+			logger.error(`[CIRCUIT] Failed to update circuit breaker for ${wallet}:`, error);
+			const state = this.get(wallet);
+			return state?.day === CircuitBreaker.utcDay() ? state.tripped : null;
+		}
+	}
+
+	/**
+	 * Clears a tripped breaker. The day's PnL and losing streak restart from the next reading.
+	 * @param {string} [wallet] - every wallet when omitted
+	 * @returns {string[]} wallets that were reset
+	 */
+	reset(wallet = null) {
+		const states = this.readAll();
+		const wallets = wallet ? [wallet].filter((key) => states[key]) : Object.keys(states);
+
+		for (const key of wallets) {
+			states[key] = {
+				day: CircuitBreaker.utcDay(),
+				since: Date.now(),
+				startEquity: null,
+				tripped: null,
+				resetAt: new Date().toISOString(),
+			};
+		}
+		this.writeAll(states);
+		return wallets;
+	}
+}
+
+export const circuitBreaker = new CircuitBreaker();
@@ -0,0 +1,33 @@
+import logger from "./logger.js";
+import { calculatePositionSize } from "./position-sizing.js";
+import { priceHistory } from "./price-history.js";
+
+/**
+ * calculatePositionSize for a live entry, with the recent price range from the sampled mark
+ * prices when volatility scaling is on. Logs the chosen mode and the USD at risk to the stop loss.
+ * Kept apart from position-sizing.js so the backtester can size without the bot's logger and history.
+ * @param {Object} entry - { symbol, marketIndex, balance, entryPrice, stopLossPrice, settings }
+ * @param {Object} [history] - PriceHistory to read the range from
+ * @returns {Object} calculatePositionSize result
+ */
+export function sizeEntry({ symbol, marketIndex, balance, entryPrice, stopLossPrice, settings }, history = priceHistory) {
+	const volatility = settings.sizing.volatilityScaling;
+	const range = volatility.enabled
+		? history.getRange(marketIndex, volatility.windowMinutes * 60000, volatility.minSamples)
+		: null;
+
+	const sizing = calculatePositionSize(balance, entryPrice, settings, { stopLossPrice, range });
+
+	logger.info(`Position sizing for ${symbol}:`, {
+		mode: sizing.mode,
+		balance: balance.toFixed(2),
+		notional: sizing.notional.toFixed(2),
+		leverage: sizing.leverage.toFixed(2) + "x",
+		riskUsd: sizing.riskUsd?.toFixed(2),
+		stopLossPrice: stopLossPrice.toFixed(4),
+		recentRange: range ? range.rangePercent.toFixed(2) + "%" : volatility.enabled ? "not enough samples" : "off",
+		cappedBy: sizing.cappedBy,
+	});
+
+	return sizing;
+}
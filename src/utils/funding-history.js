@@ -0,0 +1,137 @@
+import fs from "fs";
+
+const SAMPLE_INTERVAL = 60000;
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Perp funding sampled by the running bot, per market:
+ *   rate  - latest funding rate as a daily fraction, positive when longs pay shorts
+ *   index - cumulative funding in USD per unit of position (Zeta's funding delta)
+ *
+ * Like the price history the samples are written to FUNDING_HISTORY_FILE (default
+ * funding-history.json) after every round, so the trade journal and the manage-position
+ * subprocesses can read them. The journal reads this module, so it must not import the logger.
+ */
+export class FundingHistory {
+	constructor(filePath = null) {
+		this.customFilePath = filePath;
+		this.samples = null; // { [symbol]: [[ts, rate, index], ...] }
+		this.samplingInterval = null;
+	}
+
+	get filePath() {
+		return this.customFilePath || process.env.FUNDING_HISTORY_FILE || "funding-history.json";
+	}
+
+	readAll() {
+		try {
+			if (!fs.existsSync(this.filePath)) return {};
+			return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+		} catch (error) {
+			console.error(`[FUNDING] Failed to read funding history from ${this.filePath}:`, error.message);
+			return {};
+		}
+	}
+
+	writeAll() {
+		try {
+			const tmpPath = `${this.filePath}.tmp`;
+			fs.writeFileSync(tmpPath, JSON.stringify(this.samples));
+			fs.renameSync(tmpPath, this.filePath);
+		} catch (error) {
+			console.error(`[FUNDING] Failed to write funding history to ${this.filePath}:`, error.message);
+		}
+	}
+
+	record(symbol, state, ts = Date.now()) {
+		if (!Number.isFinite(state?.rate) || !Number.isFinite(state?.index)) return;
+		if (!this.samples) this.samples = this.readAll();
+
+		const series = (this.samples[symbol] ??= []);
+		series.push([ts, state.rate, state.index]);
+		while (series.length && series[0][0] < ts - MAX_AGE) series.shift();
+	}
+
+	/**
+	 * Samples for one symbol newer than sinceMs, oldest first. Processes that don't
+	 * sample themselves read the latest file written by the bot.
+	 */
+	getSamples(symbol, sinceMs = 0) {
+		const samples = this.samplingInterval ? this.samples : this.readAll();
+		return (samples?.[symbol] ?? []).filter(([ts]) => ts >= sinceMs).map(([ts, rate, index]) => ({ ts, rate, index }));
+	}
+
+	/**
+	 * Latest sample for the symbol, or null when none has been taken.
+	 */
+	getLatest(symbol) {
+		const samples = this.getSamples(symbol);
+		return samples.length > 0 ? samples[samples.length - 1] : null;
+	}
+
+	/**
+	 * Records the funding state of each symbol every minute until stopSampling().
+	 * @param {string[]} symbols
+	 * @param {Function} getState - (symbol) => { rate, index }, or null when the market has no funding data
+	 */
+	startSampling(symbols, getState) {
+		this.stopSampling();
+		if (!this.samples) this.samples = this.readAll();
+
+		const sample = () => {
+			for (const symbol of symbols) {
+				try {
+					this.record(symbol, getState(symbol));
+				} catch (error) {
+					console.error(`[FUNDING] Failed to sample ${symbol} funding:`, error.message);
+				}
+			}
+			this.writeAll();
+		};
+
+		sample();
+		this.samplingInterval = setInterval(sample, SAMPLE_INTERVAL);
+	}
+
+	stopSampling() {
+		if (this.samplingInterval) {
+			clearInterval(this.samplingInterval);
+			this.samplingInterval = null;
+		}
+	}
+}
+
+/**
+ * Funding a position would pay over holdHours at dailyRate, as a percent of its
+ * notional. Negative when it would be paid instead.
+ */
+export function expectedFundingCostPercent(direction, dailyRate, holdHours) {
+	const sign = direction === "long" ? 1 : -1;
+	return sign * dailyRate * (holdHours / 24) * 100;
+}
+
+/**
+ * Applies settings.funding to an entry at dailyRate. Returns the expected cost and the
+ * share of the planned size to open, with a reason when the entry has to be skipped.
+ * A resized entry pays in USD what the full size would pay at maxCostPercent.
+ * @param {string} direction - "long" or "short"
+ * @param {number} dailyRate
+ * @param {Object} funding - { maxCostPercent, expectedHoldHours, action, minResizeFraction }
+ * @returns {Object} { costPercent, sizeFactor, reason }
+ */
+export function checkFundingCost(direction, dailyRate, { maxCostPercent, expectedHoldHours, action, minResizeFraction }) {
+	const costPercent = expectedFundingCostPercent(direction, dailyRate, expectedHoldHours);
+	if (maxCostPercent === null || costPercent <= maxCostPercent) {
+		return { costPercent, sizeFactor: 1, reason: null };
+	}
+
+	const reason = `expected funding of ${costPercent.toFixed(4)}% over ${expectedHoldHours}h is above the ${maxCostPercent}% limit`;
+	const sizeFactor = maxCostPercent / costPercent;
+	if (action !== "resize") return { costPercent, sizeFactor: 0, reason };
+	if (sizeFactor < minResizeFraction) {
+		return { costPercent, sizeFactor: 0, reason: `${reason}, resizing would leave ${(sizeFactor * 100).toFixed(1)}% of the size` };
+	}
+	return { costPercent, sizeFactor, reason: null };
+}
+
+export const fundingHistory = new FundingHistory();
@@ -1,6 +1,7 @@
 import winston from "winston";
 import TelegramBot from "node-telegram-bot-api";
 import { TELEGRAM_BOT_TOKEN, ADMIN_CHAT_ID, SERVER_NAME } from "../config/config.js";
+import { tradeJournal } from "./trade-journal.js";
 
 const { combine, timestamp, printf, colorize, errors } = winston.format;
 
@@ -278,24 +279,15 @@ function getPositionEmoji(type) {
 	}
 }
 
-// Add closed positions tracking
-let closedPositions = {
-  positions: [],
-  totalPnL: 0
-};
-
-function addClosedPosition(position) {
-  closedPositions.positions.push({
-    ...position,
-    closedAt: new Date()
-  });
-  closedPositions.totalPnL += position.realizedPnl || 0;
-}
-
-function clearOldClosedPositions() {
-  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  closedPositions.positions = closedPositions.positions.filter(p => p.closedAt > oneDayAgo);
-  closedPositions.totalPnL = closedPositions.positions.reduce((sum, p) => sum + (p.realizedPnl || 0), 0);
+// Closed positions come from the persistent trade journal
+function getClosedPositions() {
+  const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  const positions = tradeJournal.getClosedTrades(oneDayAgo);
+  return {
+    positions,
+    totalPnL: positions.reduce((sum, p) => sum + (p.realizedPnlPercent || 0), 0),
+    totalPnLUsd: positions.reduce((sum, p) => sum + (p.realizedPnl || 0), 0),
+  };
 }
 
 // Format position details with emojis and colors
@@ -310,28 +302,33 @@ function formatPositionDetails(position) {
   // Color formatting for values
   const plColor = profitLoss > 0 ? '🟢' : profitLoss < 0 ? '🔴' : '⚪';
   const progressColor = position.progress >= 0.3 ? '🟢' : '⚪';
+  // Accrued funding is already part of the PnL, null while no funding samples exist
+  const fundingLine = position.funding != null
+    ? `💸 Funding: ${position.funding < 0 ? '-' : '+'}$${Math.abs(position.funding).toFixed(2)}\n`
+    : '';
   
   return `${directionEmoji} ${position.symbol}:
 💲 Entry: $${position.entryPrice.toFixed(4)}
 📍 Current: $${position.currentPrice.toFixed(4)}
 ${plColor} PnL: ${profitLoss > 0 ? '+' : ''}${(profitLoss * 100).toFixed(2)}%
-${progressColor} Progress: ${(position.progress * 100).toFixed(2)}%
+${fundingLine}${progressColor} Progress: ${(position.progress * 100).toFixed(2)}%
 ⛔️ SL: $${position.stopLoss?.toFixed(4) || 'N/A'}
 🎯 TP: $${position.takeProfit?.toFixed(4) || 'N/A'}
 ${position.hasReachedThreshold ? '🔒' : '🔓'}`;
 }
 
 // New function to format closed positions summary
-function formatClosedPositionsSummary() {
+function formatClosedPositionsSummary(closedPositions) {
   if (closedPositions.positions.length === 0) return '';
 
   const summary = closedPositions.positions.map(p => {
-    const plColor = p.realizedPnl > 0 ? '🟢' : '🔴';
-    return `${p.symbol}: ${plColor}${(p.realizedPnl * 100).toFixed(2)}%`;
+    const plColor = p.realizedPnlPercent > 0 ? '🟢' : '🔴';
+    return `${p.symbol}: ${plColor}${((p.realizedPnlPercent || 0) * 100).toFixed(2)}%`;
   }).join(', ');
 
   const totalColor = closedPositions.totalPnL > 0 ? '🟢' : '🔴';
-  return `\n\n📊 24h Closed Positions:\n${totalColor} Total: ${(closedPositions.totalPnL * 100).toFixed(2)}%\n${summary}`;
+  const totalUsd = `${closedPositions.totalPnLUsd < 0 ? '-' : ''}$${Math.abs(closedPositions.totalPnLUsd).toFixed(2)}`;
+  return `\n\n📊 24h Closed Positions:\n${totalColor} Total: ${(closedPositions.totalPnL * 100).toFixed(2)}% (${totalUsd})\n${summary}`;
 }
 
 // Update the hourly update function
@@ -340,7 +337,7 @@ async function sendHourlyUpdate(positions, isStartup = false) {
     return;
   }
 
-  clearOldClosedPositions();
+  const closedPositions = getClosedPositions();
   const timestamp = new Date().toLocaleString();
   let message = isStartup ? 
     `🚀 Startup Status (${timestamp})\n\n` :
@@ -349,7 +346,7 @@ async function sendHourlyUpdate(positions, isStartup = false) {
   if (!positions.length) {
     message += '📭 No active positions';
     if (closedPositions.positions.length > 0) {
-      message += formatClosedPositionsSummary();
+      message += formatClosedPositionsSummary(closedPositions);
     }
   } else {
     // Split positions into longs and shorts
@@ -382,7 +379,7 @@ async function sendHourlyUpdate(positions, isStartup = false) {
 
     // Add closed positions summary
     if (closedPositions.positions.length > 0) {
-      message += formatClosedPositionsSummary();
+      message += formatClosedPositionsSummary(closedPositions);
     }
   }
 
@@ -420,5 +417,4 @@ export default {
 	logCritical,
 	logWarning,
 	sendHourlyUpdate,
-	addClosedPosition,
 };
\ No newline at end of file
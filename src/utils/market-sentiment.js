@@ -69,10 +69,14 @@ const getMarketSentiment = async () => {
     
     const index = calculateIndex(hourlyChanges, dailyChanges);
     const sentiment = getSentiment(index);
+    // 24h only, for decisions that shouldn't follow the last hour's swings
+    const dailyIndex = calculateSentimentMetrics(dailyChanges);
 
     return {
       index,
       sentiment,
+      dailyIndex,
+      dailySentiment: getSentiment(dailyIndex),
       canOpenLong: !sentiment.includes('Extreme Fear'),
       canOpenShort: !sentiment.includes('Extreme Greed'),
       timestamp: new Date()
@@ -0,0 +1,89 @@
+import fs from "fs";
+import logger from "./logger.js";
+
+/**
+ * Persists the pullback monitor state (highestProgress, hasReachedThreshold,
+ * thresholdHits) per open position so a restart doesn't reset the trailing exit.
+ *
+ * Entries are keyed by wallet + market + entry price: a new position on the same
+ * market has a different entry and starts fresh, and stale entries for that
+ * wallet+market are dropped on the next save.
+ */
+export class MonitorStateStore {
+	constructor(filePath = null) {
+		this.customFilePath = filePath;
+		this.lastSaved = new Map();
+	}
+
+	get filePath() {
+		return this.customFilePath || process.env.MONITOR_STATE_FILE || "monitor-state.json";
+	}
+
+	static key(wallet, marketIndex, entryPrice) {
+		return `${wallet}:${marketIndex}:${Number(entryPrice).toFixed(6)}`;
+	}
+
+	readAll() {
+		try {
+			if (!fs.existsSync(this.filePath)) return {};
+			return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+		} catch (error) {
+			logger.error(`Failed to read monitor state from ${this.filePath}:`, error);
+			return {};
+		}
+	}
+
+	writeAll(states) {
+		// Write-then-rename so a crash mid-write never leaves a truncated file
+		const tmpPath = `${this.filePath}.tmp`;
+		fs.writeFileSync(tmpPath, JSON.stringify(states, null, 2));
+		fs.renameSync(tmpPath, this.filePath);
+	}
+
+	get(wallet, marketIndex, entryPrice) {
+		return this.readAll()[MonitorStateStore.key(wallet, marketIndex, entryPrice)] || null;
+	}
+
+	/**
+	 * Saves the state for one position. Unchanged states are not rewritten.
+	 */
+	save(wallet, marketIndex, entryPrice, state) {
+		const key = MonitorStateStore.key(wallet, marketIndex, entryPrice);
+		const serialized = JSON.stringify(state);
+		if (this.lastSaved.get(key) === serialized) return;
+
+		try {
+			const states = this.readAll();
+			for (const existingKey of Object.keys(states)) {
+				if (existingKey.startsWith(`${wallet}:${marketIndex}:`)) delete states[existingKey];
+			}
+			states[key] = { ...state, updatedAt: new Date().toISOString() };
+
+			this.writeAll(states);
+			this.lastSaved.set(key, serialized);
+		} catch (error) {
+			logger.error(`Failed to save monitor state for ${key}:`, error);
+		}
+	}
+
+	/**
+	 * Drops the state for a wallet+market once its position is closed.
+	 */
+	remove(wallet, marketIndex) {
+		try {
+			const states = this.readAll();
+			const keys = Object.keys(states).filter((key) => key.startsWith(`${wallet}:${marketIndex}:`));
+			if (keys.length === 0) return;
+
+			keys.forEach((key) => {
+				delete states[key];
+				this.lastSaved.delete(key);
+			});
+			this.writeAll(states);
+		} catch (error) {
+			logger.error(`Failed to remove monitor state for ${wallet}:${marketIndex}:`, error);
+		}
+	}
+}
+
+export const monitorStateStore = new MonitorStateStore();
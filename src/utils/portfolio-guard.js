@@ -0,0 +1,110 @@
+import { constants } from "@zetamarkets/sdk";
+import { getPortfolioSettings } from "../config/settings.js";
+import { calculatePositionSize } from "./position-sizing.js";
+import { resolveTPSLDistances, withTPSLDistances } from "./tpsl-distances.js";
+
+/**
+ * Limits across every open position of the dual-wallet bots, checked before each
+ * new position. The long and short wallets are separate Zeta accounts, so neither
+ * DirectionalTradingManager sees the other's positions on its own.
+ *
+ * Limits (portfolio section of settings.json, null to skip):
+ *   maxTotalNotionalUsd    - sum of |size| * mark price over all positions
+ *   maxConcurrentPositions - number of open positions
+ *   maxNetExposureUsd      - |long notional - short notional|, an open that reduces it is always allowed
+ */
+export class PortfolioGuard {
+	/**
+	 * @param {string[]} symbols - traded symbols
+	 * @param {Function} getWrappers - () => client wrappers of every wallet, read on each check
+	 */
+	constructor(symbols, getWrappers) {
+		this.symbols = symbols;
+		this.getWrappers = getWrappers;
+	}
+
+	/**
+	 * Open positions of every wallet valued at the current mark price.
+	 */
+	async getExposure() {
+		const positions = [];
+		for (const zetaWrapper of this.getWrappers()) {
+			for (const symbol of this.symbols) {
+				const marketIndex = constants.Asset[symbol];
+				const position = await zetaWrapper.getPosition(marketIndex);
+				if (!position || position.size === 0) continue;
+
+				const notional = Math.abs(position.size) * zetaWrapper.getCalculatedMarkPrice(marketIndex);
+				positions.push({
+					symbol,
+					wallet: zetaWrapper.wallet.publicKey.toString(),
+					direction: position.size > 0 ? "long" : "short",
+					notional,
+				});
+			}
+		}
+
+		const longNotional = positions.filter((p) => p.direction === "long").reduce((sum, p) => sum + p.notional, 0);
+		const shortNotional = positions.filter((p) => p.direction === "short").reduce((sum, p) => sum + p.notional, 0);
+		return {
+			positions,
+			totalNotional: longNotional + shortNotional,
+			netExposure: longNotional - shortNotional,
+		};
+	}
+
+	/**
+	 * Notional the wrapper would open right now. Volatility scaling only ever shrinks
+	 * positions, so it is left out and the estimate errs on the large side.
+	 */
+	async estimateNotional(zetaWrapper, direction, marketIndex) {
+		const { balance } = await zetaWrapper.getMarginAccountState();
+		const configured = await zetaWrapper.fetchSettings(marketIndex);
+		// Risk sizing works from the stop distance the open would get
+		const settings = withTPSLDistances(configured, resolveTPSLDistances(marketIndex, configured));
+		const price = zetaWrapper.getCalculatedMarkPrice(marketIndex);
+		const { stopLossPrice } = zetaWrapper.calculateTPSLPrices(direction, price, settings);
+		return calculatePositionSize(balance, price, settings, { stopLossPrice }).notional;
+	}
+
+	/**
+	 * Returns why opening a new position would break a portfolio limit, or null when it is allowed.
+	 * @param {Object} zetaWrapper - wrapper of the wallet that would open
+	 * @param {string} direction - "long" or "short"
+	 * @param {string} marketIndex
+	 * @param {Object} [options]
+	 * @param {number} [options.sizeFraction=1] - share of a new open's size, for adds to an open position
+	 */
+	async check(zetaWrapper, direction, marketIndex, { sizeFraction = 1 } = {}) {
+		const limits = getPortfolioSettings();
+		const { maxTotalNotionalUsd, maxConcurrentPositions, maxNetExposureUsd } = limits;
+		if (maxTotalNotionalUsd === null && maxConcurrentPositions === null && maxNetExposureUsd === null) return null;
+
+		const exposure = await this.getExposure();
+		const notional = (await this.estimateNotional(zetaWrapper, direction, marketIndex)) * sizeFraction;
+		const wallet = zetaWrapper.wallet.publicKey.toString();
+		// Adding to a position already counted doesn't open another one
+		const adding = exposure.positions.some((p) => p.wallet === wallet && constants.Asset[p.symbol] === marketIndex);
+		const netAfter = exposure.netExposure + (direction === "long" ? notional : -notional);
+		const netIncreases = Math.abs(netAfter) > Math.abs(exposure.netExposure);
+
+		console.log(`[PORTFOLIO] Exposure before opening ${direction} ${marketIndex}`, {
+			openPositions: exposure.positions.length,
+			totalNotional: exposure.totalNotional.toFixed(2),
+			netExposure: exposure.netExposure.toFixed(2),
+			newNotional: notional.toFixed(2),
+		});
+
+		if (maxConcurrentPositions !== null && !adding && exposure.positions.length >= maxConcurrentPositions) {
+			return `${exposure.positions.length} open positions, limit is ${maxConcurrentPositions}`;
+		}
+		if (maxTotalNotionalUsd !== null && exposure.totalNotional + notional > maxTotalNotionalUsd) {
+			return `total notional would be $${(exposure.totalNotional + notional).toFixed(2)}, limit is $${maxTotalNotionalUsd}`;
+		}
+		if (maxNetExposureUsd !== null && netIncreases && Math.abs(netAfter) > maxNetExposureUsd) {
+			const side = netAfter > 0 ? "long" : "short";
+			return `net ${side} exposure would be $${Math.abs(netAfter).toFixed(2)}, limit is $${maxNetExposureUsd}`;
+		}
+		return null;
+	}
+}
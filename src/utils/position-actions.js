@@ -0,0 +1,287 @@
+import logger from "./logger.js";
+import { circuitBreaker } from "./circuit-breaker.js";
+import { getMarketSentiment } from "./market-sentiment.js";
+import { EXIT_REASONS, calculateProgress, rebasePullbackState } from "./pullback-monitor.js";
+import { activeCloseWindow, describeCloseWindow } from "./time-exits.js";
+import { monitorStateStore } from "./monitor-state-store.js";
+import { tradeJournal, parseTxids } from "./trade-journal.js";
+import { ERROR_TYPES, nothingLanded, sendWithRetries } from "./trading-errors.js";
+import { parseTransactionResult } from "./transaction-manager.js";
+
+/**
+ * Position changes shared by the trading bots. The functions take the bot's
+ * SymbolTradingManager, which provides symbol, marketIndex, zetaWrapper and haltReason.
+ *
+ * pyramidPosition and scaleOutPosition are for the bots that trade through the
+ * manage-position subprocesses (zeta-live-trading-v3.js and live-trading-single-wallet.js).
+ * Their managers also provide
+ *   walletAddress, portfolioGuard (optional), isClosing
+ *   runManagePosition(args) - runs the manage-position script, resolves to its stdout
+ *   getMonitorSettings(), saveMonitorState(entryPrice, direction), stopMonitoring()
+ * and keep the pullback monitor state (hasReachedThreshold, highestProgress, thresholdHits,
+ * scaleOutLevelsHit, stopAtBreakeven, pyramidAdds) on themselves.
+ */
+
+// Errors someone has to fix the account for before another open can work
+const HALTING_TYPES = new Set([ERROR_TYPES.INSUFFICIENT_MARGIN, ERROR_TYPES.ACCOUNT_NOT_FOUND]);
+
+/**
+ * Halts new opens and adds after an error that needs someone to fix the account first.
+ * Closes and stop-loss management carry on.
+ */
+export function haltOnError(manager, error) {
+	if (!HALTING_TYPES.has(error.type)) return;
+
+	manager.haltReason = `${error.type}: ${error.message}`;
+	logger.warn(`[${manager.symbol}] New positions halted until restart`, {
+		direction: manager.direction,
+		reason: manager.haltReason,
+	});
+}
+
+/**
+ * canRetry for sendWithRetries on opens, adds and partial closes. Another attempt only
+ * goes out when the failed one provably didn't land and the position still has the size
+ * it had before, so a retry can't double an entry or close more than asked.
+ * @param {number} size - position size before the first attempt, 0 for a new position
+ */
+export function retryIfUnchanged(manager, size) {
+	return async (result) => {
+		if (!nothingLanded(result)) return false;
+
+		try {
+			const position = await manager.zetaWrapper.getPosition(manager.marketIndex);
+			if (Math.abs(position?.size ?? 0) === Math.abs(size)) return true;
+			logger.warn(`[${manager.symbol}] Not retrying, the position size changed to ${position.size}`);
+		} catch (error) {
+			logger.warn(`[${manager.symbol}] Not retrying, the position could not be read: ${error.message}`);
+		}
+		return false;
+	};
+}
+
+/**
+ * Why a repeat signal can't add to the position, or null when it can. Covers the
+ * pyramiding settings and the manager's own state; the circuit breaker, portfolio limits
+ * and market sentiment are left to the caller.
+ * @param {Object} settings - resolved settings for the symbol
+ * @param {Object} state - { haltReason, busy, adjusted, adds }, adjusted once the exits have
+ *   moved off the ones the position opened with (scale-outs, a trailed stop)
+ * @param {Object} tick - { progress, notional } of the position now
+ * @param {number} [now]
+ * @returns {string|null}
+ */
+export function pyramidSkipReason({ pyramiding, timeExits }, state, { progress, notional }, now = Date.now()) {
+	if (!pyramiding?.enabled) return "pyramiding is disabled";
+	if (state.haltReason) return `new positions halted (${state.haltReason})`;
+
+	const closeWindow = activeCloseWindow(timeExits, now);
+	if (closeWindow) return `inside close window ${describeCloseWindow(closeWindow)}`;
+
+	if (state.busy) return "position is being changed";
+	if (state.adjusted) return "exits already adjusted";
+	if (state.adds >= pyramiding.maxAdds) return `already added ${state.adds} of ${pyramiding.maxAdds} times`;
+
+	if (progress < pyramiding.minProgress) {
+		return `progress ${(progress * 100).toFixed(2)}% below the minimum ${(pyramiding.minProgress * 100).toFixed(2)}%`;
+	}
+	if (pyramiding.maxTotalNotionalUsd !== null && notional >= pyramiding.maxTotalNotionalUsd) {
+		return `notional $${notional.toFixed(2)} at the $${pyramiding.maxTotalNotionalUsd} limit`;
+	}
+	return null;
+}
+
+/**
+ * Circuit breaker, portfolio limits and market sentiment for an add, the checks that
+ * apply to new positions too. Returns why the add is blocked, or null.
+ */
+export async function addBlockedReason(manager, direction, pyramiding) {
+	const tripped = await circuitBreaker.check(manager.zetaWrapper);
+	if (tripped) return `circuit breaker tripped (${tripped.reason})`;
+
+	const limitReason = await manager.portfolioGuard?.check(manager.zetaWrapper, direction, manager.marketIndex, {
+		sizeFraction: pyramiding.sizeFraction,
+	});
+	if (limitReason) return `portfolio limit reached (${limitReason})`;
+
+	const marketConditions = await getMarketSentiment();
+	if (!(direction === "long" ? marketConditions.canOpenLong : marketConditions.canOpenShort)) {
+		return `market sentiment is ${marketConditions.sentiment} (${marketConditions.index})`;
+	}
+	return null;
+}
+
+/**
+ * Adds to the position on a repeat signal when pyramiding is enabled for the symbol.
+ * Only winning positions are added to: progress towards take profit has to be at
+ * least pyramiding.minProgress, and a position that has been scaled out of is left
+ * alone. The monitor then works from the blended entry, with the pullback progress
+ * re-anchored on it (see rebasePullbackState).
+ */
+export async function pyramidPosition(manager, position, direction) {
+	const { symbol, zetaWrapper, marketIndex } = manager;
+	const configured = await zetaWrapper.fetchSettings(marketIndex);
+	const settings = await manager.getMonitorSettings();
+	const entryPrice = Math.abs(position.costOfTrades / position.size);
+	const currentPrice = zetaWrapper.getCalculatedMarkPrice(marketIndex);
+	const { takeProfitPrice } = zetaWrapper.calculateTPSLPrices(direction, entryPrice, settings);
+	const progress = calculateProgress(direction, entryPrice, currentPrice, takeProfitPrice);
+	const notional = Math.abs(position.size) * currentPrice;
+
+	const skipReason =
+		pyramidSkipReason(
+			configured,
+			{
+				haltReason: manager.haltReason,
+				busy: manager.isClosing,
+				adjusted: manager.scaleOutLevelsHit > 0,
+				adds: manager.pyramidAdds,
+			},
+			{ progress, notional }
+		) ?? (await addBlockedReason(manager, direction, configured.pyramiding));
+	if (skipReason) {
+		logger.info(`[${symbol}] Not adding to ${direction} position: ${skipReason}`);
+		return;
+	}
+
+	logger.info(`[${symbol}] Adding to ${direction} position`, {
+		add: manager.pyramidAdds + 1,
+		progress: (progress * 100).toFixed(2) + "%",
+		notional: notional.toFixed(2),
+	});
+
+	// Holds the monitor off while the entry changes under it
+	manager.isClosing = true;
+	try {
+		let stdout = "";
+		const { error } = await sendWithRetries(
+			async () => {
+				stdout = await manager.runManagePosition(`add ${symbol} ${direction}`);
+				return parseTransactionResult(stdout);
+			},
+			{ label: `[${symbol}] Add ${direction}:`, canRetry: retryIfUnchanged(manager, position.size) }
+		);
+
+		if (error) {
+			haltOnError(manager, error);
+			return;
+		}
+
+		const added = await zetaWrapper.getPosition(marketIndex);
+		const addedSize = Math.abs(added?.size ?? 0) - Math.abs(position.size);
+		if (addedSize <= 0) {
+			logger.warn(`[${symbol}] Add landed but the position size did not grow`);
+			return;
+		}
+
+		const blendedEntry = Math.abs(added.costOfTrades / added.size);
+		tradeJournal.recordAdd({
+			symbol,
+			direction,
+			wallet: manager.walletAddress,
+			price: Math.abs(Math.abs(added.costOfTrades) - Math.abs(position.costOfTrades)) / addedSize,
+			size: addedSize,
+			entryPrice: blendedEntry,
+			txids: parseTxids(stdout),
+		});
+
+		const { takeProfitPrice: blendedTakeProfit } = zetaWrapper.calculateTPSLPrices(direction, blendedEntry, settings);
+		Object.assign(
+			manager,
+			rebasePullbackState(
+				{
+					hasReachedThreshold: manager.hasReachedThreshold,
+					highestProgress: manager.highestProgress,
+					thresholdHits: manager.thresholdHits,
+				},
+				{ direction, entryPrice, takeProfitPrice },
+				{ entryPrice: blendedEntry, takeProfitPrice: blendedTakeProfit },
+				settings.pullback
+			)
+		);
+		manager.pyramidAdds++;
+		manager.saveMonitorState(blendedEntry, direction);
+
+		logger.info(`[${symbol}] Added ${addedSize} to ${direction} position`, {
+			size: Math.abs(added.size),
+			blendedEntry: blendedEntry.toFixed(4),
+			takeProfitPrice: blendedTakeProfit.toFixed(4),
+			highestProgress: (manager.highestProgress * 100).toFixed(2) + "%",
+			hasReachedThreshold: manager.hasReachedThreshold,
+			adds: manager.pyramidAdds,
+		});
+	} catch (error) {
+		logger.error(`[${symbol}] Failed to add to position:`, error);
+	} finally {
+		manager.isClosing = false;
+	}
+}
+
+/**
+ * Closes scaleOut.closeFraction of the position and leaves the rest to the pullback
+ * exit. The TP/SL orders are resized to the remainder by the close itself.
+ * @param {Object} scaleOut - level from nextScaleOutLevel
+ * @returns {Promise<boolean>} whether the level was taken
+ */
+export async function scaleOutPosition(manager, direction, scaleOut, position, currentPrice) {
+	const { symbol } = manager;
+	if (manager.isClosing) return false;
+	manager.isClosing = true;
+
+	try {
+		const breakeven = scaleOut.level.moveStopToBreakeven ? " breakeven" : "";
+		let stdout = "";
+		const { error } = await sendWithRetries(
+			async () => {
+				stdout = await manager.runManagePosition(`close ${symbol} ${direction} ${scaleOut.closeFraction}${breakeven}`);
+				return parseTransactionResult(stdout);
+			},
+			{ label: `[${symbol}] Scale out ${direction}:`, canRetry: retryIfUnchanged(manager, position.size) }
+		);
+
+		// A close that came up short still took part of the level, the next tick must not
+		// close the fraction again from the smaller position
+		const remaining = await manager.zetaWrapper.getPosition(manager.marketIndex);
+		const remainingSize = Math.abs(remaining?.size ?? 0);
+		const closedSize = Math.abs(position.size) - remainingSize;
+		if (closedSize <= 0) {
+			if (!error) logger.warn(`[${symbol}] Scale-out landed but the position size did not change`);
+			return false;
+		}
+		if (error) {
+			logger.warn(`[${symbol}] Scale-out only closed ${closedSize}, taking the level as done`, { error: error.type });
+		}
+
+		const trade = {
+			symbol,
+			direction,
+			wallet: manager.walletAddress,
+			entryPrice: Math.abs(position.costOfTrades / position.size),
+			exitPrice: currentPrice,
+			size: closedSize,
+			reason: EXIT_REASONS.SCALE_OUT,
+			txids: parseTxids(stdout),
+		};
+
+		if (remainingSize === 0) {
+			// Too small to split, the whole position went
+			tradeJournal.recordClose(trade);
+			monitorStateStore.remove(manager.walletAddress, manager.marketIndex);
+			manager.stopMonitoring();
+			return true;
+		}
+
+		tradeJournal.recordPartialClose(trade);
+		manager.scaleOutLevelsHit = scaleOut.index + 1;
+		manager.stopAtBreakeven ||= scaleOut.level.moveStopToBreakeven;
+		logger.info(`[${symbol}] Scaled out ${closedSize}, ${remainingSize} left to trail`, {
+			stopAtBreakeven: manager.stopAtBreakeven,
+		});
+		return true;
+	} catch (error) {
+		logger.error(`[${symbol}] Error scaling out of position:`, error);
+		return false;
+	} finally {
+		manager.isClosing = false;
+	}
+}
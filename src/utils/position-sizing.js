@@ -0,0 +1,61 @@
+/**
+ * Sizes a new entry from the account balance and the symbol's settings.
+ *
+ * sizing.mode "leverage" uses balance * leverageMultiplier. "risk" sizes the position
+ * so hitting the stop loss costs sizing.riskPerTrade of the balance. With
+ * sizing.volatilityScaling enabled the result shrinks when the recent price range is
+ * wider than targetRangePercent. Leverage is always capped at maxLeverage (Zeta allows
+ * less on smaller markets) and the notional at maxNotionalUsd when set.
+ *
+ * @param {number} balance - account balance in USD
+ * @param {number} price - expected entry price
+ * @param {Object} settings - fetchSettings(marketIndex) result
+ * @param {Object} [context]
+ * @param {number} [context.stopLossPrice] - from calculateTPSLPrices, required for risk mode
+ * @param {Object} [context.range] - priceHistory.getRange() result
+ * @returns {{ positionSize, notional, leverage, mode, riskUsd, volatilityScale, cappedBy }}
+ */
+export function calculatePositionSize(balance, price, settings, { stopLossPrice, range } = {}) {
+	const sizing = settings.sizing ?? { mode: "leverage" };
+	const maxLeverage = Math.min(settings.leverageMultiplier, settings.maxLeverage ?? settings.leverageMultiplier);
+	const stopDistance = stopLossPrice ? Math.abs(price - stopLossPrice) / price : null;
+
+	let mode = sizing.mode;
+	let notional = balance * maxLeverage;
+	if (mode === "risk") {
+		if (stopDistance) {
+			notional = (balance * sizing.riskPerTrade) / stopDistance;
+		} else {
+			mode = "leverage"; // no stop loss to size against
+		}
+	}
+
+	let volatilityScale = 1;
+	const volatility = sizing.volatilityScaling;
+	if (volatility?.enabled && range?.rangePercent > 0) {
+		volatilityScale = Math.min(1, volatility.targetRangePercent / range.rangePercent);
+		notional *= volatilityScale;
+	}
+
+	let cappedBy = null;
+	if (notional > balance * maxLeverage) {
+		notional = balance * maxLeverage;
+		cappedBy = maxLeverage < settings.leverageMultiplier ? "maxLeverage" : "leverageMultiplier";
+	} else if (mode === "leverage" && volatilityScale === 1 && maxLeverage < settings.leverageMultiplier) {
+		cappedBy = "maxLeverage";
+	}
+	if (settings.maxNotionalUsd && notional > settings.maxNotionalUsd) {
+		notional = settings.maxNotionalUsd;
+		cappedBy = "maxNotionalUsd";
+	}
+
+	return {
+		positionSize: notional / price,
+		notional,
+		leverage: notional / balance,
+		mode: volatilityScale < 1 ? `${mode}+volatility` : mode,
+		riskUsd: stopDistance ? notional * stopDistance : null,
+		volatilityScale,
+		cappedBy,
+	};
+}
@@ -0,0 +1,147 @@
+import fs from "fs";
+import logger from "./logger.js";
+
+const SAMPLE_INTERVAL = 30000;
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Mark prices sampled by the running bot, used for volatility-aware sizing and ATR-based
+ * TP/SL distances.
+ *
+ * The sampling process keeps samples in memory and writes them to PRICE_HISTORY_FILE
+ * (default price-history.json) after every round, so history survives restarts and the
+ * manage-position subprocesses can read it without sampling themselves.
+ */
+export class PriceHistory {
+	constructor(filePath = null) {
+		this.customFilePath = filePath;
+		this.samples = null; // { [symbol]: [[ts, price], ...] }
+		this.samplingInterval = null;
+	}
+
+	get filePath() {
+		return this.customFilePath || process.env.PRICE_HISTORY_FILE || "price-history.json";
+	}
+
+	readAll() {
+		try {
+			if (!fs.existsSync(this.filePath)) return {};
+			return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+		} catch (error) {
+			logger.error(`Failed to read price history from ${this.filePath}:`, error);
+			return {};
+		}
+	}
+
+	writeAll() {
+		try {
+			const tmpPath = `${this.filePath}.tmp`;
+			fs.writeFileSync(tmpPath, JSON.stringify(this.samples));
+			fs.renameSync(tmpPath, this.filePath);
+		} catch (error) {
+			logger.error(`Failed to write price history to ${this.filePath}:`, error);
+		}
+	}
+
+	record(symbol, price, ts = Date.now()) {
+		if (!Number.isFinite(price) || price <= 0) return;
+		if (!this.samples) this.samples = this.readAll();
+
+		const series = (this.samples[symbol] ??= []);
+		series.push([ts, price]);
+		while (series.length && series[0][0] < ts - MAX_AGE) series.shift();
+	}
+
+	/**
+	 * Samples for one symbol newer than sinceMs, oldest first. Processes that don't
+	 * sample themselves read the latest file written by the bot.
+	 */
+	getSamples(symbol, sinceMs = 0) {
+		const samples = this.samplingInterval ? this.samples : this.readAll();
+		return (samples?.[symbol] ?? []).filter(([ts]) => ts >= sinceMs).map(([ts, price]) => ({ ts, price }));
+	}
+
+	/**
+	 * High/low range over the window as a percent of its midpoint, or null when
+	 * fewer than minSamples are available.
+	 */
+	getRange(symbol, windowMs, minSamples = 2) {
+		const samples = this.getSamples(symbol, Date.now() - windowMs);
+		if (samples.length < minSamples) return null;
+
+		const prices = samples.map((sample) => sample.price);
+		const high = Math.max(...prices);
+		const low = Math.min(...prices);
+		return {
+			high,
+			low,
+			rangePercent: ((high - low) / ((high + low) / 2)) * 100,
+			samples: samples.length,
+		};
+	}
+
+	/**
+	 * Average true range of barMs bars built from the samples in the window, as a price and
+	 * a percent of the latest sample, or null when fewer than minBars bars are available.
+	 */
+	getAtr(symbol, windowMs, barMs, minBars = 2) {
+		const bars = [];
+		for (const { ts, price } of this.getSamples(symbol, Date.now() - windowMs)) {
+			const start = Math.floor(ts / barMs);
+			const bar = bars[bars.length - 1];
+			if (bar?.start === start) {
+				bar.high = Math.max(bar.high, price);
+				bar.low = Math.min(bar.low, price);
+				bar.close = price;
+			} else {
+				bars.push({ start, high: price, low: price, close: price });
+			}
+		}
+		if (bars.length < minBars) return null;
+
+		// A bar's true range reaches back to the previous close, so gaps between bars count
+		const trueRanges = bars.map((bar, i) => {
+			const previousClose = i > 0 ? bars[i - 1].close : bar.low;
+			return Math.max(bar.high, previousClose) - Math.min(bar.low, previousClose);
+		});
+		const atr = trueRanges.reduce((sum, range) => sum + range, 0) / trueRanges.length;
+		return {
+			atr,
+			atrPercent: (atr / bars[bars.length - 1].close) * 100,
+			bars: bars.length,
+		};
+	}
+
+	/**
+	 * Records a mark price for each symbol every 30s until stopSampling().
+	 * @param {string[]} symbols
+	 * @param {Function} getPrice - (symbol) => mark price
+	 */
+	startSampling(symbols, getPrice) {
+		this.stopSampling();
+		if (!this.samples) this.samples = this.readAll();
+
+		const sample = () => {
+			for (const symbol of symbols) {
+				try {
+					this.record(symbol, getPrice(symbol));
+				} catch (error) {
+					logger.error(`Failed to sample ${symbol} price:`, error);
+				}
+			}
+			this.writeAll();
+		};
+
+		sample();
+		this.samplingInterval = setInterval(sample, SAMPLE_INTERVAL);
+	}
+
+	stopSampling() {
+		if (this.samplingInterval) {
+			clearInterval(this.samplingInterval);
+			this.samplingInterval = null;
+		}
+	}
+}
+
+export const priceHistory = new PriceHistory();
@@ -0,0 +1,104 @@
+/**
+ * Dynamic pullback exit logic shared by the live position monitors and the backtester.
+ *
+ * A position becomes "armed" once progress towards take profit reaches initialThreshold.
+ * From then on it closes when progress falls back to (highestProgress - pullbackAmount)
+ * on thresholdHitCount consecutive checks. The original stop loss is always honoured.
+ */
+
+export const EXIT_REASONS = {
+	STOP_LOSS: "Stop loss hit",
+	PULLBACK: "Dynamic pullback threshold hit",
+	SCALE_OUT: "Partial take profit",
+	REVERSAL: "Reversed on opposite signal",
+	MAX_HOLDING: "Max holding time reached",
+	STALE: "Stale position",
+	CLOSE_WINDOW: "Scheduled close window",
+};
+
+export function createPullbackState() {
+	return {
+		hasReachedThreshold: false,
+		highestProgress: 0,
+		thresholdHits: 0,
+	};
+}
+
+export function calculateProgress(direction, entryPrice, currentPrice, takeProfitPrice) {
+	const totalDistanceToTP = Math.abs(takeProfitPrice - entryPrice);
+	const currentProgress = direction === "long" ? currentPrice - entryPrice : entryPrice - currentPrice;
+	return currentProgress / totalDistanceToTP;
+}
+
+export function isStopLossHit(direction, currentPrice, stopLossPrice) {
+	return direction === "long" ? currentPrice <= stopLossPrice : currentPrice >= stopLossPrice;
+}
+
+/**
+ * Evaluates one monitor tick.
+ * @param {Object} state - { hasReachedThreshold, highestProgress, thresholdHits } from the previous tick
+ * @param {Object} tick - { direction, entryPrice, currentPrice, takeProfitPrice, stopLossPrice }
+ * @param {Object} params - { initialThreshold, pullbackAmount, thresholdHitCount }
+ * @returns {Object} next state plus progressPercent, dynamicPullbackThreshold, thresholdHit and exitReason (null to hold)
+ */
+export function evaluatePullbackExit(state, tick, params) {
+	const { direction, entryPrice, currentPrice, takeProfitPrice, stopLossPrice } = tick;
+
+	const progressPercent = calculateProgress(direction, entryPrice, currentPrice, takeProfitPrice);
+	const highestProgress = Math.max(state.highestProgress, progressPercent);
+	const dynamicPullbackThreshold = Math.max(0, highestProgress - params.pullbackAmount);
+
+	const result = {
+		...state,
+		highestProgress,
+		progressPercent,
+		dynamicPullbackThreshold,
+		thresholdHit: false,
+		exitReason: null,
+	};
+
+	if (isStopLossHit(direction, currentPrice, stopLossPrice)) {
+		result.exitReason = EXIT_REASONS.STOP_LOSS;
+		return result;
+	}
+
+	if (progressPercent >= params.initialThreshold) {
+		result.hasReachedThreshold = true;
+	}
+
+	if (result.hasReachedThreshold) {
+		if (progressPercent <= dynamicPullbackThreshold) {
+			result.thresholdHits++;
+			result.thresholdHit = true;
+
+			if (result.thresholdHits >= params.thresholdHitCount) {
+				result.exitReason = EXIT_REASONS.PULLBACK;
+			}
+		} else {
+			result.thresholdHits = 0;
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Carries the state over to a new entry and take profit after the position is added to.
+ * highestProgress keeps pointing at the same best price, measured from the new entry,
+ * and the position is only armed if that price is still past initialThreshold.
+ * @param {Object} state - { hasReachedThreshold, highestProgress, thresholdHits }
+ * @param {Object} previous - { direction, entryPrice, takeProfitPrice } before the add
+ * @param {Object} next - { entryPrice, takeProfitPrice } after it
+ * @param {Object} params - { initialThreshold }
+ */
+export function rebasePullbackState(state, previous, next, params) {
+	const { direction, entryPrice, takeProfitPrice } = previous;
+	const bestPrice = entryPrice + state.highestProgress * (takeProfitPrice - entryPrice);
+	const highestProgress = Math.max(0, calculateProgress(direction, next.entryPrice, bestPrice, next.takeProfitPrice));
+
+	return {
+		hasReachedThreshold: highestProgress >= params.initialThreshold,
+		highestProgress,
+		thresholdHits: 0,
+	};
+}
@@ -0,0 +1,24 @@
+/**
+ * Partial take-profit levels for the pullback monitors.
+ *
+ * settings.scaleOut.levels lists { progress, fraction, moveStopToBreakeven } in ascending
+ * progress. Each fraction is a share of the size the position was opened with, so
+ * levels of 0.5 and 0.25 leave a quarter of it to trail with the pullback exit.
+ */
+
+/**
+ * The next level due at progressPercent, or null.
+ * @param {number} levelsHit - levels already taken for this position
+ * @param {number} progressPercent - progress towards take profit, 1 = at TP
+ * @param {Object} [scaleOut] - settings.scaleOut, missing on positions opened before it existed
+ * @returns {Object|null} { index, level, closeFraction } where closeFraction is the share of the remaining size to close
+ */
+export function nextScaleOutLevel(levelsHit, progressPercent, scaleOut) {
+	if (!scaleOut?.enabled) return null;
+
+	const level = scaleOut.levels[levelsHit];
+	if (!level || progressPercent < level.progress) return null;
+
+	const remaining = 1 - scaleOut.levels.slice(0, levelsHit).reduce((sum, taken) => sum + taken.fraction, 0);
+	return { index: levelsHit, level, closeFraction: Math.min(1, level.fraction / remaining) };
+}
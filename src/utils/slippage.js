@@ -0,0 +1,75 @@
+/**
+ * Pre-trade slippage estimates from orderbook depth.
+ *
+ * A taker order of a given size fills level by level on the opposite side of the
+ * book: asks for a buy, bids for a sell. Walking those levels gives the
+ * volume-weighted fill price, compared to the mid price the signal was priced at.
+ * Slippage is positive when the fill is worse than the mid: above it when buying,
+ * below it when selling.
+ */
+
+/**
+ * @param {Array<{price: number, size: number}>} levels - asks for a buy, bids for a sell, best first
+ * @param {number} size - order size in decimal units
+ * @param {number} referencePrice - mid price to measure slippage against
+ * @param {string} side - "buy" or "sell"
+ * @returns {{ size, filledSize, averagePrice, worstPrice, slippagePercent, levelsUsed, exhausted }}
+ *   exhausted is true when the visible book holds less than size
+ */
+export function estimateFill(levels, size, referencePrice, side) {
+	let filledSize = 0;
+	let cost = 0;
+	let worstPrice = null;
+	let levelsUsed = 0;
+
+	for (const level of levels) {
+		if (filledSize >= size) break;
+		const take = Math.min(level.size, size - filledSize);
+		filledSize += take;
+		cost += take * level.price;
+		worstPrice = level.price;
+		levelsUsed++;
+	}
+
+	const averagePrice = filledSize > 0 ? cost / filledSize : null;
+	const slippagePercent = averagePrice === null ? null : slippageOf(averagePrice, referencePrice, side);
+
+	return {
+		size,
+		filledSize,
+		averagePrice,
+		worstPrice,
+		slippagePercent,
+		levelsUsed,
+		exhausted: filledSize < size,
+	};
+}
+
+/**
+ * Largest size whose estimated fill stays within maxPercent slippage of referencePrice.
+ */
+export function maxSizeWithinSlippage(levels, referencePrice, maxPercent, side) {
+	const sign = side === "buy" ? 1 : -1;
+	// Worst average price allowed
+	const limit = referencePrice * (1 + (sign * maxPercent) / 100);
+	let filledSize = 0;
+	let cost = 0;
+
+	for (const level of levels) {
+		if (sign * (level.price - limit) <= 0) {
+			filledSize += level.size;
+			cost += level.size * level.price;
+			continue;
+		}
+		// Only part of this level fits: solve (cost + q * price) / (filledSize + q) = limit for q
+		const partial = (limit * filledSize - cost) / (level.price - limit);
+		filledSize += Math.max(0, Math.min(level.size, partial));
+		break;
+	}
+
+	return filledSize;
+}
+
+export function slippageOf(price, referencePrice, side) {
+	return ((price - referencePrice) / referencePrice) * 100 * (side === "buy" ? 1 : -1);
+}
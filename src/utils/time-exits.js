@@ -0,0 +1,83 @@
+import { EXIT_REASONS } from "./pullback-monitor.js";
+
+/**
+ * Time-based exits for the pullback monitors, from settings.timeExits:
+ *   maxHoldingHours   - close once the position has been open this long
+ *   staleHours        - close once progress towards take profit has stayed within
+ *                       +/- staleProgressBand for this long
+ *   windows           - weekly UTC windows ({ day, startHourUtc, durationHours }) to be flat in,
+ *                       e.g. weekends or exchange maintenance. Positions are closed
+ *                       closeBeforeMinutes ahead of a window and none are opened until it ends
+ * maxHoldingHours and staleHours are off when null.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const WEEK = 7 * 24 * HOUR;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * The close window in force at now, counting closeBeforeMinutes ahead of its start, or null.
+ * @param {Object} [timeExits] - settings.timeExits, missing on positions opened before it existed
+ * @param {number} [now]
+ * @returns {Object|null} the matching entry of timeExits.windows
+ */
+export function activeCloseWindow(timeExits, now = Date.now()) {
+	if (!timeExits?.windows?.length) return null;
+
+	const lead = timeExits.closeBeforeMinutes * 60000;
+	const today = new Date(now);
+	const weekStart = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - today.getUTCDay());
+
+	return (
+		timeExits.windows.find((window) => {
+			const start = weekStart + WEEKDAYS.indexOf(window.day) * 24 * HOUR + window.startHourUtc * HOUR;
+			// Time since this week's or last week's window started closing, whichever is nearer
+			const sinceClosing = (((now - start + lead) % WEEK) + WEEK) % WEEK;
+			return sinceClosing < lead + window.durationHours * HOUR;
+		}) ?? null
+	);
+}
+
+/**
+ * Describes a close window for logs, e.g. "fri 20:00 UTC for 50h".
+ */
+export function describeCloseWindow(window) {
+	const hours = Math.floor(window.startHourUtc);
+	const minutes = Math.round((window.startHourUtc - hours) * 60);
+	return `${window.day} ${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")} UTC for ${window.durationHours}h`;
+}
+
+/**
+ * Evaluates the time-based exits on one monitor tick, after the stop loss and pullback checks.
+ * @param {Object} state - { openedAt, staleSince } in ms, staleSince null while progress is outside the band
+ * @param {number} progressPercent - progress towards take profit, 1 = at TP
+ * @param {Object} [timeExits] - settings.timeExits
+ * @param {number} [now]
+ * @returns {Object} { staleSince, exitReason, detail } where exitReason is null to hold
+ */
+export function evaluateTimeExit(state, progressPercent, timeExits, now = Date.now()) {
+	const result = { staleSince: null, exitReason: null, detail: null };
+	if (!timeExits) return result;
+
+	const { maxHoldingHours, staleHours, staleProgressBand } = timeExits;
+	if (Math.abs(progressPercent) <= staleProgressBand) {
+		result.staleSince = state.staleSince ?? now;
+	}
+
+	const window = activeCloseWindow(timeExits, now);
+	const heldHours = state.openedAt != null ? (now - state.openedAt) / HOUR : null;
+	const staleForHours = result.staleSince !== null ? (now - result.staleSince) / HOUR : null;
+
+	if (window) {
+		result.exitReason = EXIT_REASONS.CLOSE_WINDOW;
+		result.detail = `close window ${describeCloseWindow(window)}`;
+	} else if (maxHoldingHours !== null && heldHours !== null && heldHours >= maxHoldingHours) {
+		result.exitReason = EXIT_REASONS.MAX_HOLDING;
+		result.detail = `held ${heldHours.toFixed(1)}h, limit ${maxHoldingHours}h`;
+	} else if (staleHours !== null && staleForHours !== null && staleForHours >= staleHours) {
+		result.exitReason = EXIT_REASONS.STALE;
+		result.detail = `progress within +/-${(staleProgressBand * 100).toFixed(0)}% for ${staleForHours.toFixed(1)}h`;
+	}
+
+	return result;
+}
@@ -0,0 +1,52 @@
+import { priceHistory } from "./price-history.js";
+
+/**
+ * Take profit and stop loss distances for a new position, from settings.tpsl:
+ *   fixed - takeProfitPercentage and stopLossPercentage as configured
+ *   atr   - takeProfitMultiple and stopLossMultiple times the average true range of the
+ *           mark prices the bot samples (see price-history.js), each kept within
+ *           minPercentage and maxPercentage
+ *
+ * The distances are resolved once when the position opens and recorded on it (the open
+ * result and the journal's open record), so every later calculateTPSLPrices call for the
+ * position works from the same values instead of the ATR at that moment.
+ */
+
+/**
+ * @param {string} symbol
+ * @param {Object} settings - resolved settings for the symbol
+ * @param {Object} [history] - PriceHistory to read the ATR from
+ * @returns {Object} { mode, takeProfitPercentage, stopLossPercentage, atrPercent, bars }, mode "fixed"
+ *   when settings.tpsl.mode is fixed or the history has fewer than tpsl.minBars bars
+ */
+export function resolveTPSLDistances(symbol, settings, history = priceHistory) {
+	const { tpsl, takeProfitPercentage, stopLossPercentage } = settings;
+	const fixed = { mode: "fixed", takeProfitPercentage, stopLossPercentage, atrPercent: null, bars: null };
+	if (tpsl?.mode !== "atr") return fixed;
+
+	const atr = history.getAtr(symbol, tpsl.windowMinutes * 60000, tpsl.barMinutes * 60000, tpsl.minBars);
+	if (!atr) return fixed;
+
+	const bounded = (multiple) =>
+		Math.min(tpsl.maxPercentage, Math.max(tpsl.minPercentage, (multiple * atr.atrPercent) / 100));
+	return {
+		mode: "atr",
+		takeProfitPercentage: bounded(tpsl.takeProfitMultiple),
+		stopLossPercentage: bounded(tpsl.stopLossMultiple),
+		atrPercent: atr.atrPercent,
+		bars: atr.bars,
+	};
+}
+
+/**
+ * settings with the distances recorded on a position in place of the configured ones.
+ * Positions opened before distances were recorded keep the configured ones.
+ */
+export function withTPSLDistances(settings, distances) {
+	if (!distances) return settings;
+	return {
+		...settings,
+		takeProfitPercentage: distances.takeProfitPercentage,
+		stopLossPercentage: distances.stopLossPercentage,
+	};
+}
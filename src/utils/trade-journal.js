@@ -0,0 +1,320 @@
+import fs from "fs";
+import { fundingHistory } from "./funding-history.js";
+
+// Zeta taker fee for NORMAL margin accounts, used when the caller doesn't know the exact fee
+const TAKER_FEE_BPS = 10;
+
+/**
+ * Durable, append-only record of every open, add, stop-loss adjustment and close.
+ * One JSON object per line in TRADE_JOURNAL_FILE (default trade-journal.jsonl),
+ * so it survives PM2 restarts and can be shared by the manage-position subprocesses.
+ *
+ * Records are stamped with the market's funding index (see funding-history.js) so the
+ * funding a trade accrued between them can be worked out and added to its PnL.
+ *
+ * This module must not import the logger: the logger reads the journal for the hourly update.
+ */
+export class TradeJournal {
+	constructor(filePath = null) {
+		this.customFilePath = filePath;
+	}
+
+	// Resolved lazily so TRADE_JOURNAL_FILE from .env applies to the shared instance
+	get filePath() {
+		return this.customFilePath || process.env.TRADE_JOURNAL_FILE || "trade-journal.jsonl";
+	}
+
+	// Latest sampled funding index of the symbol, null before the bot has sampled it
+	currentFundingIndex(symbol) {
+		return fundingHistory.getLatest(symbol)?.index ?? null;
+	}
+
+	append(record) {
+		const entry = { ts: new Date().toISOString(), ...record };
+		try {
+			fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n");
+		} catch (error) {
+			console.error("[JOURNAL] Failed to write journal entry:", error.message, entry);
+		}
+		return entry;
+	}
+
+	readRecords() {
+		if (!fs.existsSync(this.filePath)) return [];
+
+		return fs
+			.readFileSync(this.filePath, "utf8")
+			.split("\n")
+			.filter((line) => line.trim() !== "")
+			.flatMap((line) => {
+				try {
+					return [JSON.parse(line)];
+				} catch {
+					return []; // torn last line after a crash
+				}
+			});
+	}
+
+	/**
+	 * Latest open record for wallet+symbol+direction that has no close yet.
+	 */
+	findOpenTrade({ wallet, symbol, direction }) {
+		const closed = new Set();
+		const records = this.readRecords();
+
+		for (let i = records.length - 1; i >= 0; i--) {
+			const record = records[i];
+			if (record.wallet !== wallet || record.symbol !== symbol || record.direction !== direction) continue;
+
+			if (record.event === "close") closed.add(record.tradeId);
+			if (record.event === "open") return closed.has(record.tradeId) ? null : record;
+		}
+		return null;
+	}
+
+	/**
+	 * tpsl is the TP/SL distances the position was opened with (see tpsl-distances.js), the
+	 * wrappers' fetchPositionSettings reads them back for as long as the trade is open.
+	 * @param {Object} trade - { symbol, direction, wallet, entryPrice, size, signal, txids, fees?, fundingIndex?, tpsl? }
+	 */
+	recordOpen({ symbol, direction, wallet, entryPrice, size, signal = null, txids = [], fees, fundingIndex, tpsl = null }) {
+		const notional = Math.abs(size) * entryPrice;
+		return this.append({
+			event: "open",
+			tradeId: `${wallet}:${symbol}:${direction}:${Date.now()}`,
+			symbol,
+			direction,
+			wallet,
+			entryPrice,
+			size: Math.abs(size),
+			notional,
+			fees: fees ?? (notional * TAKER_FEE_BPS) / 10000,
+			fundingIndex: fundingIndex ?? this.currentFundingIndex(symbol),
+			tpsl,
+			signal,
+			txids: txids.filter(Boolean),
+		});
+	}
+
+	/**
+	 * Records an add to the open trade (pyramiding). entryPrice is the blended entry after it.
+	 * @param {Object} add - { symbol, direction, wallet, price, size, entryPrice, txids?, fees?, fundingIndex? }
+	 */
+	recordAdd({ symbol, direction, wallet, price, size, entryPrice, txids = [], fees, fundingIndex }) {
+		const openTrade = this.findOpenTrade({ wallet, symbol, direction });
+		const notional = Math.abs(size) * price;
+		return this.append({
+			event: "add",
+			tradeId: openTrade?.tradeId ?? null,
+			symbol,
+			direction,
+			wallet,
+			price,
+			size: Math.abs(size),
+			notional,
+			fees: fees ?? (notional * TAKER_FEE_BPS) / 10000,
+			fundingIndex: fundingIndex ?? this.currentFundingIndex(symbol),
+			entryPrice,
+			txids: txids.filter(Boolean),
+		});
+	}
+
+	/**
+	 * Number of adds made to the open trade for wallet+symbol+direction, 0 when none is open.
+	 */
+	countAdds({ wallet, symbol, direction }) {
+		const openTrade = this.findOpenTrade({ wallet, symbol, direction });
+		if (!openTrade) return 0;
+		return this.readRecords().filter((record) => record.event === "add" && record.tradeId === openTrade.tradeId).length;
+	}
+
+	/**
+	 * Size and entry fees of the open trade with its adds, in the shape settlePiece reads.
+	 */
+	openedTotals(openTrade, records) {
+		if (!openTrade) return null;
+
+		const adds = records.filter((record) => record.event === "add" && record.tradeId === openTrade.tradeId);
+		return {
+			size: adds.reduce((sum, add) => sum + add.size, openTrade.size),
+			fees: adds.reduce((sum, add) => sum + add.fees, openTrade.fees),
+			addedSize: adds.reduce((sum, add) => sum + add.size, 0),
+			entryPrice: adds.length > 0 ? adds[adds.length - 1].entryPrice : openTrade.entryPrice,
+		};
+	}
+
+	/**
+	 * Funding the trade has received (negative when it paid) up to fundingIndex, worked
+	 * out piecewise between the size changes of its add and partial_close records.
+	 * Null when a record has no funding index, e.g. trades opened before it was tracked.
+	 */
+	fundingOf(openTrade, records, fundingIndex) {
+		if (!openTrade || openTrade.fundingIndex == null || fundingIndex == null) return null;
+
+		const sign = openTrade.direction === "long" ? 1 : -1;
+		const changes = records.filter(
+			(record) => record.tradeId === openTrade.tradeId && (record.event === "add" || record.event === "partial_close")
+		);
+
+		let size = openTrade.size;
+		let index = openTrade.fundingIndex;
+		let funding = 0;
+		for (const change of changes) {
+			if (change.fundingIndex == null) return null;
+			funding -= sign * size * (change.fundingIndex - index);
+			index = change.fundingIndex;
+			size += change.event === "add" ? change.size : -change.size;
+		}
+		return funding - sign * size * (fundingIndex - index);
+	}
+
+	/**
+	 * Funding accrued so far by the open trade for wallet+symbol+direction, in USD, or null.
+	 */
+	accruedFunding({ wallet, symbol, direction }) {
+		const openTrade = this.findOpenTrade({ wallet, symbol, direction });
+		return this.fundingOf(openTrade, this.readRecords(), this.currentFundingIndex(symbol));
+	}
+
+	/**
+	 * @param {Object} adjustment - { symbol, direction, wallet, previousStopLoss, stopLoss, triggerPrice, progress, txids }
+	 */
+	recordStopLossAdjustment({ symbol, direction, wallet, previousStopLoss, stopLoss, triggerPrice, progress, txids = [] }) {
+		const openTrade = this.findOpenTrade({ wallet, symbol, direction });
+		return this.append({
+			event: "adjust_sl",
+			tradeId: openTrade?.tradeId ?? null,
+			symbol,
+			direction,
+			wallet,
+			previousStopLoss,
+			stopLoss,
+			triggerPrice,
+			progress,
+			txids: txids.filter(Boolean),
+		});
+	}
+
+	/**
+	 * Entry fees owed by absSize of the trade plus the exit fees, and the PnL after them.
+	 */
+	settlePiece(opened, direction, entry, exitPrice, absSize, fees) {
+		const sign = direction === "long" ? 1 : -1;
+		const entryFees = opened?.fees
+			? opened.fees * Math.min(1, absSize / opened.size)
+			: (absSize * entry * TAKER_FEE_BPS) / 10000;
+		const totalFees = entryFees + (fees ?? (absSize * exitPrice * TAKER_FEE_BPS) / 10000);
+		return { fees: totalFees, realizedPnl: (exitPrice - entry) * absSize * sign - totalFees };
+	}
+
+	/**
+	 * Records part of the open trade being closed while the rest stays open (a scale-out).
+	 * @param {Object} trade - { symbol, direction, wallet, exitPrice, size, reason, entryPrice?, txids?, fees?, fundingIndex? }
+	 */
+	recordPartialClose({ symbol, direction, wallet, exitPrice, size, reason, entryPrice, txids = [], fees, fundingIndex }) {
+		const openTrade = this.findOpenTrade({ wallet, symbol, direction });
+		const opened = this.openedTotals(openTrade, this.readRecords());
+		const entry = entryPrice ?? opened?.entryPrice ?? null;
+		const absSize = Math.abs(size);
+
+		const record = {
+			event: "partial_close",
+			tradeId: openTrade?.tradeId ?? null,
+			symbol,
+			direction,
+			wallet,
+			entryPrice: entry,
+			exitPrice,
+			size: absSize,
+			realizedPnl: null,
+			fees: null,
+			fundingIndex: fundingIndex ?? this.currentFundingIndex(symbol),
+			reason,
+			txids: txids.filter(Boolean),
+		};
+
+		if (entry && exitPrice && absSize) {
+			Object.assign(record, this.settlePiece(opened, direction, entry, exitPrice, absSize, fees));
+		}
+
+		return this.append(record);
+	}
+
+	/**
+	 * Closes the open trade for wallet+symbol+direction. Entry price, size and the
+	 * causing signal come from the open record when the caller doesn't have them.
+	 * Partial closes of the trade are folded into the record's size, fees and PnL, adds
+	 * into its entry fees, and the funding accrued over the whole trade into its PnL.
+	 * @param {Object} trade - { symbol, direction, wallet, exitPrice, reason, entryPrice?, size?, txids?, fees?, fundingIndex? }
+	 */
+	recordClose({ symbol, direction, wallet, exitPrice, reason, entryPrice, size, txids = [], fees, fundingIndex }) {
+		const openTrade = this.findOpenTrade({ wallet, symbol, direction });
+		const records = this.readRecords();
+		const opened = this.openedTotals(openTrade, records);
+		const partials = openTrade
+			? records.filter((record) => record.event === "partial_close" && record.tradeId === openTrade.tradeId)
+			: [];
+		const scaledOutSize = partials.reduce((sum, partial) => sum + partial.size, 0);
+		const entry = entryPrice ?? opened?.entryPrice ?? null;
+		const absSize = Math.abs(size ?? Math.max((opened?.size ?? 0) - scaledOutSize, 0));
+		const closeFundingIndex = fundingIndex ?? this.currentFundingIndex(symbol);
+		const funding = this.fundingOf(openTrade, records, closeFundingIndex);
+
+		const record = {
+			event: "close",
+			tradeId: openTrade?.tradeId ?? null,
+			symbol,
+			direction,
+			wallet,
+			openedAt: openTrade?.ts ?? null,
+			entryPrice: entry,
+			exitPrice,
+			size: absSize,
+			scaledOutSize,
+			addedSize: opened?.addedSize ?? 0,
+			realizedPnl: null,
+			realizedPnlPercent: null,
+			fees: null,
+			funding,
+			fundingIndex: closeFundingIndex,
+			reason,
+			signal: openTrade?.signal ?? null,
+			openTxids: openTrade?.txids ?? [],
+			txids: txids.filter(Boolean),
+		};
+
+		if (entry && exitPrice && absSize) {
+			const sign = direction === "long" ? 1 : -1;
+			const pieces = [...partials.filter((partial) => partial.realizedPnl !== null), { size: absSize, exitPrice }];
+			const remainder = this.settlePiece(opened, direction, entry, exitPrice, absSize, fees);
+			const totalSize = pieces.reduce((sum, piece) => sum + piece.size, 0);
+
+			record.fees = remainder.fees + partials.reduce((sum, partial) => sum + (partial.fees ?? 0), 0);
+			record.realizedPnl =
+				remainder.realizedPnl + partials.reduce((sum, partial) => sum + (partial.realizedPnl ?? 0), 0) + (funding ?? 0);
+			// Size-weighted price return across the scale-outs and the final exit, plus funding
+			record.realizedPnlPercent =
+				pieces.reduce((sum, piece) => sum + (piece.exitPrice - entry) * piece.size, 0) / (entry * totalSize) * sign +
+				(funding ?? 0) / (entry * totalSize);
+		}
+
+		return this.append(record);
+	}
+
+	/**
+	 * Close records newer than sinceMs, oldest first.
+	 */
+	getClosedTrades(sinceMs = 0) {
+		return this.readRecords().filter((record) => record.event === "close" && Date.parse(record.ts) >= sinceMs);
+	}
+}
+
+/**
+ * Pulls transaction signatures out of manage-position output, which logs
+ * "Transaction sent successfully. txid: <sig>" (or the paper equivalent).
+ */
+export function parseTxids(output = "") {
+	return [...String(output).matchAll(/txid: ([A-Za-z0-9-]+)/g)].map((match) => match[1]);
+}
+
+export const tradeJournal = new TradeJournal();
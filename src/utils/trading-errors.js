@@ -0,0 +1,158 @@
+import { utils } from "@zetamarkets/sdk";
+import logger from "./logger.js";
+
+// Outcome of a sent transaction, see TransactionManager.send
+export const TX_STATUS = {
+	LANDED: "landed",
+	FAILED: "failed",
+	EXPIRED: "expired",
+};
+
+export const ERROR_TYPES = {
+	INSUFFICIENT_MARGIN: "insufficient_margin",
+	ORDER_EXPIRED: "order_expired",
+	NO_FILL: "no_fill",
+	BLOCKHASH_EXPIRED: "blockhash_expired",
+	UNCONFIRMED: "unconfirmed",
+	RATE_LIMIT: "rate_limit",
+	ACCOUNT_NOT_FOUND: "account_not_found",
+	SLIPPAGE_LIMIT: "slippage_limit",
+	POSITION_LIMIT: "position_limit",
+	FUNDING_LIMIT: "funding_limit",
+	UNKNOWN: "unknown",
+};
+
+// Worth sending again: the same order can succeed a moment later
+const RETRYABLE_TYPES = new Set([ERROR_TYPES.ORDER_EXPIRED, ERROR_TYPES.NO_FILL, ERROR_TYPES.BLOCKHASH_EXPIRED, ERROR_TYPES.RATE_LIMIT]);
+
+// Zeta program error codes, names as in the SDK's zeta.json IDL
+const ZETA_ERROR_CODES = new Map([
+	[6002, ERROR_TYPES.INSUFFICIENT_MARGIN], // FailedInitialMarginRequirement
+	[6100, ERROR_TYPES.INSUFFICIENT_MARGIN], // FailedMaintenanceMarginRequirement
+	[6062, ERROR_TYPES.NO_FILL], // FailedPriceBandCheck
+	[6087, ERROR_TYPES.NO_FILL], // FillOrKillNotFullSize
+	[6128, ERROR_TYPES.ORDER_EXPIRED], // ForceCancelExpiredTIFOrdersOnly
+]);
+
+// Checked in order against the error message when there is no known program error code
+const MESSAGE_PATTERNS = [
+	[/\b429\b|too many requests|rate limit/i, ERROR_TYPES.RATE_LIMIT],
+	// web3.js gave up waiting for the confirmation, the transaction may still land
+	[/was not confirmed/i, ERROR_TYPES.UNCONFIRMED],
+	[/blockhash not found|block ?height exceeded|blockhash expired/i, ERROR_TYPES.BLOCKHASH_EXPIRED],
+	[/accountnotfound|account not found|could not find account|account does not exist/i, ERROR_TYPES.ACCOUNT_NOT_FOUND],
+	[/margin requirement|insufficient margin/i, ERROR_TYPES.INSUFFICIENT_MARGIN],
+	[/fill or kill|no liquidity|price band/i, ERROR_TYPES.NO_FILL],
+	[/order expired|expired tif/i, ERROR_TYPES.ORDER_EXPIRED],
+];
+
+const RETRY_DELAY = 2000;
+const RATE_LIMIT_RETRY_DELAY = 5000;
+
+/**
+ * A failed trade decoded into one of ERROR_TYPES. retryable says whether sending
+ * the same order again can work; INSUFFICIENT_MARGIN and ACCOUNT_NOT_FOUND need
+ * someone to fix the account first, and after UNCONFIRMED nobody knows whether it landed.
+ */
+export class TradingError extends Error {
+	constructor(type, message, { code = null, signatures = [], cause = null, retryable = RETRYABLE_TYPES.has(type) } = {}) {
+		super(message);
+		this.name = "TradingError";
+		this.type = type;
+		this.retryable = retryable;
+		this.code = code;
+		this.signatures = signatures;
+		this.cause = cause;
+	}
+
+	// Plain form stored in transaction results and printed by manage-position
+	toJSON() {
+		return { type: this.type, retryable: this.retryable, code: this.code, message: this.message };
+	}
+}
+
+function programErrorCode(error) {
+	const code = error?.code ?? error?.error?.errorCode?.number ?? error?.errorCode?.number;
+	return Number.isInteger(code) ? code : null;
+}
+
+function typeFromMessage(message) {
+	return MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message))?.[1] ?? ERROR_TYPES.UNKNOWN;
+}
+
+/**
+ * Decodes anything a trade can fail with into a TradingError:
+ *   - a TransactionManager result ({ status, signatures, error }) that did not land
+ *   - an error object already in TradingError.toJSON() form
+ *   - an error thrown by the SDK, anchor or the RPC connection
+ * @returns {TradingError}
+ */
+export function classifyError(failure) {
+	if (failure instanceof TradingError) return failure;
+
+	if (failure?.status) {
+		const signatures = failure.signatures ?? [];
+		if (failure.status === TX_STATUS.EXPIRED && !failure.error) {
+			return new TradingError(ERROR_TYPES.BLOCKHASH_EXPIRED, "Blockhash expired before the transaction landed", { signatures });
+		}
+		const classified = classifyError(failure.error ?? { message: `transaction ${failure.status}` });
+		classified.signatures = signatures;
+		return classified;
+	}
+
+	const message = failure?.msg ?? failure?.message ?? String(failure);
+	const code = programErrorCode(failure);
+	const type = failure?.type ?? ZETA_ERROR_CODES.get(code) ?? typeFromMessage(message);
+	return new TradingError(type, message, {
+		code,
+		cause: failure instanceof Error ? failure : null,
+		retryable: typeof failure?.retryable === "boolean" ? failure.retryable : undefined,
+	});
+}
+
+/**
+ * Transaction result for a trade that failed before anything was sent.
+ */
+export function failedResult(error) {
+	return { status: TX_STATUS.FAILED, signature: null, signatures: [], attempts: 0, error: classifyError(error).toJSON() };
+}
+
+/**
+ * True when a result that didn't land shows none of it took effect: the transaction
+ * failed on-chain or expired (TransactionManager looks for it in the ledger history
+ * before reporting that), or the trade failed before anything was sent. An expiry whose
+ * status could not be determined (UNCONFIRMED) doesn't count.
+ */
+export function nothingLanded(result) {
+	if (result?.error?.type === ERROR_TYPES.UNCONFIRMED) return false;
+	return result?.status === TX_STATUS.FAILED || result?.status === TX_STATUS.EXPIRED;
+}
+
+/**
+ * Sends until the transaction lands or fails with a non-retryable error.
+ * @param {Function} send - () => TransactionManager-style result, or null when nothing was sent
+ * @param {Object} [options]
+ * @param {string} [options.label] - prefix for log lines
+ * @param {number} [options.maxAttempts]
+ * @param {Function} [options.canRetry] - async (result) => whether a retryable failure may be
+ *   sent again. Entries use it to make sure the failed attempt left the position untouched
+ * @returns {Promise<{result: Object, error: TradingError|null}>} error is null once landed
+ */
+export async function sendWithRetries(send, { label = "[TRADE]", maxAttempts = 3, canRetry = null } = {}) {
+	for (let attempt = 1; ; attempt++) {
+		const result = await send();
+		if (result?.status === TX_STATUS.LANDED) return { result, error: null };
+
+		const error = classifyError(result ?? new TradingError(ERROR_TYPES.UNKNOWN, "No transaction result"));
+		if (!error.retryable || attempt >= maxAttempts || (canRetry && !(await canRetry(result)))) {
+			logger.warn(`${label} Transaction not landed: ${error.type}`, { ...error.toJSON(), attempts: attempt });
+			return { result, error };
+		}
+
+		const delay = error.type === ERROR_TYPES.RATE_LIMIT ? RATE_LIMIT_RETRY_DELAY * attempt : RETRY_DELAY;
+		logger.warn(`${label} ${error.type}, retrying in ${delay / 1000}s (attempt ${attempt}/${maxAttempts})`, {
+			message: error.message,
+		});
+		await utils.sleep(delay);
+	}
+}
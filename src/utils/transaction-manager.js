@@ -0,0 +1,259 @@
+import { ComputeBudgetProgram, TransactionMessage, VersionedTransaction } from "@solana/web3.js";
+import { Exchange, errors, utils } from "@zetamarkets/sdk";
+import logger from "./logger.js";
+import { getTransactionSettings } from "../config/settings.js";
+import { ERROR_TYPES, TX_STATUS, TradingError, classifyError } from "./trading-errors.js";
+
+const COMMITMENT_LEVELS = ["processed", "confirmed", "finalized"];
+const FINALIZE_TIMEOUT = 60_000;
+// Blockhashes last about 60-90s, so an attempt still unresolved after this only has RPC errors to show
+const TRACK_TIMEOUT = 180_000;
+const RPC_ERROR_BACKOFF = 1_000;
+const MAX_RPC_ERROR_BACKOFF = 10_000;
+const DEFAULT_PRIORITY_FEE = 5_000;
+
+/**
+ * Sends transactions and follows each signature until it reaches the configured
+ * commitment, replacing utils.processTransaction plus a fixed sleep.
+ *
+ * While the blockhash is valid the same signed transaction is rebroadcast, which
+ * covers transactions dropped by the leader. Once the block height passes the
+ * blockhash's lastValidBlockHeight the transaction can no longer land, so it is
+ * rebuilt with a fresh blockhash and a priority fee raised by priorityFeeEscalation.
+ * Only one version of a transaction is ever valid at a time, so a retry can't fill twice.
+ *
+ * send() resolves to a result instead of throwing for on-chain outcomes:
+ *   { status: "landed",  signature, signatures, attempts, priorityFee, slot, confirmationStatus }
+ *   { status: "failed",  signature, signatures, attempts, priorityFee, slot, error }
+ *   { status: "expired", signature, signatures, attempts, priorityFee, error }
+ * error is a TradingError in JSON form (type, retryable, code, message) plus the failing instructionIndex.
+ * Errors before anything is sent (signing, building the message) still throw. Once a
+ * transaction is out, RPC errors while following it are retried for up to TRACK_TIMEOUT;
+ * after that it is reported expired with an unconfirmed error and not sent again, since
+ * nobody knows whether it landed.
+ */
+export class TransactionManager {
+	/**
+	 * @param {Object} provider - anchor provider of the client, signs and sends
+	 */
+	constructor(provider) {
+		this.provider = provider;
+	}
+
+	get connection() {
+		return this.provider.connection;
+	}
+
+	/**
+	 * @param {Transaction} transaction - legacy transaction holding the instructions to send
+	 * @param {Object} [options]
+	 * @param {string} [options.label] - name used in log lines
+	 * @param {Array} [options.lookupTables] - address lookup tables, the Zeta ones by default
+	 * @param {number} [options.priorityFee] - starting fee in microlamports per CU, Exchange.priorityFee by default
+	 */
+	async send(transaction, { label = "transaction", lookupTables = utils.getZetaLutArr(), priorityFee } = {}) {
+		const settings = getTransactionSettings();
+		const signatures = [];
+		let fee = Math.round(priorityFee ?? (Exchange.priorityFee || DEFAULT_PRIORITY_FEE));
+		let result = null;
+
+		for (let attempt = 1; attempt <= settings.maxAttempts; attempt++) {
+			let lastValidBlockHeight, rawTx, signature;
+			try {
+				let blockhash;
+				({ blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash("confirmed"));
+				rawTx = await this.buildRawTransaction(transaction, blockhash, fee, lookupTables);
+				signature = await this.broadcast(rawTx);
+			} catch (error) {
+				if (!result) throw error;
+				// Every earlier attempt expired, so that is still the outcome
+				logger.warn(`[TX] ${label} could not be sent again: ${error.message}`);
+				break;
+			}
+			signatures.push(signature);
+			logger.info(`[TX] ${label} sent, attempt ${attempt}/${settings.maxAttempts}`, { signature, priorityFee: fee });
+
+			const outcome = await this.track(signature, rawTx, lastValidBlockHeight, settings);
+			result = { ...outcome, signature, signatures: [...signatures], attempts: attempt, priorityFee: fee };
+			if (outcome.status === TX_STATUS.EXPIRED) {
+				result.error = outcome.error ?? classifyError(result).toJSON();
+			}
+
+			// An undetermined status may still land, resending could fill twice
+			if (outcome.status !== TX_STATUS.EXPIRED || outcome.error || attempt === settings.maxAttempts) break;
+
+			const escalated = Math.round(fee * settings.priorityFeeEscalation);
+			fee = settings.maxPriorityFee === null ? escalated : Math.min(escalated, settings.maxPriorityFee);
+			logger.warn(`[TX] ${label} expired before landing`, { signature, attempt, nextPriorityFee: fee });
+		}
+
+		if (result.status === TX_STATUS.LANDED) {
+			logger.info(`[TX] ${label} landed`, {
+				signature: result.signature,
+				attempts: result.attempts,
+				slot: result.slot,
+				confirmationStatus: result.confirmationStatus,
+			});
+		} else if (result.status === TX_STATUS.FAILED) {
+			logger.warn(`[TX] ${label} failed on-chain`, { signature: result.signature, error: result.error });
+		} else {
+			logger.warn(`[TX] ${label} expired after ${result.attempts} attempts`, { signatures: result.signatures, error: result.error });
+		}
+
+		return result;
+	}
+
+	async buildRawTransaction(transaction, blockhash, priorityFee, lookupTables) {
+		const instructions = [
+			ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee }),
+			...transaction.instructions.filter((ix) => !this.isComputeUnitPriceInstruction(ix)),
+		];
+
+		const message = new TransactionMessage({
+			payerKey: this.provider.wallet.publicKey,
+			recentBlockhash: blockhash,
+			instructions,
+		}).compileToV0Message(lookupTables);
+
+		const signed = await this.provider.wallet.signTransaction(new VersionedTransaction(message));
+		return signed.serialize();
+	}
+
+	// The fee is set here on every attempt, a price instruction from the caller would clash with it
+	isComputeUnitPriceInstruction(ix) {
+		return ix.programId.equals(ComputeBudgetProgram.programId) && ix.data[0] === 3;
+	}
+
+	async broadcast(rawTx) {
+		return this.connection.sendRawTransaction(rawTx, { skipPreflight: true, maxRetries: 0 });
+	}
+
+	/**
+	 * Polls the signature until it reaches the target commitment, fails, or its blockhash expires.
+	 * A failed status or block height read says nothing about the transaction, so RPC errors
+	 * (429s included) back off and poll again until one of those is known, for up to
+	 * TRACK_TIMEOUT. Past that the result is expired with an unconfirmed error, or landed
+	 * when the transaction was already seen in a block.
+	 */
+	async track(signature, rawTx, lastValidBlockHeight, settings) {
+		const deadline = Date.now() + TRACK_TIMEOUT;
+		let lastBroadcast = Date.now();
+		let seen = null;
+		let seenAt = null;
+		let rpcErrors = 0;
+		let lastError = null;
+
+		while (true) {
+			if (Date.now() > deadline) {
+				if (seen) {
+					logger.warn(`[TX] ${signature} status unknown after ${TRACK_TIMEOUT / 1000}s, was in a block so treating as landed`);
+					return { status: TX_STATUS.LANDED, slot: seen.slot, confirmationStatus: seen.confirmationStatus };
+				}
+				const reason = lastError ? `: ${lastError.message}` : "";
+				const message = `Status of ${signature} could not be determined after ${TRACK_TIMEOUT / 1000}s${reason}`;
+				logger.error(`[TX] ${message}`);
+				return {
+					status: TX_STATUS.EXPIRED,
+					error: new TradingError(ERROR_TYPES.UNCONFIRMED, message, { signatures: [signature], retryable: false }).toJSON(),
+				};
+			}
+
+			try {
+				const { value } = await this.connection.getSignatureStatuses([signature]);
+				const status = value[0];
+
+				if (status?.err) {
+					return { status: TX_STATUS.FAILED, slot: status.slot, error: TransactionManager.describeError(status.err) };
+				}
+
+				if (status?.confirmationStatus) {
+					if (TransactionManager.reached(status.confirmationStatus, settings.commitment)) {
+						return { status: TX_STATUS.LANDED, slot: status.slot, confirmationStatus: status.confirmationStatus };
+					}
+					// Included in a block, it can't expire anymore, only wait for it to finalize
+					seen = status;
+					seenAt ??= Date.now();
+					if (Date.now() - seenAt > FINALIZE_TIMEOUT) {
+						logger.warn(`[TX] ${signature} not ${settings.commitment} after ${FINALIZE_TIMEOUT / 1000}s, treating as landed`);
+						return { status: TX_STATUS.LANDED, slot: status.slot, confirmationStatus: status.confirmationStatus };
+					}
+				} else {
+					const blockHeight = await this.connection.getBlockHeight("confirmed");
+					if (blockHeight > lastValidBlockHeight) {
+						return await this.finalCheck(signature);
+					}
+
+					if (Date.now() - lastBroadcast >= settings.rebroadcastIntervalMs) {
+						await this.broadcast(rawTx).catch((error) => logger.warn(`[TX] Rebroadcast of ${signature} failed: ${error.message}`));
+						lastBroadcast = Date.now();
+					}
+				}
+				rpcErrors = 0;
+			} catch (error) {
+				lastError = error;
+				rpcErrors++;
+				const delay = Math.min(RPC_ERROR_BACKOFF * rpcErrors, MAX_RPC_ERROR_BACKOFF);
+				logger.warn(`[TX] Checking ${signature} failed, polling again in ${delay / 1000}s: ${error.message}`);
+				await utils.sleep(delay);
+				continue;
+			}
+
+			await utils.sleep(500);
+		}
+	}
+
+	// Last look in the ledger history before giving the signature up as expired
+	async finalCheck(signature) {
+		const { value } = await this.connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+		const status = value[0];
+
+		if (status?.err) {
+			return { status: TX_STATUS.FAILED, slot: status.slot, error: TransactionManager.describeError(status.err) };
+		}
+		if (status?.confirmationStatus) {
+			return { status: TX_STATUS.LANDED, slot: status.slot, confirmationStatus: status.confirmationStatus };
+		}
+		return { status: TX_STATUS.EXPIRED };
+	}
+
+	static reached(current, target) {
+		return COMMITMENT_LEVELS.indexOf(current) >= COMMITMENT_LEVELS.indexOf(target);
+	}
+
+	/**
+	 * Turns a signature status error into a classified error, naming Zeta program
+	 * errors from the IDL.
+	 */
+	static describeError(err) {
+		const instructionError = err?.InstructionError;
+		if (!instructionError) {
+			const message = typeof err === "string" ? err : JSON.stringify(err);
+			return { ...classifyError({ message }).toJSON(), instructionIndex: null };
+		}
+
+		const [instructionIndex, detail] = instructionError;
+		const code = detail?.Custom ?? null;
+		let message = typeof detail === "string" ? detail : JSON.stringify(detail);
+		if (code !== null) {
+			message = errors.idlErrors.get(code) ?? `custom program error: ${code}`;
+		}
+		return { ...classifyError({ code, message }).toJSON(), instructionIndex };
+	}
+}
+
+/**
+ * Result line printed by manage-position, read back by the bots that run it as a child process.
+ */
+export function formatTransactionResult(result) {
+	return `Transaction result: ${JSON.stringify(result)}`;
+}
+
+export function parseTransactionResult(output = "") {
+	const match = String(output).match(/Transaction result: (\{.*\})/);
+	if (!match) return null;
+	try {
+		return JSON.parse(match[1]);
+	} catch {
+		return null;
+	}
+}
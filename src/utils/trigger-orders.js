@@ -0,0 +1,26 @@
+/**
+ * Two free trigger order bits for the TP and SL orders. Bits of orders cancelled
+ * just before are skipped too: their cancel may not have landed when the open does,
+ * and placing on a bit that is still in use fails the whole transaction.
+ * @param {Object} client - Zeta CrossClient, or the paper client
+ * @param {number[]} [excludedBits]
+ * @returns {number[]} [takeProfitBit, stopLossBit]
+ */
+export function findTPSLTriggerBits(client, excludedBits = []) {
+	const bits = [];
+	let startIndex = 0;
+
+	while (bits.length < 2) {
+		if (startIndex > 127) {
+			throw new Error("No free trigger order bits for the TP/SL orders");
+		}
+		// Throws when every remaining bit is in use
+		const bit = client.findAvailableTriggerOrderBit(startIndex);
+		if (!excludedBits.includes(bit) && !bits.includes(bit)) {
+			bits.push(bit);
+		}
+		startIndex = bit + 1;
+	}
+
+	return bits;
+}
@@ -1,4 +1,5 @@
-import { ZetaClientWrapper } from "./clients/zeta-api-v6.js";
+import { ZetaClientWrapper as LiveZetaClientWrapper } from "./clients/zeta-api-v6.js";
+import { selectClientWrapper, isPaperTrading } from "./clients/paper.js";
 import { Connection } from "@solana/web3.js";
 import { ASSETS, SYMBOLS } from "./config/config.js";
 import logger from "./utils/logger.js";
@@ -9,11 +10,27 @@ import fs from "fs";
 import { exec } from "child_process";
 import { promisify } from "util";
 import { getMarketSentiment } from "./utils/market-sentiment.js";
+import { evaluatePullbackExit, EXIT_REASONS } from "./utils/pullback-monitor.js";
+import { nextScaleOutLevel } from "./utils/scale-out.js";
+import { evaluateTimeExit, activeCloseWindow, describeCloseWindow } from "./utils/time-exits.js";
+import { SignalRecorder } from "./signals/recorder.js";
+import { tradeJournal, parseTxids } from "./utils/trade-journal.js";
+import { monitorStateStore } from "./utils/monitor-state-store.js";
+import { loadSettings, watchSettings, getHotReloadSettings } from "./config/settings.js";
+import { priceHistory } from "./utils/price-history.js";
+import { fundingHistory } from "./utils/funding-history.js";
+import { circuitBreaker } from "./utils/circuit-breaker.js";
+import { PortfolioGuard } from "./utils/portfolio-guard.js";
+import { parseTransactionResult } from "./utils/transaction-manager.js";
+import { sendWithRetries } from "./utils/trading-errors.js";
+import { haltOnError, pyramidPosition, retryIfUnchanged, scaleOutPosition } from "./utils/position-actions.js";
 
 const execAsync = promisify(exec);
 
 dotenv.config();
 
+const ZetaClientWrapper = selectClientWrapper(LiveZetaClientWrapper);
+
 const WS_HOST = process.env.WS_HOST || "api.nosol.lol";
 const WS_PORT = process.env.WS_PORT || 8080;
 const API_KEY = process.env.WS_API_KEY;
@@ -25,14 +42,14 @@ const MONITORING_INTERVALS = {
 	HEALTH_CHECK: 300000,
 };
 
+// Dynamic pullback exit parameters come from the "v3" profile in settings.json
 const POSITION_SETTINGS = {
-	progressThreshold: 0.6,
-	pullbackThreshold: 0.4,
 	monitorInterval: 3000,
 };
 
 function validateConfig() {
-	const requiredEnvVars = ["KEYPAIR_FILE_PATH_LONG", "KEYPAIR_FILE_PATH_SHORT", "WS_API_KEY", "RPC_TRADINGBOT"];
+	const requiredEnvVars = ["KEYPAIR_FILE_PATH_LONG", "KEYPAIR_FILE_PATH_SHORT", "WS_API_KEY"];
+	if (!isPaperTrading()) requiredEnvVars.push("RPC_TRADINGBOT");
 
 	const missingVars = requiredEnvVars.filter((envVar) => !process.env[envVar]);
 	if (missingVars.length > 0) {
@@ -40,7 +57,7 @@ function validateConfig() {
 		process.exit(1);
 	}
 
-	if (!fs.existsSync(process.env.KEYPAIR_FILE_PATH_LONG) || !fs.existsSync(process.env.KEYPAIR_FILE_PATH_SHORT)) {
+	if (!isPaperTrading() && (!fs.existsSync(process.env.KEYPAIR_FILE_PATH_LONG) || !fs.existsSync(process.env.KEYPAIR_FILE_PATH_SHORT))) {
 		logger.error("[INIT] Wallet files not found");
 		process.exit(1);
 	}
@@ -53,10 +70,22 @@ function validateConfig() {
 		process.exit(1);
 	}
 
+	try {
+		loadSettings({ profile: "v3" });
+	} catch (error) {
+		logger.error(`[INIT] ${error.message}`);
+		process.exit(1);
+	}
+
 	return tradingSymbols;
 }
 
 async function initializeExchange(markets) {
+	if (isPaperTrading()) {
+		logger.info("[PAPER] Skipping mainnet exchange load");
+		return { connection: null };
+	}
+
 	try {
 		const connection = new Connection(process.env.RPC_TRADINGBOT);
 		const marketsToLoad = new Set([constants.Asset.SOL, ...markets]);
@@ -89,7 +118,7 @@ async function initializeExchange(markets) {
 }
 
 class SymbolTradingManager {
-	constructor(marketIndex, direction, zetaWrapper) {
+	constructor(marketIndex, direction, zetaWrapper, portfolioGuard = null) {
 		// this.marketIndex = marketIndex;
 		// this.direction = direction;
 		// this.symbol = constants.Asset[marketIndex];
@@ -103,6 +132,7 @@ class SymbolTradingManager {
     this.direction = direction;
     this.symbol = constants.Asset[marketIndex];
     this.zetaWrapper = zetaWrapper;
+    this.portfolioGuard = portfolioGuard; // Limits shared with the other wallet
     
     this.positionMonitorInterval = null;
     this.lastCheckedPrice = null;
@@ -111,10 +141,86 @@ class SymbolTradingManager {
     this.hasReachedThreshold = false;    // Tracks if we've hit 30% progress
     this.highestProgress = 0;            // Can now go beyond 1.0 (100%)
     this.thresholdHits = 0;              // Counts consecutive hits at close threshold 
+
+    // Partial take-profit tracking, the remaining size is read from the position
+    this.scaleOutLevelsHit = 0;
+    this.stopAtBreakeven = false;
+
+    // Adds made to the position on repeat signals
+    this.pyramidAdds = 0;
+
+    // Time-based exit tracking, in ms
+    this.openedAt = null;
+    this.staleSince = null;
+
+    // Settings captured when the position's monitor started
+    this.positionSettings = null;
     
     // Position closing state
     this.isClosing = false;
 
+    // Set when an open fails in a way retrying can't fix, blocks new opens until restart
+    this.haltReason = null;
+	}
+
+	get walletAddress() {
+		return this.zetaWrapper.wallet.publicKey.toString();
+	}
+
+	/**
+	 * Pullback state saved for this position before a restart, or null.
+	 */
+	loadMonitorState(position) {
+		const entryPrice = Math.abs(position.costOfTrades / position.size);
+		return monitorStateStore.get(this.walletAddress, this.marketIndex, entryPrice);
+	}
+
+	/**
+	 * Persists the monitor state under the position's current entry price.
+	 */
+	saveMonitorState(entryPrice, direction) {
+		monitorStateStore.save(this.walletAddress, this.marketIndex, entryPrice, {
+			symbol: this.symbol,
+			direction,
+			hasReachedThreshold: this.hasReachedThreshold,
+			highestProgress: this.highestProgress,
+			thresholdHits: this.thresholdHits,
+			scaleOutLevelsHit: this.scaleOutLevelsHit,
+			stopAtBreakeven: this.stopAtBreakeven,
+			pyramidAdds: this.pyramidAdds,
+			openedAt: this.openedAt,
+			staleSince: this.staleSince,
+			settings: this.positionSettings,
+		});
+	}
+
+	/**
+	 * When the position was opened, from its journal open record so it holds across
+	 * restarts. Positions the journal has no record of count from now.
+	 */
+	journalOpenedAt() {
+		const openTrade = tradeJournal.findOpenTrade({ wallet: this.walletAddress, symbol: this.symbol, direction: this.direction });
+		return openTrade ? Date.parse(openTrade.ts) : Date.now();
+	}
+
+	/**
+	 * Settings the open position is managed with. They are captured when monitoring
+	 * starts and only follow settings.json edits with hotReload.applyToOpenPositions.
+	 * The TP/SL distances are always the ones recorded when it was opened.
+	 */
+	async getMonitorSettings() {
+		if (this.positionSettings && !getHotReloadSettings().applyToOpenPositions) {
+			return this.positionSettings;
+		}
+		return this.zetaWrapper.fetchPositionSettings(this.marketIndex, this.direction);
+	}
+
+	/**
+	 * Runs src/manage-position.js with args, resolving to its output.
+	 */
+	async runManagePosition(args) {
+		const { stdout } = await execAsync(`node src/manage-position.js ${args}`, { maxBuffer: 1024 * 1024 * 10 });
+		return stdout;
 	}
 
 	async processSignal(signalData) {
@@ -123,6 +229,31 @@ class SymbolTradingManager {
 
 			if (!currentPosition || currentPosition.size === 0) {
 				if (signalData.signal !== 0) {
+					if (this.haltReason) {
+						logger.info(`[${this.symbol}] New positions halted, skipping signal`, { reason: this.haltReason });
+						return;
+					}
+
+					const tripped = await circuitBreaker.check(this.zetaWrapper);
+					if (tripped) {
+						logger.info(`[${this.symbol}] Circuit breaker tripped, skipping new position`, { reason: tripped.reason });
+						return;
+					}
+
+					const { timeExits } = await this.zetaWrapper.fetchSettings(this.marketIndex);
+					const closeWindow = activeCloseWindow(timeExits);
+					if (closeWindow) {
+						logger.info(`[${this.symbol}] Inside a close window, skipping new position`, { window: describeCloseWindow(closeWindow) });
+						return;
+					}
+
+					const signalDirection = signalData.signal === 1 ? "long" : "short";
+					const limitReason = await this.portfolioGuard?.check(this.zetaWrapper, signalDirection, this.marketIndex);
+					if (limitReason) {
+						logger.info(`[${this.symbol}] Portfolio limit reached, skipping new position`, { reason: limitReason });
+						return;
+					}
+
 					const marketConditions = await getMarketSentiment();
 					const isLongSignal = signalData.signal === 1;
 
@@ -134,11 +265,34 @@ class SymbolTradingManager {
 						});
 
 						try {
-							await execAsync(`node src/manage-position.js open ${this.symbol} ${isLongSignal ? "long" : "short"}`, {
-								maxBuffer: 1024 * 1024 * 10,
-							});
-							console.log("Waiting 35s before continuing");
-							await utils.sleep(35000);
+							const direction = isLongSignal ? "long" : "short";
+							let stdout = "";
+							const { result, error } = await sendWithRetries(
+								async () => {
+									stdout = await this.runManagePosition(`open ${this.symbol} ${direction}`);
+									return parseTransactionResult(stdout);
+								},
+								{ label: `[${this.symbol}] Open ${direction}:`, canRetry: retryIfUnchanged(this, 0) }
+							);
+
+							if (error) {
+								haltOnError(this, error);
+								return;
+							}
+
+							const newPosition = await this.zetaWrapper.getPosition(this.marketIndex);
+							if (newPosition && newPosition.size !== 0) {
+								tradeJournal.recordOpen({
+									symbol: this.symbol,
+									direction,
+									wallet: this.walletAddress,
+									entryPrice: Math.abs(newPosition.costOfTrades / newPosition.size),
+									size: newPosition.size,
+									signal: signalData,
+									txids: parseTxids(stdout),
+									tpsl: result?.tpsl,
+								});
+							}
 
 							// this.startPositionMonitor();
 						} catch (error) {
@@ -152,19 +306,43 @@ class SymbolTradingManager {
 						});
 					}
 				}
+			} else if (signalData.signal !== 0) {
+				// Signals only reach the wallet of their direction, so this one repeats the open position's
+				await pyramidPosition(this, currentPosition, this.direction);
 			}
 		} catch (error) {
 			logger.error(`[${this.symbol}] Error processing signal:`, error);
 		}
 	}
 
-	async startPositionMonitor() {
+	async startPositionMonitor(restoredState = null) {
 		if (this.positionMonitorInterval) {
 			clearInterval(this.positionMonitorInterval);
 		}
 
-		this.hasReachedThreshold = false;
-		this.highestProgress = 0;
+		this.hasReachedThreshold = restoredState?.hasReachedThreshold ?? false;
+		this.highestProgress = restoredState?.highestProgress ?? 0;
+		this.thresholdHits = restoredState?.thresholdHits ?? 0;
+		this.scaleOutLevelsHit = restoredState?.scaleOutLevelsHit ?? 0;
+		this.stopAtBreakeven = restoredState?.stopAtBreakeven ?? false;
+		this.pyramidAdds = restoredState?.pyramidAdds ?? 0;
+		this.openedAt = restoredState?.openedAt ?? this.journalOpenedAt();
+		this.staleSince = restoredState?.staleSince ?? null;
+		this.positionSettings =
+			restoredState?.settings ?? (await this.zetaWrapper.fetchPositionSettings(this.marketIndex, this.direction));
+
+		if (restoredState) {
+			logger.info(`[${this.symbol}] Restored monitor state from before restart`, {
+				hasReachedThreshold: this.hasReachedThreshold,
+				highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
+				thresholdHits: this.thresholdHits,
+				scaleOutLevelsHit: this.scaleOutLevelsHit,
+				stopAtBreakeven: this.stopAtBreakeven,
+				pyramidAdds: this.pyramidAdds,
+				openedAt: new Date(this.openedAt).toISOString(),
+				savedAt: restoredState.updatedAt,
+			});
+		}
 
 		this.positionMonitorInterval = setInterval(() => this.monitorPosition(), POSITION_SETTINGS.monitorInterval);
 		logger.info(`[${this.symbol}] Started position monitoring`);
@@ -183,6 +361,15 @@ class SymbolTradingManager {
 
       // Handle case where position is already closed
       if (!currentPosition || currentPosition.size === 0) {
+        // Closed on-chain by the TP/SL trigger orders rather than by us
+        tradeJournal.recordClose({
+          symbol: this.symbol,
+          direction: this.direction,
+          wallet: this.walletAddress,
+          exitPrice: this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex),
+          reason: "Closed by trigger order",
+        });
+        monitorStateStore.remove(this.walletAddress, this.marketIndex);
         this.stopMonitoring();
         await execAsync(`node src/cancel-trigger-orders.js cancel ${this.symbol} ${this.direction}`, 
           { maxBuffer: 1024 * 1024 * 10 }
@@ -192,33 +379,41 @@ class SymbolTradingManager {
         return;
       }
 
-      const settings = await this.zetaWrapper.fetchSettings();
+      const settings = await this.getMonitorSettings();
       const direction = currentPosition.size > 0 ? "long" : "short";
       const entryPrice = Math.abs(currentPosition.costOfTrades / currentPosition.size);
       const currentPrice = this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex);
-      const { takeProfitPrice, stopLossPrice } = this.zetaWrapper.calculateTPSLPrices(
+      const { takeProfitPrice, stopLossPrice: originalStopLoss } = this.zetaWrapper.calculateTPSLPrices(
         direction, 
         entryPrice, 
         settings
       );
+      const stopLossPrice = this.stopAtBreakeven ? entryPrice : originalStopLoss;
 
-      // Calculate progress - can exceed 100%
-      const totalDistanceToTP = Math.abs(takeProfitPrice - entryPrice);
-      const currentProgress = direction === "long" ? 
-        currentPrice - entryPrice : 
-        entryPrice - currentPrice;
-      const progressPercent = currentProgress / totalDistanceToTP;
+      // Progress can exceed 100%, the pullback threshold trails the highest progress
+      const evaluation = evaluatePullbackExit(
+        {
+          hasReachedThreshold: this.hasReachedThreshold,
+          highestProgress: this.highestProgress,
+          thresholdHits: this.thresholdHits,
+        },
+        { direction, entryPrice, currentPrice, takeProfitPrice, stopLossPrice },
+        settings.pullback
+      );
+      const { progressPercent, dynamicPullbackThreshold } = evaluation;
 
-      // Update highest progress - no upper limit
-      this.highestProgress = Math.max(this.highestProgress, progressPercent);
+      this.highestProgress = evaluation.highestProgress;
+      this.hasReachedThreshold = evaluation.hasReachedThreshold;
+      this.thresholdHits = evaluation.thresholdHits;
 
-      // Dynamic pullback threshold adjusts as price goes higher
-      const dynamicPullbackThreshold = Math.max(0, this.highestProgress - 0.10);
+      const timeExit = evaluateTimeExit(
+        { openedAt: this.openedAt, staleSince: this.staleSince },
+        progressPercent,
+        settings.timeExits
+      );
+      this.staleSince = timeExit.staleSince;
 
-      // Check if stop loss has been hit
-      const originalStopLossHit = direction === "long" ? 
-        currentPrice <= stopLossPrice : 
-        currentPrice >= stopLossPrice;
+      this.saveMonitorState(entryPrice, direction);
 
       // Log position updates when price changes
       if (this.lastCheckedPrice !== currentPrice) {
@@ -241,53 +436,72 @@ class SymbolTradingManager {
       }
 
       // Handle stop loss
-      if (originalStopLossHit) {
+      if (evaluation.exitReason === EXIT_REASONS.STOP_LOSS) {
         logger.info(`[${this.symbol}] Stop loss hit, attempting to close position`);
-        const closed = await this.closePosition('Stop loss hit');
+        const closed = await this.closePosition(EXIT_REASONS.STOP_LOSS);
         if (!closed) {
           logger.warn(`[${this.symbol}] Stop loss closure failed - will retry on next monitor cycle`);
         }
         return;
       }
 
-      // Check initial threshold (33%)
-      if (progressPercent >= 0.33) {
-        this.hasReachedThreshold = true;
+      if (evaluation.thresholdHit) {
+        logger.info(`[${this.symbol}] Threshold hit detected:`, {
+          hits: this.thresholdHits,
+          currentProgress: (progressPercent * 100).toFixed(2) + "%",
+          highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
+          pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%",
+          beyondTakeProfit: progressPercent > 1.0 ? 
+            `${((progressPercent - 1.0) * 100).toFixed(2)}% beyond TP` : 
+            'No'
+        });
       }
 
       // Handle dynamic pullback threshold
-      if (this.hasReachedThreshold) {
-        if (progressPercent <= dynamicPullbackThreshold) {
-          this.thresholdHits++;
-          
-          logger.info(`[${this.symbol}] Threshold hit detected:`, {
-            hits: this.thresholdHits,
-            currentProgress: (progressPercent * 100).toFixed(2) + "%",
-            highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
-            pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%",
-            beyondTakeProfit: progressPercent > 1.0 ? 
-              `${((progressPercent - 1.0) * 100).toFixed(2)}% beyond TP` : 
-              'No'
-          });
+      if (evaluation.exitReason === EXIT_REASONS.PULLBACK) {
+        logger.info(`[${this.symbol}] Attempting to close position:`, {
+          reason: EXIT_REASONS.PULLBACK,
+          hits: this.thresholdHits,
+          currentProgress: (progressPercent * 100).toFixed(2) + "%",
+          highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
+          pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%"
+        });
+
+        const closed = await this.closePosition(EXIT_REASONS.PULLBACK);
+        if (!closed) {
+          logger.warn(`[${this.symbol}] Pullback closure failed - will retry on next monitor cycle`);
+        }
+        return;
+      }
+
+      // Max holding time, stale progress and scheduled close windows
+      if (timeExit.exitReason) {
+        logger.info(`[${this.symbol}] Attempting to close position:`, {
+          reason: timeExit.exitReason,
+          detail: timeExit.detail,
+          currentProgress: (progressPercent * 100).toFixed(2) + "%"
+        });
+
+        const closed = await this.closePosition(timeExit.exitReason);
+        if (!closed) {
+          logger.warn(`[${this.symbol}] Time-based closure failed - will retry on next monitor cycle`);
+        }
+        return;
+      }
 
-          if (this.thresholdHits >= 5) {
-            logger.info(`[${this.symbol}] Attempting to close position:`, {
-              reason: "Dynamic pullback threshold hit",
-              hits: this.thresholdHits,
-              currentProgress: (progressPercent * 100).toFixed(2) + "%",
-              highestProgress: (this.highestProgress * 100).toFixed(2) + "%",
-              pullbackThreshold: (dynamicPullbackThreshold * 100).toFixed(2) + "%"
-            });
-            
-            const closed = await this.closePosition('Dynamic pullback threshold hit');
-            if (!closed) {
-              logger.warn(`[${this.symbol}] Pullback closure failed - will retry on next monitor cycle`);
-            }
-            return;
-          }
-        } else {
-          // Reset hits counter if we're above the threshold again
-          this.thresholdHits = 0;
+      // Partial take profit, the rest keeps trailing with the pullback exit
+      const scaleOut = nextScaleOutLevel(this.scaleOutLevelsHit, progressPercent, settings.scaleOut);
+      if (scaleOut) {
+        logger.info(`[${this.symbol}] Scale-out level ${scaleOut.index + 1} reached:`, {
+          currentProgress: (progressPercent * 100).toFixed(2) + "%",
+          levelProgress: (scaleOut.level.progress * 100).toFixed(2) + "%",
+          closeFraction: scaleOut.closeFraction.toFixed(4),
+          moveStopToBreakeven: scaleOut.level.moveStopToBreakeven
+        });
+
+        const scaled = await scaleOutPosition(this, this.direction, scaleOut, currentPosition, currentPrice);
+        if (!scaled) {
+          logger.warn(`[${this.symbol}] Scale-out failed - will retry on next monitor cycle`);
         }
       }
     } catch (error) {
@@ -409,18 +623,20 @@ class SymbolTradingManager {
       const position = await this.zetaWrapper.getPosition(this.marketIndex);
       const currentPrice = this.zetaWrapper.getCalculatedMarkPrice(this.marketIndex);
       const entryPrice = Math.abs(position.costOfTrades / position.size);
-      const realizedPnl = position.size > 0 ? 
-        (currentPrice - entryPrice) / entryPrice :
-        (entryPrice - currentPrice) / entryPrice;
-
-      // Attempt to close the position
-      await execAsync(
-        `node src/manage-position.js close ${this.symbol} ${this.direction}`,
-        { maxBuffer: 1024 * 1024 * 10 }
+
+      // Attempt to close the position, rate limits and expired blockhashes are retried
+      let stdout = "";
+      const { error } = await sendWithRetries(
+        async () => {
+          stdout = await this.runManagePosition(`close ${this.symbol} ${this.direction}`);
+          return parseTransactionResult(stdout);
+        },
+        { label: `[${this.symbol}] Close ${this.direction}:` }
       );
-      
-      logger.info(`[${this.symbol}] Waiting 35s before verifying closure`);
-      await utils.sleep(35000);
+
+      if (error) {
+        return false;
+      }
 
       // Verify closure with retries
       for (let attempt = 1; attempt <= 3; attempt++) {
@@ -429,15 +645,17 @@ class SymbolTradingManager {
         if (!verifyPosition || verifyPosition.size === 0) {
           logger.info(`[${this.symbol}] Position closure verified`);
           
-          // Add to closed positions tracking
-          logger.addClosedPosition({
+          tradeJournal.recordClose({
             symbol: this.symbol,
-            size: position.size,
+            direction: this.direction,
+            wallet: this.walletAddress,
             entryPrice,
             exitPrice: currentPrice,
-            realizedPnl,
-            reason
+            size: position.size,
+            reason,
+            txids: parseTxids(stdout),
           });
+          monitorStateStore.remove(this.walletAddress, this.marketIndex);
 
           this.stopMonitoring();
           return true;
@@ -484,6 +702,12 @@ class SymbolTradingManager {
     this.hasReachedThreshold = false;
     this.highestProgress = 0;
     this.thresholdHits = 0;
+    this.scaleOutLevelsHit = 0;
+    this.stopAtBreakeven = false;
+    this.pyramidAdds = 0;
+    this.openedAt = null;
+    this.staleSince = null;
+    this.positionSettings = null;
     this.isClosing = false;
     logger.info(`[${this.symbol}] Stopped monitoring`);
   }
@@ -508,9 +732,10 @@ class SymbolTradingManager {
 }
 
 class DirectionalTradingManager {
-	constructor(direction, symbols) {
+	constructor(direction, symbols, portfolioGuard = null) {
 		this.direction = direction;
 		this.symbols = symbols;
+		this.portfolioGuard = portfolioGuard;
 		this.symbolManagers = new Map();
 		this.isProcessing = false;
 		this.zetaWrapper = null;
@@ -532,7 +757,7 @@ class DirectionalTradingManager {
 
 			for (const symbol of this.symbols) {
 				const marketIndex = constants.Asset[symbol];
-				const manager = new SymbolTradingManager(marketIndex, this.direction, this.zetaWrapper);
+				const manager = new SymbolTradingManager(marketIndex, this.direction, this.zetaWrapper, this.portfolioGuard);
 				this.symbolManagers.set(symbol, manager);
 			}
 
@@ -568,7 +793,7 @@ class DirectionalTradingManager {
 			const position = await manager.zetaWrapper.getPosition(manager.marketIndex);
 			if (position && position.size !== 0 && !manager.positionMonitorInterval) {
 				logger.info(`[${signalData.symbol}] Found unmonitored position, starting monitoring`);
-				manager.startPositionMonitor();
+				manager.startPositionMonitor(manager.loadMonitorState(position));
 			}
 
 			await manager.processSignal(signalData);
@@ -579,6 +804,13 @@ class DirectionalTradingManager {
 		}
 	}
 
+	/**
+	 * Refreshes this wallet's daily PnL so the circuit breaker can trip between signals.
+	 */
+	async checkCircuitBreaker() {
+		if (this.zetaWrapper) await circuitBreaker.check(this.zetaWrapper);
+	}
+
 	async checkExistingPositions() {
 		logger.info(`[INIT] Checking existing ${this.direction} positions for symbols:`, this.symbols);
 
@@ -594,7 +826,7 @@ class DirectionalTradingManager {
 							size: position.size,
 							entryPrice: position.costOfTrades ? (position.costOfTrades / position.size).toFixed(4) : "N/A",
 						});
-						manager.startPositionMonitor();
+						manager.startPositionMonitor(manager.loadMonitorState(position));
 					}
 				} else {
 					logger.info(`[INIT] No existing ${this.direction} position found for ${symbol}`);
@@ -618,11 +850,13 @@ class MultiTradingManager {
 	constructor() {
 		this.longManager = null;
 		this.shortManager = null;
+		this.portfolioGuard = null;
 		this.symbols = [];
 		this.ws = null;
 		this.reconnectAttempts = 0;
 		this.maxReconnectAttempts = 5;
 		this.connectionActive = false;
+		this.signalRecorder = new SignalRecorder();
 		this.messageQueue = [];
 		this.isProcessingQueue = false;
 		this.healthCheckInterval = null;
@@ -639,16 +873,30 @@ class MultiTradingManager {
 				shortWallet: process.env.KEYPAIR_FILE_PATH_SHORT,
 			});
 
-			this.longManager = new DirectionalTradingManager("long", this.symbols);
+			// Both wallets check new positions against the combined exposure
+			this.portfolioGuard = new PortfolioGuard(this.symbols, () =>
+				[this.longManager, this.shortManager].filter((manager) => manager?.zetaWrapper).map((manager) => manager.zetaWrapper)
+			);
+
+			this.longManager = new DirectionalTradingManager("long", this.symbols, this.portfolioGuard);
 			await this.longManager.initialize();
 
-			this.shortManager = new DirectionalTradingManager("short", this.symbols);
+			this.shortManager = new DirectionalTradingManager("short", this.symbols, this.portfolioGuard);
 			await this.shortManager.initialize();
 
 			logger.info("[INIT] Checking existing positions");
 			await this.longManager.checkExistingPositions();
 			await this.shortManager.checkExistingPositions();
 
+			// Mark price samples feed volatility-scaled sizing, both wallets see the same markets
+			priceHistory.startSampling(this.symbols, (symbol) =>
+				this.longManager.zetaWrapper.getCalculatedMarkPrice(constants.Asset[symbol])
+			);
+			// Funding samples stamp the trade journal so closes include accrued funding
+			fundingHistory.startSampling(this.symbols, (symbol) =>
+				this.longManager.zetaWrapper.getFundingState(constants.Asset[symbol])
+			);
+
 			this.setupWebSocket();
 			this.setupHealthCheck();
 			this.setupStatusUpdates(); // Add status update initialization
@@ -697,6 +945,8 @@ class MultiTradingManager {
 		});
 
 		this.ws.on("message", async (data) => {
+			this.signalRecorder.record(data);
+
 			try {
 				const signalData = JSON.parse(data.toString());
 
@@ -790,6 +1040,9 @@ class MultiTradingManager {
 				reconnectAttempts: this.reconnectAttempts,
 				timestamp: new Date().toISOString(),
 			});
+
+			this.longManager.checkCircuitBreaker();
+			this.shortManager.checkCircuitBreaker();
 		}, MONITORING_INTERVALS.HEALTH_CHECK);
 	}
 
@@ -812,7 +1065,7 @@ class MultiTradingManager {
 				if (position && position.size !== 0) {
 					const currentPrice = manager.zetaWrapper.getCalculatedMarkPrice(manager.marketIndex);
 					const entryPrice = Math.abs(position.costOfTrades / position.size);
-					const settings = await manager.zetaWrapper.fetchSettings();
+					const settings = await manager.getMonitorSettings();
 					const { takeProfitPrice, stopLossPrice } = manager.zetaWrapper.calculateTPSLPrices(
 						"long",
 						entryPrice,
@@ -820,7 +1073,8 @@ class MultiTradingManager {
 					);
 
 					const progress = (currentPrice - entryPrice) / (takeProfitPrice - entryPrice);
-					const unrealizedPnl = (currentPrice - entryPrice) / entryPrice;
+					const funding = tradeJournal.accruedFunding({ wallet: manager.walletAddress, symbol, direction: "long" });
+					const unrealizedPnl = (currentPrice - entryPrice) / entryPrice + (funding ?? 0) / (entryPrice * Math.abs(position.size));
 
 					positions.push({
 						symbol,
@@ -829,9 +1083,10 @@ class MultiTradingManager {
 						currentPrice,
 						progress,
 						unrealizedPnl,
-						stopLoss: stopLossPrice,
+						funding,
+						stopLoss: manager.stopAtBreakeven ? entryPrice : stopLossPrice,
 						takeProfit: takeProfitPrice,
-						hasReachedThreshold: progress >= 0.33
+						hasReachedThreshold: progress >= settings.pullback.initialThreshold
 					});
 				}
 			}
@@ -842,7 +1097,7 @@ class MultiTradingManager {
 				if (position && position.size !== 0) {
 					const currentPrice = manager.zetaWrapper.getCalculatedMarkPrice(manager.marketIndex);
 					const entryPrice = Math.abs(position.costOfTrades / position.size);
-					const settings = await manager.zetaWrapper.fetchSettings();
+					const settings = await manager.getMonitorSettings();
 					const { takeProfitPrice, stopLossPrice } = manager.zetaWrapper.calculateTPSLPrices(
 						"short",
 						entryPrice,
@@ -850,7 +1105,8 @@ class MultiTradingManager {
 					);
 
 					const progress = (entryPrice - currentPrice) / (entryPrice - takeProfitPrice);
-					const unrealizedPnl = (entryPrice - currentPrice) / entryPrice;
+					const funding = tradeJournal.accruedFunding({ wallet: manager.walletAddress, symbol, direction: "short" });
+					const unrealizedPnl = (entryPrice - currentPrice) / entryPrice + (funding ?? 0) / (entryPrice * Math.abs(position.size));
 
 					positions.push({
 						symbol,
@@ -859,9 +1115,10 @@ class MultiTradingManager {
 						currentPrice,
 						progress,
 						unrealizedPnl,
-						stopLoss: stopLossPrice,
+						funding,
+						stopLoss: manager.stopAtBreakeven ? entryPrice : stopLossPrice,
 						takeProfit: takeProfitPrice,
-						hasReachedThreshold: progress >= 0.3
+						hasReachedThreshold: progress >= settings.pullback.initialThreshold
 					});
 				}
 			}
@@ -876,6 +1133,8 @@ class MultiTradingManager {
 		logger.info("[SHUTDOWN] Initiating graceful shutdown");
 		clearInterval(this.healthCheckInterval);
 		clearInterval(this.statusUpdateInterval); // Clear status update interval
+		priceHistory.stopSampling();
+		fundingHistory.stopSampling();
 
 		if (this.ws) {
 			this.ws.close();
@@ -901,6 +1160,8 @@ async function main() {
 		const multiManager = new MultiTradingManager();
 		await multiManager.initialize(tradingSymbols);
 
+		watchSettings();
+
 		process.on("SIGINT", () => {
 			logger.info("[SHUTDOWN] Graceful shutdown initiated");
 			multiManager.shutdown();